@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// bin/uni-cache.js - see src/cli.js, or run `uni-cache --help`
+const { run } = require('../src/cli');
+
+// Output piped into a command that exits early (`| head`) is not an error
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(0);
+});
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,80 @@
+// src/EvictionTracker.js
+
+const POLICIES = ['lru', 'lfu'];
+
+/**
+ * Tracks access recency, access frequency and approximate size of top-level cache keys,
+ * and yields eviction candidates in policy order.
+ */
+class EvictionTracker {
+  /**
+   * @param {string} [policy='lru'] - `'lru'` (least recently used) or `'lfu'` (least frequently used).
+   */
+  constructor(policy = 'lru') {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Unknown eviction policy "${policy}". Expected one of: ${POLICIES.join(', ')}.`);
+    }
+    this.policy = policy;
+    this.entries = new Map(); // key -> { hits, size }, in recency order (least recent first)
+    this.totalBytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Records a write of a top-level key and its approximate size in bytes.
+   * @param {string} key
+   * @param {number} size
+   */
+  track(key, size) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.totalBytes += size - entry.size;
+      entry.size = size;
+      this.touch(key);
+      return;
+    }
+    this.entries.set(key, { hits: 1, size });
+    this.totalBytes += size;
+  }
+
+  /**
+   * Records a read of a top-level key.
+   * @param {string} key
+   */
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.hits += 1;
+    this.entries.delete(key); // Re-insert to move it to the most recent position
+    this.entries.set(key, entry);
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.totalBytes -= entry.size;
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Keys in the order they should be evicted. LFU ties are broken by recency.
+   * @returns {string[]}
+   */
+  candidates() {
+    const keys = [...this.entries.keys()];
+    if (this.policy === 'lfu') {
+      return keys.sort((a, b) => this.entries.get(a).hits - this.entries.get(b).hits); // Stable sort keeps recency order
+    }
+    return keys;
+  }
+}
+
+module.exports = EvictionTracker;
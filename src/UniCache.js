@@ -1,4 +1,14 @@
 // src/UniCache.js
+const EventEmitter = require('events');
+const CacheBackend = require('./backends/CacheBackend');
+const { UniCacheError, BackendInitError, DecryptionError, NonNumericValueError } = require('./errors');
+const EvictionTracker = require('./EvictionTracker');
+const { resolveSerializer } = require('./serializers');
+const { resolveCompression } = require('./compression');
+const { resolveEncryption } = require('./encryption');
+const { writeSnapshot, readSnapshot } = require('./snapshot');
+const { createKeyFilter, pageKeys } = require('./keyPattern');
+const { renderMetrics } = require('./metrics');
 
 /**
  * Get properties from an object using a key string with dot notation.
@@ -39,18 +49,244 @@ const setProperties = (obj, key, val) => {
   }
 };
 
-class UniCache {
+/**
+ * Get the top-level key of a key string in dot notation or an array of properties.
+ * Backends persist whole top-level values, so per-key metadata (such as expiry) is tracked at this level.
+ * @param {string|string[]} key - The key string in dot notation or an array of properties.
+ * @returns {string} The top-level key.
+ */
+const getTopLevelKey = (key) => (Array.isArray(key) ? key[0] : String(key).split('.')[0]);
+
+/**
+ * Identifies a key path independently of its form: `'a.b'` and `['a', 'b']` give the same id.
+ * @param {string|string[]} key - The key string in dot notation or an array of properties.
+ * @returns {string}
+ */
+const getKeyId = (key) => JSON.stringify(Array.isArray(key) ? key.map(String) : String(key).split('.'));
+
+// Objects with a `$type` key are excluded: the typed serializer wraps them, so their stored paths differ.
+const isPatchableObject = (value) =>
+  value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value)) && !Object.prototype.hasOwnProperty.call(value, '$type');
+
+/**
+ * Whether `path` is a descendant of, or equal to, `ancestor` (both arrays of properties).
+ * @param {string[]} path
+ * @param {string[]} ancestor
+ * @returns {boolean}
+ */
+const isWithinPath = (path, ancestor) => ancestor.length <= path.length && ancestor.every((prop, i) => prop === path[i]);
+
+/**
+ * Normalizes the optional third argument of write methods.
+ * Accepts the legacy boolean `syncNow` flag or an options object `{ ttl, sync }`.
+ * @param {boolean|object} [arg] - Boolean sync flag or options object.
+ * @param {boolean} defaultSync - The sync flag to use when none is given.
+ * @returns {{ sync: boolean, ttl: (number|null|undefined) }}
+ */
+const normalizeWriteOptions = (arg, defaultSync) => {
+  if (arg !== null && typeof arg === 'object') {
+    return { sync: arg.sync !== undefined ? !!arg.sync : !!defaultSync, ttl: arg.ttl };
+  }
+  return { sync: arg !== undefined ? !!arg : !!defaultSync, ttl: undefined };
+};
+
+/**
+ * Approximates the memory footprint of a top-level entry by its JSON size in bytes.
+ * @param {string} key - The top-level key.
+ * @param {*} value - The value.
+ * @returns {number}
+ */
+const estimateSize = (key, value) => {
+  try {
+    return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value) || '');
+  } catch (e) {
+    return Buffer.byteLength(key); // Values JSON cannot represent are counted by key only
+  }
+};
+
+/**
+ * Backend factories by cacheType. A factory receives the UniCache instance and returns a backend.
+ * Built-in backends are required lazily, so their drivers are only needed when used.
+ * @type {Map<string, function(UniCache): CacheBackend>}
+ */
+const backendRegistry = new Map();
+
+// Keys read from a backend per request by export() and migrate()
+const SNAPSHOT_PAGE_SIZE = 500;
+
+// Option key through which namespace() hands a child cache its parent; a symbol keeps it out of the public options.
+const PARENT = Symbol('uniCacheParent');
+
+/**
+ * Builds the config object passed to backend constructors.
+ * @param {UniCache} cache - The cache the backend is created for.
+ * @param {Object} [extra={}] - Backend-specific settings.
+ * @returns {Object}
+ */
+const backendConfig = (cache, extra = {}) => ({
+  ...extra,
+  cacheName: cache.cacheName,
+  debug: cache.options.debug,
+  logFunction: cache.log,
+  serializer: cache.serializer,
+  compression: cache.compression,
+  encryption: cache.encryption,
+});
+
+backendRegistry.set('file', (cache) => {
+  const FileBackend = require('./backends/FileBackend');
+  const { savePath, fileBackups: backups, lockTimeout, lockStale } = cache.options;
+  return new FileBackend(backendConfig(cache, { savePath, backups, lockTimeout, lockStale }));
+});
+
+const createRedisBackend = (cache) => {
+  const RedisBackend = require('./backends/RedisBackend');
+  const { dbHost, dbPort, invalidation } = cache.options;
+  return new RedisBackend(backendConfig(cache, { dbHost, dbPort, invalidation, ...(cache.options.redisConfig || {}) }));
+};
+backendRegistry.set('redis', createRedisBackend);
+backendRegistry.set('valkey', createRedisBackend);
+
+backendRegistry.set('mongodb', (cache) => {
+  const MongoDBBackend = require('./backends/MongoDBBackend');
+  const { mongoUri: uri, dbName, collectionName, dbHost, dbPort } = cache.options;
+  return new MongoDBBackend(backendConfig(cache, { uri, dbName, collectionName: collectionName || cache.cacheName, dbHost, dbPort, ...(cache.options.mongoConfig || {}) }));
+});
+
+backendRegistry.set('sqlite', (cache) => {
+  const SQLiteBackend = require('./backends/SQLiteBackend');
+  return new SQLiteBackend(backendConfig(cache, { savePath: cache.options.savePath, busyTimeout: cache.options.busyTimeout }));
+});
+
+// Methods UniCache calls on every backend. fetch() and save() have no usable default in CacheBackend;
+// fetchWithExpiry() and applyChanges() are inherited when extending it.
+const REQUIRED_BACKEND_METHODS = ['fetch', 'save', 'fetchWithExpiry', 'applyChanges'];
+const ABSTRACT_BACKEND_METHODS = ['fetch', 'save'];
+
+/**
+ * Throws if a backend instance or class prototype does not implement the CacheBackend contract.
+ * @param {Object} target - A backend instance or a backend class prototype.
+ * @param {string} name - Backend name for the error message.
+ */
+const assertBackendContract = (target, name) => {
+  if (!target || typeof target !== 'object') {
+    throw new TypeError(`Backend "${name}" is not an object.`);
+  }
+  const missing = REQUIRED_BACKEND_METHODS.filter((method) => typeof target[method] !== 'function');
+  const abstract = ABSTRACT_BACKEND_METHODS.filter((method) => target[method] === CacheBackend.prototype[method]);
+  if (missing.length > 0 || abstract.length > 0) {
+    throw new TypeError(`Backend "${name}" does not implement the CacheBackend contract. Missing: ${[...missing, ...abstract].join(', ')}.`);
+  }
+};
+
+/**
+ * Checks whether a function is a class (or constructor function) rather than a factory.
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+const isBackendClass = (fn) => typeof fn === 'function' && !!fn.prototype && (fn.prototype instanceof CacheBackend || typeof fn.prototype.fetch === 'function');
+
+/**
+ * Creates the backend given in `options.backend`: a backend instance or a backend class.
+ * @param {CacheBackend|Function} backendOption
+ * @param {UniCache} cache
+ * @returns {CacheBackend}
+ */
+const createBackendFromOption = (backendOption, cache) => {
+  if (isBackendClass(backendOption)) {
+    assertBackendContract(backendOption.prototype, backendOption.name);
+    return new backendOption(backendConfig(cache, cache.options.backendOptions));
+  }
+  const name = (backendOption && backendOption.constructor && backendOption.constructor.name) || 'options.backend';
+  assertBackendContract(backendOption, name);
+  return backendOption;
+};
+
+/**
+ * Cache with pluggable persistence backends.
+ *
+ * Events:
+ * - `ready` ({ cacheType, status, persistent }) after `init()` completes.
+ * - `set` (key, value) after a value is written by set(), save(), add(), subtract() or push().
+ * - `delete` (key) after a key is deleted.
+ * - `clear` () after the cache is cleared.
+ * - `expire` (key) when an expired top-level key is purged from memory.
+ * - `evict` (key) when a top-level key is evicted from memory to respect `maxEntries`/`maxBytes`.
+ * - `sync:start` ({ force, upserts, patches, deletes, clear }) before changes are sent to the backend.
+ * - `sync:success` ({ force, upserts, patches, deletes, clear, durationMs }) after a successful sync.
+ * - `sync:error` (error, { force, upserts, patches, deletes, clear }) when a sync fails.
+ * - `backend:fallback` ({ cacheType, error }) when the backend cannot be set up and the cache runs in memory only.
+ * - `backend:retry` ({ attempt, delay, error }) when a backend reconnect is scheduled (`onBackendError: 'retry'`).
+ * - `backend:reconnected` ({ cacheType }) when the backend is back and buffered writes are flushed.
+ * - `reload` ({ lazy }) after changes made by another process were reloaded (see checkExternalChanges()).
+ * - `invalidate` ({ keys, clear }) after keys changed by another instance were dropped from memory (`options.invalidation`).
+ * - `refresh:error` (error, key) when a background refresh of getOrSet() (`staleWhileRevalidate`) fails.
+ */
+class UniCache extends EventEmitter {
   constructor(cacheName, options = {}) {
-    // ... (constructor logic, including revised this.log setup from previous responses)
+    super();
     if (!cacheName || typeof cacheName !== 'string') {
       throw new Error('UniCache constructor requires a valid cacheName string.');
     }
     this.cacheName = cacheName;
     this.options = options;
-    this.cacheType = options.cacheType || 'memory';
+    this.cacheType = options.cacheType || (options.backend ? 'custom' : 'memory');
     this.inMemoryData = {};
+    this.expiries = {}; // Top-level key -> expiry timestamp (ms since epoch)
+    this.serializer = resolveSerializer(options.serializer); // How backends encode values, see src/serializers.js
+    this.compression = resolveCompression(options.compression); // null when disabled, see src/compression.js
+    this.encryption = resolveEncryption(options.encryption); // Shared with the backend, see src/encryption.js
     this.backend = null;
     this.isDirty = false; // Initialize dirty flag
+    // Top-level keys changed or removed since the last successful sync (see _takeChanges()).
+    this.changedKeys = new Set();
+    this.deletedKeys = new Set();
+    this.clearPending = false;
+    // Top-level key -> nested paths (arrays of properties below the key) changed since the last sync, for keys
+    // changed only below the top level. Sent as patches to backends that support them (see _takeChanges()).
+    this.patchedPaths = new Map();
+    this.syncingChanges = null; // Change set currently being applied by sync()
+    // Syncs run one at a time; calls made during a sync share one follow-up sync (see sync())
+    this.runningSync = null;
+    this.queuedSync = null;
+    this.queuedSyncForce = false;
+    this.queuedSyncKeys = null; // Top-level keys the queued sync is limited to (write-through), or null for all
+    // Incremented by every local change. A sync only marks the cache clean if nothing changed while it ran.
+    this.changeVersion = 0;
+    this.syncedVersion = 0;
+    this.watchIntervalId = null;
+    this.unsubscribeChanges = null; // Set while subscribed to the backend's change notifications (options.invalidation)
+    // Bounded memory: evicted keys stay in the backend and are re-read on access.
+    this.evictionTracker = options.maxEntries || options.maxBytes ? new EvictionTracker(options.evictionPolicy || 'lru') : null;
+    this.evictedKeys = new Set();
+    this.pendingLoads = new Map(); // Top-level key -> in-flight backend read
+    // update() defers the syncs requested by writes inside it and syncs once at the end
+    this.batchDepth = 0;
+    this.batchSyncRequested = false;
+    // getOrSet(): key id -> in-flight producer call, and key id -> time after which a value is stale
+    this.producing = new Map();
+    this.staleAt = new Map();
+    this.wrappedFunctions = new Map(); // wrap(): key prefix -> function, so two functions cannot share cached results
+    // Reported by stats() and metrics(); counted since the cache was created
+    this.counters = { hits: 0, misses: 0, sets: 0, deletes: 0, evictions: 0, expirations: 0, syncs: 0, syncFailures: 0 };
+    this.lastSync = null; // { at, durationMs } of the last successful sync
+    this.loadStrategy = options.loadStrategy || 'eager'; // 'eager' | 'lazy'
+    if (!['eager', 'lazy'].includes(this.loadStrategy)) {
+      throw new Error(`Invalid loadStrategy "${this.loadStrategy}". Expected 'eager' or 'lazy'.`);
+    }
+    this.onBackendError = options.onBackendError || 'fallback'; // 'fallback' | 'throw' | 'retry'
+    // 'write-back' syncs changes later (syncInterval, syncOnWrite); 'write-through' sends every write to the backend at once
+    this.mode = options.mode || 'write-back';
+    if (!['write-back', 'write-through'].includes(this.mode)) {
+      throw new Error(`Invalid mode "${this.mode}". Expected 'write-back' or 'write-through'.`);
+    }
+    // 'uninitialized' before init(), 'persistent' with a working backend, 'memory' when configured as
+    // memory-only, 'fallback' after a backend error, 'reconnecting' while retrying, 'failed' or 'closed'.
+    this.status = 'uninitialized';
+    this.reconnectTimerId = null;
+    this.parent = options[PARENT] || null; // Set on child caches created by namespace()
+    this.namespaceName = null;
+    this.namespaces = new Map(); // Child namespace name -> UniCache
 
     if (options.logFunction) {
       this.log = (...args) => options.logFunction('[UniCache]', ...args);
@@ -60,8 +296,15 @@ class UniCache {
 
     this.log(`Initializing cache "${cacheName}" with type "${this.cacheType}"`);
 
+    if (this.parent) {
+      this.syncIntervalId = null; // Synced by the root cache's sync loop, see _syncTree()
+      return;
+    }
+
     const syncIntervalSeconds = this.options.syncInterval || 86400;
-    this.syncIntervalId = setInterval(() => this.sync(), syncIntervalSeconds * 1000);
+    this.syncIntervalId = setInterval(() => {
+      this._syncTree().catch(() => {}); // Failures are logged and emitted as 'sync:error'
+    }, syncIntervalSeconds * 1000);
     this.log(`Sync interval set to: ${syncIntervalSeconds} seconds`);
 
     if (this.options.syncOnBreak) {
@@ -69,10 +312,123 @@ class UniCache {
     }
   }
 
+  /**
+   * Registers a backend under a cacheType name, so `new UniCache(name, { cacheType })` can use it.
+   * Registering an existing name (including a built-in one) replaces it.
+   * @param {string} name - The cacheType to register.
+   * @param {Function} factory - A backend class (validated now and instantiated with
+   *   `{ cacheName, debug, logFunction, ...options.backendOptions }`), or a factory function
+   *   `(cache) => backend` whose result is validated when the cache is initialized.
+   * @throws {TypeError} If the name or backend is invalid.
+   */
+  static registerBackend(name, factory) {
+    if (!name || typeof name !== 'string' || name === 'memory') {
+      throw new TypeError('registerBackend requires a backend name other than "memory".');
+    }
+    if (typeof factory !== 'function') {
+      throw new TypeError(`registerBackend("${name}") requires a backend class or factory function.`);
+    }
+    if (isBackendClass(factory)) {
+      assertBackendContract(factory.prototype, name);
+      backendRegistry.set(name, (cache) => new factory(backendConfig(cache, cache.options.backendOptions)));
+    } else {
+      backendRegistry.set(name, factory);
+    }
+  }
+
+  /**
+   * Lists the registered backend names.
+   * @returns {string[]}
+   */
+  static registeredBackends() {
+    return [...backendRegistry.keys()];
+  }
+
+  /**
+   * Copies every entry from one backend to another, with its expiry; for example to move a cache from the
+   * file backend to SQLite or Redis. Entries are read and written in pages, so the data set is never held in
+   * memory as a whole (except for custom backends without `scanKeys()` or `keys()`, which are read with `fetchWithExpiry()`).
+   * Values are read with the source's serializer, compression and encryption and written with the target's.
+   * @param {Object} fromOptions - Options of the source cache, including its `cacheName`.
+   * @param {Object} toOptions - Options of the target cache. `cacheName` defaults to the source's.
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Remove the target's entries first. By default entries are merged,
+   *   and copied entries replace existing ones with the same key.
+   * @param {number} [options.batchSize=500] - Entries per read and write.
+   * @returns {Promise<number>} The number of entries copied.
+   * @throws {Error} If either backend cannot be set up; memory-only caches cannot be migrated.
+   */
+  static async migrate(fromOptions, toOptions, options = {}) {
+    const { replace = false, batchSize = SNAPSHOT_PAGE_SIZE } = options;
+    const open = async ({ cacheName, ...cacheOptions }, role) => {
+      if (!cacheName) throw new Error(`UniCache.migrate(): the ${role} options need a cacheName.`);
+      // Lazy, so init() does not load everything into memory; 'throw', so a broken backend is not replaced by memory
+      const cache = new UniCache(cacheName, { ...cacheOptions, loadStrategy: 'lazy', onBackendError: 'throw', syncOnClose: false, syncOnBreak: false });
+      try {
+        await cache.init();
+        if (!cache.backend) throw new Error(`UniCache.migrate(): the ${role} cache "${cacheName}" has no backend (cacheType "${cache.cacheType}").`);
+      } catch (error) {
+        await cache.close();
+        throw error;
+      }
+      return cache;
+    };
+    const from = await open(fromOptions, 'source');
+    let to = null;
+    try {
+      to = await open({ ...toOptions, cacheName: toOptions.cacheName || fromOptions.cacheName }, 'target');
+      if (replace) await to.backend.applyChanges({ clear: true, upserts: {}, deletes: [], expiries: {} });
+      let count = 0;
+      for await (const page of from._readBackendPages(batchSize)) {
+        const upserts = {};
+        const expiries = {};
+        for (const [key, { value, expiresAt }] of Object.entries(page)) {
+          upserts[key] = value;
+          if (expiresAt) expiries[key] = expiresAt;
+        }
+        await to.backend.applyChanges({ clear: false, upserts, deletes: [], expiries });
+        count += Object.keys(upserts).length;
+        from.log(`Migrated ${count} entries of "${from.cacheName}" to "${to.cacheName}" (${to.cacheType}).`);
+      }
+      return count;
+    } finally {
+      if (to) await to.close();
+      await from.close();
+    }
+  }
+
+  /**
+   * Reads all entries of the backend, page by page, bypassing memory. Keys are paged with the backend's
+   * `scanKeys()`, so they are not all listed at once either (except by backends that only implement `keys()`).
+   * @param {number} pageSize - Keys per page.
+   * @returns {AsyncGenerator<Object<string, {value: *, expiresAt: (number|null)}>>} Pages of found entries.
+   */
+  async *_readBackendPages(pageSize) {
+    const backend = this.backend;
+    const scanKeys = typeof backend.scanKeys === 'function' ? backend.scanKeys : CacheBackend.prototype.scanKeys;
+    if (scanKeys === CacheBackend.prototype.scanKeys && (typeof backend.keys !== 'function' || backend.keys === CacheBackend.prototype.keys)) {
+      const { data, expiries } = await backend.fetchWithExpiry();
+      const page = {};
+      for (const [key, value] of Object.entries(data || {})) page[key] = { value, expiresAt: (expiries && expiries[key]) || null };
+      yield page;
+      return;
+    }
+    let cursor;
+    do {
+      const page = await scanKeys.call(backend, { limit: pageSize, cursor });
+      cursor = page.cursor;
+      if (page.keys.length > 0) yield await this._readManyFromBackend(page.keys);
+    } while (cursor);
+  }
+
   async init() {
+    if (this.parent && this.parent.status === 'uninitialized') {
+      throw new Error(`Initialize cache "${this.parent.cacheName}" before its namespace "${this.namespaceName}".`);
+    }
     this.log(`Starting initialization for "${this.cacheName}"...`);
     await this.initializeBackend(); // This calls _loadInitialDataFromBackend internally
     this.log(`Initialization complete for "${this.cacheName}".`);
+    this.emit('ready', { cacheType: this.cacheType, status: this.status, persistent: this.isPersistent() });
   }
 
   async initializeBackend() {
@@ -82,132 +438,378 @@ class UniCache {
       this.isDirty = false;
       this.log('[UniCache] Using in-memory cache only.');
       this.backend = null;
+      this.status = 'memory';
+      return;
+    }
+
+    if (!this.options.backend && !backendRegistry.has(this.cacheType)) {
+      this.log(`cacheType "${this.cacheType}" is unknown or not explicitly handled.`);
+      // Retrying cannot help here, so 'retry' falls back like 'fallback'.
+      const error = new Error(`Unknown cacheType "${this.cacheType}".`);
+      if (this.onBackendError === 'throw') this._failBackend(error);
+      this.log(`[UniCache] Unknown cacheType: "${this.cacheType}". Operating in memory-only mode.`);
+      this._fallBackToMemory(error);
       return;
     }
 
     try {
-      this.log(`Attempting to setup backend for cacheType: "${this.cacheType}".`);
-      let BackendConstructor; // To hold the required constructor
-
-      switch (this.cacheType) {
-        case 'file':
-          this.log('Backend type selected: file. Attempting to require FileBackend...');
-          // The require call is specific to this case
-          BackendConstructor = require('./backends/FileBackend');
-          this.log('FileBackend required. Instantiating...');
-          this.backend = new BackendConstructor({
-            cacheName: this.cacheName,
-            savePath: this.options.savePath,
-            debug: this.options.debug,
-            logFunction: this.log,
-          });
-          this.log('[UniCache] Using FileBackend.');
-          break;
-
-        case 'redis':
-        case 'valkey':
-          this.log(`Backend type selected: ${this.cacheType} (using RedisBackend). Attempting to require RedisBackend...`);
-          // The require call is specific to this case
-          BackendConstructor = require('./backends/RedisBackend');
-          this.log('RedisBackend required. Instantiating...');
-          this.backend = new BackendConstructor({
-            // ... redis config ...
-          });
-          this.log(`[UniCache] Using RedisBackend (for ${this.cacheType}).`);
-          break;
-
-        case 'mongodb':
-          this.log('Backend type selected: mongodb. Attempting to require MongoDBBackend...');
-          BackendConstructor = require('./backends/MongoDBBackend');
-          this.log('MongoDBBackend required. Instantiating...');
-          this.backend = new BackendConstructor({
-            collectionName: this.cacheName,
-            dbName: this.options.dbName,
-            dbHost: this.options.dbHost,
-            dbPort: this.options.dbPort,
-            debug: this.options.debug,
-            logFunction: this.log,
-          });
-          this.log('[UniCache] Using MongoDBBackend.');
-          break;
-
-        case 'sqlite':
-          this.log('Backend type selected: sqlite. Attempting to require SQLiteBackend...');
-          BackendConstructor = require('./backends/SQLiteBackend');
-          this.log('SQLiteBackend required. Instantiating...');
-          this.backend = new BackendConstructor({
-            cacheName: this.cacheName,
-            savePath: this.options.savePath,
-            debug: this.options.debug,
-            logFunction: this.log,
-          });
-          this.log('[UniCache] Using SQLiteBackend.');
-          break;
-
-        default:
-          this.log(`cacheType "${this.cacheType}" is unknown or not explicitly handled.`);
-          this.log(`[UniCache] Unknown cacheType: "${this.cacheType}". Operating in memory-only mode.`);
-          this.cacheType = 'memory';
-          this.backend = null;
-          this.isDirty = false;
-          return; // Exit initializeBackend
+      await this._setupBackend();
+      this.status = 'persistent';
+      this._startWatching();
+      await this._subscribeChanges();
+    } catch (error) {
+      if (this.onBackendError === 'throw') {
+        this._failBackend(error);
+      } else if (this.onBackendError === 'retry') {
+        this.log(`[UniCache] Error initializing backend (original type "${this.options.cacheType}") for cache "${this.cacheName}": ${error.message}. Buffering writes in memory and retrying.`);
+        this.status = 'reconnecting';
+        this._scheduleReconnect(error);
+      } else {
+        // Prominent error logging
+        console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+        console.error(`[UniCache] CRITICAL ERROR IN initializeBackend for cache "${this.cacheName}", original type "${this.options.cacheType}":`, error);
+        console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
+
+        this.log(`[UniCache] Error initializing backend (original type "${this.options.cacheType}") for cache "${this.cacheName}": ${error.message}. Falling back to memory-only mode.`);
+        this._fallBackToMemory(error);
       }
+    }
+    this.log(`Exiting initializeBackend. Final this.backend is: ${this.backend ? 'set (object)' : 'null'}, Final this.cacheType is: "${this.cacheType}", status: "${this.status}"`);
+  }
 
-      this.log(`Backend instantiation for type "${this.options.cacheType}" finished. this.backend is ${this.backend ? 'set' : 'null'}.`);
+  /**
+   * Creates and connects the backend, then loads its data.
+   * `this.backend` is only assigned once the backend is connected.
+   * @param {boolean} [mergeBufferedWrites=false] - Keep writes made while no backend was available
+   *   (retry mode) instead of replacing memory with the backend content.
+   * @throws {Error} If the backend cannot be created or connected.
+   */
+  async _setupBackend(mergeBufferedWrites = false) {
+    this.log(`Attempting to setup backend for cacheType: "${this.cacheType}".`);
+    let backend;
+    if (this.parent) {
+      if (!this.parent.backend) {
+        throw new Error(`Parent cache "${this.parent.cacheName}" has no backend (status: ${this.parent.status}).`);
+      }
+      this.log(`Using namespace "${this.namespaceName}" of the parent's backend.`);
+      backend = this.parent.backend.namespace(this.namespaceName);
+    } else if (this.options.backend) {
+      this.log('Using backend provided in options.backend.');
+      backend = createBackendFromOption(this.options.backend, this);
+    } else {
+      this.log(`Backend type selected: ${this.cacheType}. Creating backend from registry...`);
+      backend = backendRegistry.get(this.cacheType)(this);
+      assertBackendContract(backend, this.cacheType);
+    }
+    this.log(`[UniCache] Using ${backend.constructor.name} (for ${this.cacheType}).`);
 
-      if (this.backend) {
-        // If backend was successfully created
-        if (typeof this.backend.connect === 'function') {
-          this.log(`Attempting to connect to ${this.cacheType} backend...`);
-          await this.backend.connect();
-          this.log(`Backend ${this.cacheType} connected successfully.`);
-        } else {
-          this.log(`Backend ${this.cacheType} does not have a connect method (or this.backend is null).`);
+    if (typeof backend.connect === 'function') {
+      this.log(`Attempting to connect to ${this.cacheType} backend...`);
+      try {
+        await backend.connect();
+      } catch (error) {
+        if (typeof backend.close === 'function') {
+          await backend.close().catch(() => {}); // Release whatever the failed attempt opened
         }
+        throw error;
+      }
+      this.log(`Backend ${this.cacheType} connected successfully.`);
+    } else {
+      this.log(`Backend ${this.cacheType} does not have a connect method.`);
+    }
 
-        this.log('Backend is set. Calling _loadInitialDataFromBackend...');
-        const loaded = await this._loadInitialDataFromBackend(); // Sets inMemoryData and isDirty
-        if (loaded) {
-          this.log(`_loadInitialDataFromBackend: Cache "${this.cacheName}" data loaded. isDirty: ${this.isDirty}`);
-        } else {
-          this.log(`_loadInitialDataFromBackend: Cache "${this.cacheName}" fresh/empty. isDirty: ${this.isDirty}`);
-        }
-      } else if (this.cacheType !== 'memory') {
-        // This condition implies a known cacheType was matched in the switch,
-        // but this.backend somehow didn't get assigned (e.g., require failed silently, constructor didn't assign)
-        // AND it didn't throw an error into the main catch block. This is highly defensive.
-        this.log(`CRITICAL: After known backend type selection ("${this.options.cacheType}"), this.backend is unexpectedly NULL and no error was caught during instantiation. Falling back to memory-only.`);
-        this.cacheType = 'memory';
-        this.backend = null;
-        this.isDirty = false;
+    if (mergeBufferedWrites) {
+      try {
+        await this._mergeBackendData(backend);
+      } catch (error) {
+        if (typeof backend.close === 'function') await backend.close().catch(() => {});
+        throw error;
       }
+      this.backend = backend;
+      return;
+    }
+    this.backend = backend;
+    this.log('Backend is set. Calling _loadInitialDataFromBackend...');
+    let loaded;
+    try {
+      loaded = await this._loadInitialDataFromBackend(); // Sets inMemoryData and isDirty
     } catch (error) {
-      // Prominent error logging
-      console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
-      console.error(`[UniCache] CRITICAL ERROR IN initializeBackend for cache "${this.cacheName}", original type "${this.options.cacheType}":`, error);
-      console.error('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!');
-
-      this.log(`[UniCache] Error initializing backend (original type "${this.options.cacheType}") for cache "${this.cacheName}": ${error.message}. Falling back to memory-only mode.`);
+      // Rejected data (DecryptionError): do not keep a backend whose content we cannot trust
       this.backend = null;
-      this.cacheType = 'memory';
-      this.isDirty = false;
+      if (typeof backend.close === 'function') await backend.close().catch(() => {});
+      throw error;
     }
-    this.log(`Exiting initializeBackend. Final this.backend is: ${this.backend ? 'set (object)' : 'null'}, Final this.cacheType is: "${this.cacheType}"`);
+    if (loaded) {
+      this.log(`_loadInitialDataFromBackend: Cache "${this.cacheName}" data loaded. isDirty: ${this.isDirty}`);
+    } else {
+      this.log(`_loadInitialDataFromBackend: Cache "${this.cacheName}" fresh/empty. isDirty: ${this.isDirty}`);
+    }
+  }
+
+  /**
+   * Switches to memory-only mode after a backend error ('fallback' policy).
+   * @param {Error} error - The error that caused the fallback.
+   */
+  _fallBackToMemory(error) {
+    this.emit('backend:fallback', { cacheType: this.cacheType, error });
+    this.backend = null;
+    this.cacheType = 'memory';
+    this.isDirty = false;
+    this.status = 'fallback';
+  }
+
+  /**
+   * Throws a BackendInitError ('throw' policy).
+   * @param {Error} error - The underlying error.
+   * @throws {BackendInitError}
+   */
+  _failBackend(error) {
+    this.log(`[UniCache] Error initializing backend (type "${this.cacheType}") for cache "${this.cacheName}": ${error.message}. onBackendError is 'throw'.`);
+    this.backend = null;
+    this.status = 'failed';
+    throw new BackendInitError(`Failed to initialize backend "${this.cacheType}" for cache "${this.cacheName}": ${error.message}`, {
+      cacheName: this.cacheName,
+      cacheType: this.cacheType,
+      cause: error,
+    });
+  }
+
+  /**
+   * Schedules the next backend connection attempt with exponential backoff ('retry' policy).
+   * Writes keep going to memory and are tracked as pending changes until the backend is back.
+   * @param {Error} error - The error of the failed attempt.
+   */
+  _scheduleReconnect(error) {
+    const { initialDelay = 1000, maxDelay = 30000, factor = 2, maxAttempts = Infinity } = this.options.retry || {};
+    this.reconnectAttempts = (this.reconnectAttempts || 0) + 1;
+    if (this.reconnectAttempts > maxAttempts) {
+      this.log(`[UniCache] Giving up reconnecting backend for "${this.cacheName}" after ${maxAttempts} attempts. Operating in memory-only mode.`);
+      this._fallBackToMemory(error);
+      return;
+    }
+    const delay = Math.min(initialDelay * Math.pow(factor, this.reconnectAttempts - 1), maxDelay);
+    this.emit('backend:retry', { attempt: this.reconnectAttempts, delay, error });
+    this.log(`Reconnect attempt ${this.reconnectAttempts} for "${this.cacheName}" in ${delay} ms.`);
+    this.reconnectTimerId = setTimeout(async () => {
+      this.reconnectTimerId = null;
+      try {
+        await this._setupBackend(true);
+        this.reconnectAttempts = 0;
+        this.status = 'persistent';
+        this._startWatching();
+        await this._subscribeChanges();
+        this.log(`Backend for "${this.cacheName}" reconnected. Flushing buffered writes...`);
+        this.emit('backend:reconnected', { cacheType: this.cacheType });
+        await this.sync().catch(() => {}); // Failures are logged and emitted as 'sync:error'
+      } catch (retryError) {
+        this.log(`Reconnect attempt ${this.reconnectAttempts} for "${this.cacheName}" failed: ${retryError.message}`);
+        if (this.status === 'reconnecting') this._scheduleReconnect(retryError);
+      }
+    }, delay);
+  }
+
+  /**
+   * Loads backend data into memory without overwriting writes buffered while the backend was unavailable.
+   * @param {CacheBackend} backend - The newly connected backend.
+   */
+  async _mergeBackendData(backend) {
+    if (this.loadStrategy === 'lazy') return; // Entries are read on access
+    const { data, expiries } = await backend.fetchWithExpiry();
+    if (this.clearPending) return; // The buffered clear() wins over everything persisted before it
+    const merged = [];
+    for (const [key, value] of Object.entries(data || {})) {
+      if (this.changedKeys.has(key) || this.deletedKeys.has(key) || this.patchedPaths.has(key)) continue;
+      this.inMemoryData[key] = value;
+      if (expiries && expiries[key]) this.expiries[key] = expiries[key];
+      this._trackEntry(key);
+      merged.push(key);
+    }
+    this._enforceLimits();
+    this._reencryptIfStale(merged);
+  }
+
+  /**
+   * Polls the backend for changes made by other processes every `options.watchInterval` seconds.
+   */
+  _startWatching() {
+    const watchIntervalSeconds = this.options.watchInterval;
+    if (!watchIntervalSeconds || this.watchIntervalId || !this.backend || this.parent) return; // Namespaces ride on the root's timer
+    this.watchIntervalId = setInterval(() => {
+      this._watchTree();
+    }, watchIntervalSeconds * 1000);
+    this.log(`Watching "${this.cacheName}" for external changes every ${watchIntervalSeconds} seconds.`);
+  }
+
+  /**
+   * Checks this cache and its namespaces for external changes. Driven by the root cache's watch interval.
+   * @returns {Promise<void>}
+   */
+  async _watchTree() {
+    try {
+      await this.checkExternalChanges();
+    } catch (error) {
+      this.log(`Error checking "${this.cacheName}" for external changes: ${error.message}`);
+    }
+    for (const child of this.namespaces.values()) await child._watchTree();
+  }
+
+  /**
+   * Checks whether another process changed the backend and, if so, reloads those changes into memory.
+   * Local changes that are not synced yet are kept. Emits `reload` when something was reloaded.
+   * @returns {Promise<boolean>} True if external changes were found and reloaded.
+   */
+  async checkExternalChanges() {
+    if (!this.backend || typeof this.backend.checkExternalChanges !== 'function') return false;
+    if (!(await this.backend.checkExternalChanges())) return false;
+    this.log(`External changes detected in backend of "${this.cacheName}". Reloading...`);
+
+    if (this.loadStrategy === 'lazy') {
+      // Drop everything clean; it is re-read on next access
+      for (const key of Object.keys(this.inMemoryData)) {
+        if (this._isPendingLocally(key)) continue;
+        delete this.inMemoryData[key];
+        delete this.expiries[key];
+        this._untrackEntry(key);
+      }
+      this.emit('reload', { lazy: true });
+      return true;
+    }
+
+    const { data, expiries } = await this.backend.fetchWithExpiry();
+    const reloaded = [];
+    for (const key of Object.keys(this.inMemoryData)) {
+      if (this._isPendingLocally(key) || Object.prototype.hasOwnProperty.call(data, key)) continue;
+      delete this.inMemoryData[key]; // Deleted by another process
+      delete this.expiries[key];
+      this._untrackEntry(key);
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (this._isPendingLocally(key) || this.evictedKeys.has(key)) continue;
+      this.inMemoryData[key] = value;
+      if (expiries[key]) {
+        this.expiries[key] = expiries[key];
+      } else {
+        delete this.expiries[key];
+      }
+      this._trackEntry(key);
+      reloaded.push(key);
+    }
+    this._enforceLimits();
+    this._reencryptIfStale(reloaded);
+    this.emit('reload', { lazy: false });
+    return true;
+  }
+
+  /**
+   * Subscribes to changes pushed by the backend (`options.invalidation`), so that keys changed by other
+   * instances do not stay stale in memory until the next watch interval. A failure to subscribe is only
+   * logged; the cache keeps working without notifications.
+   * @returns {Promise<void>}
+   */
+  async _subscribeChanges() {
+    if (this.unsubscribeChanges || typeof this.backend.subscribeChanges !== 'function') return;
+    try {
+      this.unsubscribeChanges = await this.backend.subscribeChanges((change) => this._applyExternalChange(change));
+    } catch (error) {
+      this.log(`Could not subscribe to changes of "${this.cacheName}": ${error.message}. Changes made elsewhere are only seen by watchInterval or on reload.`);
+    }
+  }
+
+  /**
+   * Drops keys that another instance changed or deleted from memory. Changed keys are re-read from the
+   * backend on their next access; keys with local changes that are not synced yet are kept.
+   * Emits `invalidate` with the dropped keys.
+   * @param {{upserts: string[], deletes: string[], clear: boolean}} change - As reported by the backend.
+   */
+  _applyExternalChange({ upserts = [], deletes = [], clear = false }) {
+    const invalidated = [];
+    const drop = (key, changed) => {
+      // In lazy mode a missing key is read on access anyway; in eager mode it has to be marked for re-reading
+      const reread = changed && this.loadStrategy !== 'lazy';
+      const known = Object.prototype.hasOwnProperty.call(this.inMemoryData, key) || this.evictedKeys.has(key);
+      if (this._isPendingLocally(key) || (!known && !reread)) return;
+      delete this.inMemoryData[key];
+      delete this.expiries[key];
+      this._untrackEntry(key);
+      if (reread) this.evictedKeys.add(key);
+      invalidated.push(key);
+    };
+    if (clear) {
+      for (const key of [...Object.keys(this.inMemoryData), ...this.evictedKeys]) drop(key, false);
+    }
+    for (const key of deletes) drop(key, false);
+    for (const key of upserts) drop(key, true);
+    if (invalidated.length === 0) return;
+    this.log(`Invalidated ${invalidated.length} key(s) of "${this.cacheName}" changed elsewhere.`);
+    this.emit('invalidate', { keys: invalidated, clear });
+  }
+
+  /**
+   * Whether a top-level key has local changes that are not persisted yet (pending or being synced).
+   * @param {string} key - The top-level key.
+   * @returns {boolean}
+   */
+  _isPendingLocally(key) {
+    if (this.clearPending || this.changedKeys.has(key) || this.deletedKeys.has(key) || this.patchedPaths.has(key)) return true;
+    const syncing = this.syncingChanges;
+    if (!syncing) return false;
+    return syncing.clear || Object.prototype.hasOwnProperty.call(syncing.upserts, key) || Object.prototype.hasOwnProperty.call(syncing.patches, key) || syncing.deletes.includes(key);
+  }
+
+  /**
+   * Whether writes currently reach a persistent backend.
+   * @returns {boolean}
+   */
+  isPersistent() {
+    return this.status === 'persistent' && !!this.backend;
+  }
+
+  /**
+   * Whether writes go to the backend as they are made (`mode: 'write-through'` with a working backend).
+   * While the backend is unavailable, writes are buffered like in write-back mode.
+   * @returns {boolean}
+   */
+  _writesThrough() {
+    return this.mode === 'write-through' && this.isPersistent();
   }
 
   async _loadInitialDataFromBackend() {
+    this._resetChanges();
+    this.evictedKeys.clear();
+    if (this.evictionTracker) this.evictionTracker.clear();
     if (!this.backend) {
       this.inMemoryData = {}; // Should already be {}
+      this.expiries = {};
+      this.isDirty = false;
+      return false;
+    }
+    if (this.loadStrategy === 'lazy') {
+      this.log(`Lazy loading for "${this.cacheName}": entries are read from the backend on first access.`);
+      this.inMemoryData = {};
+      this.expiries = {};
       this.isDirty = false;
       return false;
     }
     try {
       this.log(`Workspaceing initial data for "${this.cacheName}" from backend.`);
-      const data = await this.backend.fetch();
+      const { data, expiries } = await this.backend.fetchWithExpiry();
+      this.expiries = {};
       if (data && Object.keys(data).length > 0) {
         this.inMemoryData = data;
+        const now = Date.now();
+        for (const [key, expiresAt] of Object.entries(expiries || {})) {
+          if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+          if (expiresAt <= now) {
+            delete this.inMemoryData[key]; // Expired while persisted
+          } else {
+            this.expiries[key] = expiresAt;
+          }
+        }
         this.isDirty = false; // Data loaded from backend, consistent state
-        return true;
+        Object.keys(this.inMemoryData).forEach((key) => this._trackEntry(key));
+        this._enforceLimits();
+        this._reencryptIfStale(Object.keys(this.inMemoryData));
+        return Object.keys(this.inMemoryData).length > 0 || this.evictedKeys.size > 0;
       }
       this.inMemoryData = {}; // Ensure it's empty if backend is empty
       this.isDirty = false; // Empty in-memory matches empty backend, so not dirty
@@ -215,7 +817,10 @@ class UniCache {
     } catch (error) {
       this.log(`Error fetching initial data from backend for "${this.cacheName}": ${error.message}`);
       if (this.options.debug) console.error(error);
+      // Starting empty would let the next full sync overwrite the tampered data
+      if (error instanceof DecryptionError) throw error;
       this.inMemoryData = {}; // On error, start with empty in-memory
+      this.expiries = {};
       this.isDirty = false; // Not dirty relative to this (failed) load attempt, considered fresh/empty
       return false;
     }
@@ -237,7 +842,7 @@ class UniCache {
       if (this.options.syncOnBreak) {
         try {
           this.log(`Attempting to sync cache "${this.cacheName}" before exit due to ${signal}...`);
-          await this.sync();
+          await this._syncTree();
           this.log(`Cache "${this.cacheName}" sync attempt completed successfully.`);
         } catch (error) {
           console.error(`[UniCache] Error syncing cache "${this.cacheName}" during shutdown:`, error);
@@ -270,14 +875,449 @@ class UniCache {
     this.log('Signal handlers (SIGINT, SIGTERM) set up.');
   }
 
+  /**
+   * Resolves a TTL given in seconds to an absolute expiry timestamp.
+   * @param {number|null|undefined} ttl - TTL in seconds. `0` or `null` means "never expires".
+   * @returns {number|null} Expiry timestamp in ms since epoch, or null for no expiry.
+   */
+  _resolveExpiry(ttl) {
+    if (ttl === null || ttl === undefined || ttl === 0) return null;
+    const seconds = Number(ttl);
+    if (!isFinite(seconds) || seconds < 0) {
+      throw new Error(`Invalid ttl "${ttl}". Expected a non-negative number of seconds.`);
+    }
+    return Date.now() + Math.round(seconds * 1000);
+  }
+
+  /**
+   * Updates the expiry of a top-level key after a write.
+   * An explicit `ttl` always wins. Otherwise `options.defaultTtl` applies when the whole top-level
+   * value is replaced or newly created, and nested writes keep the existing expiry.
+   * @param {string} topKey - The top-level key that was written.
+   * @param {number|null|undefined} ttl - TTL in seconds from the write options.
+   * @param {boolean} replacesValue - True if the write replaced or created the top-level value.
+   */
+  _applyExpiry(topKey, ttl, replacesValue) {
+    let expiresAt;
+    if (ttl !== undefined) {
+      expiresAt = this._resolveExpiry(ttl);
+    } else if (replacesValue) {
+      expiresAt = this._resolveExpiry(this.options.defaultTtl);
+    } else {
+      return; // Keep the current expiry
+    }
+    if (expiresAt === null) {
+      delete this.expiries[topKey];
+    } else {
+      this.expiries[topKey] = expiresAt;
+    }
+  }
+
+  /**
+   * Removes a top-level key from memory if its TTL has elapsed.
+   * Backends expire their copy themselves, so no delete is sent: it could remove a value another instance has
+   * written since. Only an unsynced local write of the key is turned into a delete, so that it does not leave the
+   * older stored value behind.
+   * @param {string} topKey - The top-level key to check.
+   * @param {number} [now=Date.now()] - Current timestamp in ms.
+   * @returns {boolean} True if the key was expired and purged.
+   */
+  _expireIfNeeded(topKey, now = Date.now()) {
+    const expiresAt = this.expiries[topKey];
+    if (expiresAt === undefined || expiresAt > now) return false;
+    delete this.expiries[topKey];
+    delete this.inMemoryData[topKey];
+    if (this.changedKeys.has(topKey) || this.patchedPaths.has(topKey)) {
+      this._markDeleted(topKey);
+    } else {
+      this._untrackEntry(topKey);
+    }
+    this.log(`Key "${topKey}" in cache "${this.cacheName}" expired and was purged from memory.`);
+    this.counters.expirations++;
+    this.emit('expire', topKey);
+    return true;
+  }
+
+  /**
+   * Purges all expired top-level keys from memory.
+   * Backends expire (or filter) the persisted copies on their own.
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    for (const topKey of Object.keys(this.expiries)) {
+      this._expireIfNeeded(topKey, now);
+    }
+  }
+
+  /**
+   * Records that a top-level key was written and must be upserted on the next sync.
+   * @param {string} topKey - The top-level key that changed.
+   */
+  _markChanged(topKey) {
+    this.deletedKeys.delete(topKey);
+    this.patchedPaths.delete(topKey); // The whole value is upserted
+    this.changedKeys.add(topKey);
+    this.changeVersion++;
+    this.isDirty = true;
+    this.evictedKeys.delete(topKey);
+    this._trackEntry(topKey);
+    this._enforceLimits();
+  }
+
+  /**
+   * Records a write below the top level (`user.profile.name`). Backends that support patches then update just
+   * that path; others upsert the whole top-level value. Falls back to _markChanged() if the whole value has to be
+   * written anyway (it is new, deleted or already changed).
+   * @param {string|string[]} key - The nested key in dot notation or an array of properties.
+   */
+  _markPathChanged(key) {
+    const props = Array.isArray(key) ? key.map(String) : String(key).split('.');
+    const topKey = props[0];
+    if (props.length === 1 || this.changedKeys.has(topKey) || this.deletedKeys.has(topKey) || this.clearPending) {
+      this._markChanged(topKey);
+      return;
+    }
+    const path = props.slice(1);
+    // Paths are kept disjoint: a change covers the changes below it
+    const paths = (this.patchedPaths.get(topKey) || []).filter((known) => !isWithinPath(known, path));
+    if (!paths.some((known) => isWithinPath(path, known))) paths.push(path);
+    this.patchedPaths.set(topKey, paths);
+    this.changeVersion++;
+    this.isDirty = true;
+    this.evictedKeys.delete(topKey);
+    this._trackEntry(topKey);
+    this._enforceLimits();
+  }
+
+  /**
+   * Records that a top-level key was removed and must be deleted on the next sync.
+   * @param {string} topKey - The top-level key that was removed.
+   */
+  _markDeleted(topKey) {
+    this.changedKeys.delete(topKey);
+    this.patchedPaths.delete(topKey);
+    this.deletedKeys.add(topKey);
+    this.changeVersion++;
+    this.isDirty = true;
+    this._untrackEntry(topKey);
+  }
+
+  /**
+   * Records the current size of a top-level entry for eviction.
+   * @param {string} topKey - The top-level key.
+   */
+  _trackEntry(topKey) {
+    if (!this.evictionTracker) return;
+    if (!Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey)) {
+      this.evictionTracker.remove(topKey);
+      return;
+    }
+    this.evictionTracker.track(topKey, estimateSize(topKey, this.inMemoryData[topKey]));
+  }
+
+  _touchEntry(topKey) {
+    if (this.evictionTracker) this.evictionTracker.touch(topKey);
+  }
+
+  _untrackEntry(topKey) {
+    if (this.evictionTracker) this.evictionTracker.remove(topKey);
+    this.evictedKeys.delete(topKey);
+  }
+
+  _withinLimits() {
+    const { maxEntries, maxBytes } = this.options;
+    if (maxEntries && this.evictionTracker.size > maxEntries) return false;
+    if (maxBytes && this.evictionTracker.totalBytes > maxBytes) return false;
+    return true;
+  }
+
+  /**
+   * Evicts top-level keys until `maxEntries` and `maxBytes` are respected.
+   * With a backend, keys with unsynced changes are skipped until a sync of them has succeeded, and evicted keys
+   * stay in the backend to be re-read on access. In memory mode, evicted keys are simply dropped.
+   */
+  _enforceLimits() {
+    if (!this.evictionTracker || this._withinLimits()) return;
+    const persistent = this.cacheType !== 'memory';
+    for (const key of this.evictionTracker.candidates()) {
+      if (this._withinLimits()) break;
+      if (persistent && this._isPendingLocally(key)) continue; // Also while a sync of it runs, which may still fail
+      this.evictionTracker.remove(key);
+      delete this.inMemoryData[key];
+      if (persistent) {
+        this.evictedKeys.add(key); // Expiry is kept so a re-read entry keeps its lifetime
+      } else {
+        delete this.expiries[key];
+      }
+      this.log(`Key "${key}" evicted from memory of cache "${this.cacheName}" (${this.evictionTracker.policy}).`);
+      this.counters.evictions++;
+      this.emit('evict', key);
+    }
+  }
+
+  /**
+   * Whether a top-level key has to be read from the backend before it can be used:
+   * it was evicted, or it is missing in lazy mode and has no pending local change.
+   * @param {string} topKey - The top-level key.
+   * @returns {boolean}
+   */
+  _needsLoad(topKey) {
+    if (!this.backend) return false;
+    if (this.evictedKeys.has(topKey)) return true;
+    return (
+      this.loadStrategy === 'lazy' &&
+      !Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey) &&
+      !this.changedKeys.has(topKey) &&
+      !this.deletedKeys.has(topKey) &&
+      !this.clearPending
+    );
+  }
+
+  /**
+   * Makes sure a top-level key is in memory, reading it from the backend if it was evicted
+   * or, in lazy mode, not loaded yet. Concurrent calls for the same key share one backend read.
+   * @param {string} topKey - The top-level key.
+   * @returns {Promise<void>}
+   */
+  async _ensureLoaded(topKey) {
+    if (!this._needsLoad(topKey)) return;
+    if (!this.pendingLoads.has(topKey)) {
+      this._trackLoad(topKey, this._readFromBackend(topKey));
+    }
+    await this.pendingLoads.get(topKey);
+  }
+
+  /**
+   * Like _ensureLoaded() for several top-level keys, reading all missing keys with one backend call.
+   * @param {string[]} topKeys - The top-level keys.
+   * @returns {Promise<void>}
+   */
+  async _ensureLoadedMany(topKeys) {
+    const unique = [...new Set(topKeys)];
+    const missing = unique.filter((topKey) => this._needsLoad(topKey) && !this.pendingLoads.has(topKey));
+    if (missing.length > 1) {
+      const batch = this._readManyFromBackend(missing);
+      for (const topKey of missing) {
+        this._trackLoad(
+          topKey,
+          batch.then((results) => results[topKey] || { value: undefined, expiresAt: null })
+        );
+      }
+    }
+    await Promise.all(unique.map((topKey) => this._ensureLoaded(topKey)));
+  }
+
+  /**
+   * Registers an in-flight backend read of a top-level key, so concurrent accesses share it,
+   * and stores the result in memory when it arrives.
+   * @param {string} topKey - The top-level key.
+   * @param {Promise<{value: *, expiresAt: (number|null)}>} read - The backend read.
+   */
+  _trackLoad(topKey, read) {
+    const load = read.then(({ value, expiresAt }) => {
+      // A write, delete or clear that happened during the read wins over the stale value
+      if (!this._needsLoad(topKey)) return;
+      this.evictedKeys.delete(topKey);
+      if (value === undefined) {
+        delete this.expiries[topKey];
+        return;
+      }
+      this.inMemoryData[topKey] = value;
+      if (expiresAt) this.expiries[topKey] = expiresAt;
+      this._trackEntry(topKey);
+      this._enforceLimits();
+      this._reencryptIfStale([topKey]);
+    });
+    this.pendingLoads.set(topKey, load);
+    load.then(
+      () => this.pendingLoads.delete(topKey),
+      () => this.pendingLoads.delete(topKey)
+    );
+  }
+
+  /**
+   * Prepares a top-level key for access: purges it if expired, re-reads it if evicted,
+   * and records the access for eviction.
+   * @param {string} topKey - The top-level key.
+   * @returns {Promise<void>}
+   */
+  async _prepareKey(topKey) {
+    this._expireIfNeeded(topKey);
+    await this._ensureLoaded(topKey);
+    this._touchEntry(topKey);
+  }
+
+  /**
+   * _prepareKey() for several top-level keys, loading the missing ones with one backend read.
+   * @param {string[]} topKeys - The top-level keys.
+   * @returns {Promise<void>}
+   */
+  async _prepareKeys(topKeys) {
+    topKeys.forEach((topKey) => this._expireIfNeeded(topKey));
+    await this._ensureLoadedMany(topKeys);
+    topKeys.forEach((topKey) => this._touchEntry(topKey));
+  }
+
+  /**
+   * Reads a single top-level value and its expiry from the backend.
+   * Falls back to a full fetch for backends without their own per-key read.
+   * @param {string} topKey - The top-level key.
+   * @returns {Promise<{value: *, expiresAt: (number|null)}>} `value` is undefined if not found.
+   */
+  async _readFromBackend(topKey) {
+    const backend = this.backend;
+    if (typeof backend.retrieveWithExpiry === 'function' && backend.retrieveWithExpiry !== CacheBackend.prototype.retrieveWithExpiry) {
+      return backend.retrieveWithExpiry(topKey);
+    }
+    if (typeof backend.retrieveObject === 'function' && backend.retrieveObject !== CacheBackend.prototype.retrieveObject) {
+      return { value: await backend.retrieveObject(topKey), expiresAt: null };
+    }
+    const { data, expiries } = await backend.fetchWithExpiry();
+    return { value: data ? data[topKey] : undefined, expiresAt: (expiries && expiries[topKey]) || null };
+  }
+
+  /**
+   * Reads several top-level values and their expiries from the backend, with one call where the backend supports it.
+   * @param {string[]} topKeys - The top-level keys.
+   * @returns {Promise<Object<string, {value: *, expiresAt: (number|null)}>>} Keys that were not found may be missing.
+   */
+  async _readManyFromBackend(topKeys) {
+    const backend = this.backend;
+    if (typeof backend.retrieveManyWithExpiry === 'function' && backend.retrieveManyWithExpiry !== CacheBackend.prototype.retrieveManyWithExpiry) {
+      return backend.retrieveManyWithExpiry(topKeys);
+    }
+    const results = {};
+    await Promise.all(
+      topKeys.map(async (topKey) => {
+        results[topKey] = await this._readFromBackend(topKey);
+      })
+    );
+    return results;
+  }
+
+  /**
+   * Marks keys just read from the backend as changed if any of them was encrypted with a retired key
+   * (or not encrypted), so the next sync writes them back with the current key.
+   * @param {string[]} keys - The top-level keys that were read.
+   */
+  _reencryptIfStale(keys) {
+    if (!this.encryption || !this.encryption.takeStale()) return;
+    const present = keys.filter((key) => Object.prototype.hasOwnProperty.call(this.inMemoryData, key));
+    this.log(`Re-encrypting ${present.length} entries of "${this.cacheName}" with key "${this.encryption.keyId}" on the next sync.`);
+    present.forEach((key) => this._markChanged(key));
+  }
+
+  /**
+   * Whether memory holds every key of the cache (eager loading and nothing evicted).
+   * @returns {boolean}
+   */
+  _hasCompleteData() {
+    return this.loadStrategy !== 'lazy' && this.evictedKeys.size === 0;
+  }
+
+  _resetChanges() {
+    this.changedKeys = new Set();
+    this.deletedKeys = new Set();
+    this.patchedPaths = new Map();
+    this.clearPending = false;
+  }
+
+  _hasPendingChanges() {
+    return this.clearPending || this.changedKeys.size > 0 || this.deletedKeys.size > 0 || this.patchedPaths.size > 0;
+  }
+
+  /**
+   * Builds the change set for the backend from the pending changes and resets tracking,
+   * so writes made while the sync is in flight are tracked for the next one.
+   * @param {boolean} [full=false] - If true, replace the whole backend content with the in-memory data.
+   * @param {Set<string>|null} [topKeys=null] - Take only the changes of these top-level keys and leave the others
+   *   pending. Ignored for a full sync and while a clear is pending, which need every change.
+   * @returns {import('./backends/CacheBackend').ChangeSet}
+   */
+  _takeChanges(full = false, topKeys = null) {
+    if (full || this.clearPending) topKeys = null;
+    const selected = (key) => !topKeys || topKeys.has(key);
+    // A full sync replaces the backend content, unless some keys only live there (evicted or lazily loaded).
+    const clear = (full && this._hasCompleteData()) || this.clearPending;
+    const changes = { clear, upserts: {}, patches: {}, deletes: clear ? [] : [...this.deletedKeys].filter(selected), expiries: {} };
+    const upsertKeys = full ? Object.keys(this.inMemoryData) : [...this.changedKeys].filter(selected);
+    const canPatch = !full && typeof this.backend.supportsPatches === 'function' && this.backend.supportsPatches();
+    for (const [key, paths] of full ? [] : [...this.patchedPaths].filter(([key]) => selected(key))) {
+      const ops = canPatch ? this._buildPatchOps(key, paths) : null;
+      if (!ops) {
+        upsertKeys.push(key);
+        continue;
+      }
+      changes.patches[key] = { value: this.inMemoryData[key], ops };
+      if (this.expiries[key] !== undefined) changes.expiries[key] = this.expiries[key];
+    }
+    for (const key of upsertKeys) {
+      if (!Object.prototype.hasOwnProperty.call(this.inMemoryData, key)) continue;
+      changes.upserts[key] = this.inMemoryData[key];
+      if (this.expiries[key] !== undefined) changes.expiries[key] = this.expiries[key];
+    }
+    if (topKeys) {
+      topKeys.forEach((key) => {
+        this.changedKeys.delete(key);
+        this.deletedKeys.delete(key);
+        this.patchedPaths.delete(key);
+      });
+    } else {
+      this._resetChanges();
+    }
+    return changes;
+  }
+
+  /**
+   * Turns the changed paths of a top-level key into patch operations with their current values.
+   * Only plain objects can be patched; returns null if the value at the key or a container on a path is
+   * something else (an array, a Map, ...), so the whole value is upserted instead.
+   * @param {string} topKey - The top-level key.
+   * @param {string[][]} paths - Changed paths below the key.
+   * @returns {Array<{path: string[], value: *}|{path: string[], delete: true}>|null}
+   */
+  _buildPatchOps(topKey, paths) {
+    const ops = [];
+    for (const path of paths) {
+      let container = this.inMemoryData[topKey];
+      for (const prop of path.slice(0, -1)) {
+        if (!isPatchableObject(container)) return null;
+        container = container[prop];
+      }
+      if (!isPatchableObject(container) && container !== undefined) return null;
+      const value = container === undefined ? undefined : container[path[path.length - 1]];
+      ops.push(value === undefined ? { path, delete: true } : { path, value });
+    }
+    return isPatchableObject(this.inMemoryData[topKey]) ? ops : null;
+  }
+
+  /**
+   * Puts a change set that failed to sync back into tracking.
+   * Keys touched again in the meantime keep their newer state.
+   * @param {import('./backends/CacheBackend').ChangeSet} changes - The change set that failed.
+   */
+  _restoreChanges(changes) {
+    if (changes.clear) this.clearPending = true;
+    for (const key of [...Object.keys(changes.upserts), ...Object.keys(changes.patches || {})]) {
+      if (!this.deletedKeys.has(key)) this.changedKeys.add(key);
+    }
+    for (const key of changes.deletes) {
+      if (!this.changedKeys.has(key)) this.deletedKeys.add(key);
+    }
+  }
+
   /**
    * Checks if the in-memory cache currently contains any data (i.e., is not empty).
    * This method is typically called after `this.init()` has populated the in-memory cache.
    * @returns {Promise<boolean>} True if in-memory data exists (cache has one or more keys), false otherwise.
    */
   async existsObject() {
+    if (this.loadStrategy === 'lazy' && this.backend) {
+      return (await this.count()) > 0; // Memory only holds what was accessed so far
+    }
+    this._purgeExpired();
     // `this.inMemoryData` is populated by `init()`
-    const hasData = this.inMemoryData && Object.keys(this.inMemoryData).length > 0;
+    const hasData = (this.inMemoryData && Object.keys(this.inMemoryData).length > 0) || this.evictedKeys.size > 0;
     this.log(`existsObject (in-memory check): Cache "${this.cacheName}" ${hasData ? 'contains data' : 'is empty'}. In-memory keys: ${Object.keys(this.inMemoryData).length}`);
     return hasData;
   }
@@ -287,7 +1327,8 @@ class UniCache {
    * @returns {boolean} True if the cache is empty, false otherwise.
    */
   isEmpty() {
-    return Object.keys(this.inMemoryData).length === 0;
+    this._purgeExpired();
+    return Object.keys(this.inMemoryData).length === 0 && this.evictedKeys.size === 0;
   }
 
   // ... (get, set, save, fetch, delete, has, clear, keys, count, add, subtract, push, retrieveObject, sync, close methods remain the same, using this.isDirty)
@@ -298,36 +1339,232 @@ class UniCache {
    * @returns {number}
    */
   getInMemorySize() {
+    this._purgeExpired();
     return Object.keys(this.inMemoryData).length;
   }
 
+  /**
+   * @typedef {Object} CacheStats
+   * @property {string} cacheName
+   * @property {string} cacheType
+   * @property {string} status - Backend status: `'persistent'`, `'memory'`, `'fallback'`, `'reconnecting'`, ...
+   * @property {string} mode - `'write-back'` or `'write-through'`.
+   * @property {string} loadStrategy - `'eager'` or `'lazy'`.
+   * @property {number} hits - Lookups (get, getMany, has, getOrSet) that found a value.
+   * @property {number} misses - Lookups that found no value.
+   * @property {number|null} hitRate - `hits / (hits + misses)`, null before the first lookup.
+   * @property {number} sets - Values written (set, setMany, add, subtract, push, save, import).
+   * @property {number} deletes - Keys deleted.
+   * @property {number} evictions - Top-level keys evicted from memory.
+   * @property {number} expirations - Top-level keys purged from memory because their TTL elapsed.
+   * @property {number} syncs - Successful syncs to the backend.
+   * @property {number} syncFailures - Failed syncs.
+   * @property {number|null} lastSyncDurationMs - Duration of the last successful sync.
+   * @property {number|null} lastSyncAt - Time of the last successful sync (ms since epoch).
+   * @property {number|null} entries - Top-level keys, as count() returns them; null if the backend could not be asked.
+   * @property {number} memoryEntries - Top-level keys held in memory.
+   * @property {number} memoryBytes - Approximate size of the entries held in memory (JSON bytes).
+   */
+
+  /**
+   * Returns the counters and sizes of this cache. Counters start at zero when the cache is created; each
+   * namespace has its own.
+   * @returns {Promise<CacheStats>}
+   */
+  async stats() {
+    this._purgeExpired();
+    let entries = null;
+    try {
+      entries = await this.count(); // Asks the backend in lazy mode
+    } catch (error) {
+      this.log(`Could not count the entries of "${this.cacheName}" for stats: ${error.message}`);
+    }
+    const { hits, misses } = this.counters;
+    const memoryKeys = Object.keys(this.inMemoryData);
+    return {
+      cacheName: this.cacheName,
+      cacheType: this.cacheType,
+      status: this.status,
+      mode: this.mode,
+      loadStrategy: this.loadStrategy,
+      ...this.counters,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      lastSyncDurationMs: this.lastSync ? this.lastSync.durationMs : null,
+      lastSyncAt: this.lastSync ? this.lastSync.at : null,
+      entries,
+      memoryEntries: memoryKeys.length,
+      memoryBytes: this.evictionTracker ? this.evictionTracker.totalBytes : memoryKeys.reduce((bytes, key) => bytes + estimateSize(key, this.inMemoryData[key]), 0),
+    };
+  }
+
+  /**
+   * Renders stats() of this cache and its namespaces in the Prometheus text exposition format, e.g. for a
+   * `/metrics` endpoint. Each cache is labelled `cache="<cacheName>"`. See src/metrics.js for the metric names.
+   * @param {Object} [options]
+   * @param {string} [options.prefix='unicache'] - Prefix of the metric names.
+   * @returns {Promise<string>}
+   */
+  async metrics(options = {}) {
+    const caches = [this];
+    for (let i = 0; i < caches.length; i++) caches.push(...caches[i].namespaces.values());
+    const statsList = [];
+    for (const cache of caches) statsList.push(await cache.stats());
+    return renderMetrics(statsList, options);
+  }
+
   async get(key) {
-    return getProperties(this.inMemoryData, key);
+    await this._prepareKey(getTopLevelKey(key));
+    return this._countLookup(getProperties(this.inMemoryData, key));
+  }
+
+  /**
+   * Counts a lookup as a hit or a miss for stats().
+   * @param {*} value - The value found, undefined for a miss.
+   * @returns {*} `value`.
+   */
+  _countLookup(value) {
+    if (value === undefined) {
+      this.counters.misses++;
+    } else {
+      this.counters.hits++;
+    }
+    return value;
+  }
+
+  /**
+   * Set a value in the cache.
+   * @param {string|string[]} key - The key string in dot notation or an array of properties.
+   * @param {*} value - The value to set.
+   * @param {boolean|object} [options] - Boolean `syncNow` flag, or `{ ttl, sync }`.
+   *   `ttl` is in seconds and applies to the top-level key; `0`/`null` removes any expiry.
+   *   Without `ttl`, `options.defaultTtl` applies when the top-level value is replaced or created.
+   */
+  async set(key, value, options = this.options.syncOnWrite) {
+    const { sync, ttl } = normalizeWriteOptions(options, this.options.syncOnWrite);
+    await this._setValue(key, value, ttl);
+    await this._syncAfterWrite(sync, [getTopLevelKey(key)]);
   }
 
-  async set(key, value, syncNow = this.options.syncOnWrite) {
+  /**
+   * The in-memory part of set(): writes the value, applies the TTL, records the change and emits `set`.
+   * @param {string|string[]} key - The key string in dot notation or an array of properties.
+   * @param {*} value - The value to set.
+   * @param {number|null} [ttl] - TTL in seconds, see set().
+   * @returns {Promise<void>}
+   */
+  async _setValue(key, value, ttl) {
+    const topKey = getTopLevelKey(key);
+    const props = Array.isArray(key) ? key : key.split('.');
+    if (props.length > 1) {
+      await this._prepareKey(topKey); // Nested writes need the rest of the value
+    } else {
+      this._expireIfNeeded(topKey);
+    }
+    const replacesValue = props.length === 1 || !Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey);
     setProperties(this.inMemoryData, key, value);
-    this.isDirty = true; // Mark as dirty
-    if (syncNow) {
-      await this.sync(); // sync() will check isDirty
+    this._applyExpiry(topKey, ttl, replacesValue);
+    this.staleAt.delete(getKeyId(key)); // A plain write is fresh until it expires
+    if (replacesValue || ttl !== undefined) {
+      this._markChanged(topKey);
+    } else {
+      this._markPathChanged(key); // Keeps the expiry, so only the path has to be written
+    }
+    this.counters.sets++;
+    this.emit('set', key, value);
+  }
+
+  /**
+   * Syncs after a write that asked for it (`syncNow`/`syncOnWrite`), and after every write in write-through mode.
+   * Inside update() the sync is deferred until update() finishes, so a batch of writes syncs once.
+   * @param {boolean} syncNow - Whether the write asked for a sync.
+   * @param {string[]} [topKeys] - The top-level keys written. In write-through mode without `syncNow`, only their
+   *   changes are sent; other pending changes wait for the next sync.
+   * @returns {Promise<void>}
+   */
+  async _syncAfterWrite(syncNow, topKeys) {
+    if (!syncNow && !this._writesThrough()) return;
+    if (this.batchDepth > 0) {
+      this.batchSyncRequested = true;
+      return;
+    }
+    if (!syncNow && topKeys) {
+      await this._requestSync(false, new Set(topKeys));
+      return;
     }
+    await this.sync(); // sync() will check isDirty
   }
 
   async save(data, syncNow = this.options.syncOnWrite) {
     Object.assign(this.inMemoryData, data);
-    this.isDirty = true; // Mark as dirty
-    if (syncNow) {
-      await this.sync();
+    for (const key of Object.keys(data)) {
+      this._applyExpiry(key, undefined, true);
+      this._markChanged(key);
+      this.counters.sets++;
+      this.emit('set', key, data[key]);
     }
+    await this._syncAfterWrite(syncNow, Object.keys(data));
   }
 
+  /**
+   * Returns a shallow copy of the in-memory data. Keys evicted to the backend are not included.
+   * @returns {Promise<Object>}
+   */
   async fetch() {
+    this._purgeExpired();
     return { ...this.inMemoryData };
   }
 
   async delete(key, syncNow = this.options.syncOnWrite) {
+    if (await this._deleteThrough(key)) return;
+    if (await this._deleteValue(key)) {
+      await this._syncAfterWrite(syncNow, [getTopLevelKey(key)]);
+    }
+  }
+
+  /**
+   * Write-through delete of a top-level key with the backend's delete(). Nested paths rewrite their
+   * top-level value instead, through _deleteValue() and a sync.
+   * @param {string|string[]} key - The key passed to delete().
+   * `delete` is only emitted (and counted) if the backend removed the key; backends that do not report it
+   * (no boolean result) count as having removed it.
+   * @returns {Promise<boolean>} False if the delete has to go through memory and sync() instead.
+   */
+  async _deleteThrough(key) {
+    const props = Array.isArray(key) ? key : String(key).split('.');
+    if (props.length > 1 || this.batchDepth > 0 || !this._writesThrough()) return false;
+    const topKey = props[0];
+    // A pending upsert of the key must not reach the backend after the delete
+    if (this._isPendingLocally(topKey)) await this._requestSync(false, new Set([topKey]));
+    const removed = await this.backend.delete(topKey);
+    delete this.inMemoryData[topKey];
+    delete this.expiries[topKey];
+    this.evictedKeys.delete(topKey);
+    this._untrackEntry(topKey);
+    if (removed !== false) {
+      this.counters.deletes++;
+      this.emit('delete', key);
+    }
+    return true;
+  }
+
+  /**
+   * The in-memory part of delete(): removes the key path, records the change and emits `delete`.
+   * @param {string|string[]} key - The key string in dot notation or an array of properties.
+   * @returns {Promise<boolean>} False if the key path did not exist.
+   */
+  async _deleteValue(key) {
     // ... (delete logic from your last provided version)
     const props = Array.isArray(key) ? key : key.split('.');
+    this._expireIfNeeded(props[0]);
+    if (props.length === 1 && this.evictedKeys.has(props[0])) {
+      // Evicted keys only live in the backend; no need to read them back just to delete them
+      delete this.expiries[props[0]];
+      this._markDeleted(props[0]);
+      this.counters.deletes++;
+      this.emit('delete', key);
+      return true;
+    }
+    await this._ensureLoaded(props[0]);
     let current = this.inMemoryData;
     let parent = null;
     let lastProp = null;
@@ -336,7 +1573,7 @@ class UniCache {
       const prop = props[i];
       if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, prop)) {
         this.log(`Key path not found for deletion: ${key}`);
-        return; // Key not found, nothing to delete or mark dirty
+        return false; // Key not found, nothing to delete or mark dirty
       }
       if (i === props.length - 1) {
         parent = current;
@@ -348,15 +1585,210 @@ class UniCache {
 
     if (parent && lastProp) {
       delete parent[lastProp];
-      this.isDirty = true; // Mark as dirty
-      if (syncNow) {
+      if (props.length === 1) {
+        delete this.expiries[lastProp];
+        this._markDeleted(lastProp);
+      } else {
+        this._markPathChanged(props);
+      }
+      this.counters.deletes++;
+      this.emit('delete', key);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Gets several values at once. Keys missing from memory (lazy loading, evicted entries) are read
+   * from the backend in a single batch.
+   * @param {Array<string|string[]>} keys - Keys in dot notation or arrays of properties.
+   * @returns {Promise<Array<*>>} The values in the order of `keys`; undefined for missing keys.
+   */
+  async getMany(keys) {
+    await this._prepareKeys(keys.map(getTopLevelKey));
+    const values = [];
+    for (const key of keys) {
+      // A batch larger than maxEntries evicts some of the keys it has just read; those are read again one by one
+      if (this.evictedKeys.has(getTopLevelKey(key))) await this._prepareKey(getTopLevelKey(key));
+      values.push(this._countLookup(getProperties(this.inMemoryData, key)));
+    }
+    return values;
+  }
+
+  /**
+   * Sets several values at once and syncs at most once.
+   * @param {Object|Array<Array>} entries - An object of key/value pairs, or an array of `[key, value]` pairs
+   *   (keys in dot notation or arrays of properties).
+   * @param {boolean|object} [options] - Boolean `syncNow` flag, or `{ ttl, sync }` applied to every entry (see set()).
+   * @returns {Promise<void>}
+   */
+  async setMany(entries, options = this.options.syncOnWrite) {
+    const { sync, ttl } = normalizeWriteOptions(options, this.options.syncOnWrite);
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+    // Nested writes need the rest of their top-level value; load those in one batch first
+    const nested = pairs.filter(([key]) => (Array.isArray(key) ? key.length > 1 : String(key).includes('.')));
+    if (nested.length > 0) await this._prepareKeys(nested.map(([key]) => getTopLevelKey(key)));
+    for (const [key, value] of pairs) {
+      await this._setValue(key, value, ttl);
+    }
+    if (pairs.length > 0) await this._syncAfterWrite(sync, pairs.map(([key]) => getTopLevelKey(key)));
+  }
+
+  /**
+   * Deletes several keys at once and syncs at most once.
+   * @param {Array<string|string[]>} keys - Keys in dot notation or arrays of properties.
+   * @param {boolean|object} [options] - Boolean `syncNow` flag, or `{ sync }`.
+   * @returns {Promise<number>} The number of keys that existed and were deleted.
+   */
+  async deleteMany(keys, options = this.options.syncOnWrite) {
+    const { sync } = normalizeWriteOptions(options, this.options.syncOnWrite);
+    // Evicted top-level keys are deleted without being read back, see _deleteValue()
+    const toLoad = keys.filter((key) => (Array.isArray(key) ? key : String(key).split('.')).length > 1 || !this.evictedKeys.has(getTopLevelKey(key)));
+    if (toLoad.length > 0) await this._ensureLoadedMany(toLoad.map(getTopLevelKey));
+    let deleted = 0;
+    for (const key of keys) {
+      if (await this._deleteValue(key)) deleted++;
+    }
+    if (deleted > 0) await this._syncAfterWrite(sync, keys.map(getTopLevelKey));
+    return deleted;
+  }
+
+  /**
+   * Runs several operations as one batch: writes inside `fn` that would sync (`syncNow`/`syncOnWrite`)
+   * are synced once, after `fn` resolves. Changes are not rolled back if `fn` throws; they stay
+   * pending for the next sync.
+   * @param {function(UniCache): (Promise<*>|*)} fn - Receives the cache.
+   * @param {Object} [options]
+   * @param {boolean} [options.sync] - Force (`true`) or skip (`false`) the final sync. By default it syncs
+   *   if any write inside `fn` asked for a sync.
+   * @returns {Promise<*>} The result of `fn`.
+   */
+  async update(fn, options = {}) {
+    if (this.batchDepth === 0) this.batchSyncRequested = false; // Left over from a batch that threw
+    this.batchDepth++;
+    let result;
+    try {
+      result = await fn(this);
+    } finally {
+      this.batchDepth--;
+    }
+    if (this.batchDepth === 0) {
+      const syncRequested = this.batchSyncRequested;
+      this.batchSyncRequested = false;
+      if (options.sync === true || (options.sync === undefined && syncRequested)) {
         await this.sync();
       }
+    } else if (options.sync === true) {
+      this.batchSyncRequested = true; // Nested update(): the outermost one syncs
+    }
+    return result;
+  }
+
+  /**
+   * Returns the cached value of `key`, or calls `producer` on a miss and caches its result.
+   * Concurrent misses for the same key share one producer call. A producer result of `undefined` is
+   * returned but not cached; a producer error is passed to every waiting caller and nothing is cached.
+   * @param {string|string[]} key - The key string in dot notation or an array of properties.
+   * @param {function(string|string[]): (Promise<*>|*)} producer - Computes the value; receives the key.
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - TTL in seconds of the produced value (default: `options.defaultTtl`).
+   * @param {number} [options.staleWhileRevalidate] - Seconds after the TTL during which the old value is still
+   *   returned while `producer` refreshes it in the background. Requires a TTL.
+   * @param {boolean} [options.sync] - Sync after caching the value (default: `options.syncOnWrite`).
+   * @returns {Promise<*>}
+   */
+  async getOrSet(key, producer, options = {}) {
+    if (typeof producer !== 'function') throw new TypeError('getOrSet(key, producer): producer must be a function.');
+    const keyId = getKeyId(key);
+    const value = await this.get(key);
+    if (value !== undefined) {
+      const staleAt = this.staleAt.get(keyId);
+      if (staleAt !== undefined && Date.now() >= staleAt && !this.producing.has(keyId)) {
+        // Serve the stale value; errors of the background refresh are reported as 'refresh:error'
+        this._produce(key, keyId, producer, options).catch((error) => {
+          this.log(`Background refresh of "${keyId}" in cache "${this.cacheName}" failed: ${error.message}`);
+          this.emit('refresh:error', error, key);
+        });
+      }
+      return value;
+    }
+    return this.producing.get(keyId) || this._produce(key, keyId, producer, options);
+  }
+
+  /**
+   * Calls the producer of getOrSet() and caches its result. The call is registered in `this.producing`
+   * until it settles, so concurrent callers can join it.
+   * @returns {Promise<*>} The produced value.
+   */
+  _produce(key, keyId, producer, { ttl, staleWhileRevalidate, sync = this.options.syncOnWrite } = {}) {
+    const freshTtl = ttl !== undefined ? ttl : this.options.defaultTtl;
+    if (staleWhileRevalidate && !freshTtl) {
+      return Promise.reject(new Error('getOrSet(): staleWhileRevalidate requires a ttl (or options.defaultTtl).'));
+    }
+    const run = (async () => {
+      const value = await producer(key);
+      if (value === undefined) return value;
+      if (staleWhileRevalidate) {
+        // Kept for ttl + staleWhileRevalidate; stale (refreshed on access) after ttl
+        await this.set(key, value, { ttl: freshTtl + staleWhileRevalidate, sync });
+        this.staleAt.set(keyId, Date.now() + freshTtl * 1000);
+      } else {
+        await this.set(key, value, { ttl, sync });
+      }
+      return value;
+    })();
+    this.producing.set(keyId, run);
+    const done = () => {
+      if (this.producing.get(keyId) === run) this.producing.delete(keyId);
+    };
+    run.then(done, done);
+    return run;
+  }
+
+  /**
+   * Memoizes an async function in the cache with getOrSet().
+   * @param {function(...*): (Promise<*>|*)} fn - The function to memoize.
+   * @param {function(...*): (string|string[])} [keyFn] - Builds the cache key from the arguments. Defaults to
+   *   the key prefix and the JSON of the arguments, as a single top-level key.
+   * @param {Object} [options] - getOrSet() options (`ttl`, `staleWhileRevalidate`, `sync`), and:
+   * @param {string} [options.key] - Key prefix used without `keyFn`. Defaults to the function name; required for
+   *   anonymous functions. A prefix can only be used by one function per cache.
+   * @returns {function(...*): Promise<*>}
+   * @throws {TypeError} If `fn` is anonymous and neither `keyFn` nor `options.key` is given.
+   * @throws {Error} If the key prefix is already used by another function wrapped on this cache.
+   */
+  wrap(fn, keyFn, options = {}) {
+    if (typeof fn !== 'function') throw new TypeError('wrap(fn, keyFn): fn must be a function.');
+    if (keyFn && typeof keyFn === 'object') {
+      options = keyFn; // wrap(fn, options)
+      keyFn = null;
+    }
+    const { key: prefix = fn.name, ...getOrSetOptions } = options;
+    let buildKey = keyFn;
+    if (!buildKey) {
+      if (!prefix) throw new TypeError('wrap(fn): an anonymous function needs a keyFn or a `key` option, so its results are not shared with other functions.');
+      const owner = this.wrappedFunctions.get(prefix);
+      if (owner && owner !== fn) {
+        throw new Error(`wrap(fn): the key "${prefix}" is already used by another function in cache "${this.cacheName}". Give it a distinct \`key\` option or a keyFn.`);
+      }
+      this.wrappedFunctions.set(prefix, fn);
+      buildKey = (...args) => [`${prefix}(${JSON.stringify(args)})`];
     }
+    return (...args) => this.getOrSet(buildKey(...args), () => fn(...args), getOrSetOptions);
   }
 
   async has(key) {
-    return getProperties(this.inMemoryData, key) !== undefined;
+    const topKey = getTopLevelKey(key);
+    const props = Array.isArray(key) ? key : key.split('.');
+    this._expireIfNeeded(topKey);
+    if (props.length === 1 && this._needsLoad(topKey) && !this.evictedKeys.has(topKey)) {
+      // Lazy miss on a top-level key: ask the backend without transferring the value
+      const exists = await this.backend.has(topKey);
+      this._countLookup(exists || undefined);
+      return exists;
+    }
+    await this._prepareKey(topKey);
+    return this._countLookup(getProperties(this.inMemoryData, key)) !== undefined;
   }
 
   async clear(syncNow = this.options.syncOnWrite) {
@@ -364,6 +1796,14 @@ class UniCache {
       this.isDirty = true; // Mark as dirty only if it wasn't already empty
     }
     this.inMemoryData = {};
+    this.expiries = {};
+    this._resetChanges();
+    this.evictedKeys.clear();
+    if (this.evictionTracker) this.evictionTracker.clear();
+    this.staleAt.clear();
+    this.clearPending = true; // Remove everything in the backend on the next sync
+    this.changeVersion++;
+    this.emit('clear');
     // If backend might not be empty, clearing in-memory makes it dirty relative to backend.
     // So, always consider a clear operation as making it dirty if sync is intended.
     if (Object.keys(this.inMemoryData).length === 0 && !this.isDirty) {
@@ -375,55 +1815,267 @@ class UniCache {
     }
     this.isDirty = true; // A clear operation means the state (empty) should be persisted.
 
-    if (syncNow) {
-      await this.sync();
+    if (syncNow || this._writesThrough()) {
+      await this._syncAfterWrite(syncNow);
     } else if (this.isDirty) {
       // Log if not syncing now but it is dirty
       this.log(`Cache "${this.cacheName}" cleared in memory and marked as dirty.`);
     }
   }
 
-  async keys() {
-    return Object.keys(this.inMemoryData);
+  /**
+   * Gets the top-level keys of the cache, including keys evicted to the backend.
+   * In lazy mode the backend is asked, with unsynced local changes applied on top.
+   *
+   * With `match` or `prefix`, only the selected keys are returned; in lazy mode the backend filters them
+   * (Redis SCAN MATCH, SQLite GLOB, a MongoDB query). With `limit` or `cursor`, one page is returned instead of
+   * an array: pass the returned `cursor` back for the next page, until it is null. See src/keyPattern.js for the
+   * pattern syntax.
+   * @param {KeyQuery} [query] - `{ match, prefix, limit, cursor }`.
+   * @returns {Promise<string[]|{keys: string[], cursor: (string|null)}>}
+   */
+  async keys(query) {
+    this._purgeExpired();
+    const paged = !!query && (query.limit !== undefined || query.cursor !== undefined);
+    if (this.loadStrategy === 'lazy' && this.backend) {
+      const page = await this._scanKeys(query || {});
+      return paged ? page : page.keys;
+    }
+    const keys = [...Object.keys(this.inMemoryData), ...this.evictedKeys];
+    if (!query) return keys;
+    return paged ? pageKeys(keys, query) : keys.filter(createKeyFilter(query));
+  }
+
+  /**
+   * Pages through the keys of a lazily loaded cache in the backend, with the unsynced local changes applied:
+   * keys written locally are added to the first page (which can therefore hold more than `limit` keys), and keys
+   * deleted locally are left out. Keys written or deleted while paging may be missed or listed twice.
+   * @param {KeyQuery} query
+   * @returns {Promise<{keys: string[], cursor: (string|null)}>}
+   */
+  async _scanKeys(query) {
+    const { match, prefix, limit, cursor } = query;
+    if (this.clearPending) return pageKeys(Object.keys(this.inMemoryData), query);
+    const scanKeys = typeof this.backend.scanKeys === 'function' ? this.backend.scanKeys : CacheBackend.prototype.scanKeys;
+    const page = await scanKeys.call(this.backend, { match, prefix, limit, cursor: cursor || undefined });
+    const keys = page.keys.filter((key) => !this._isPendingLocally(key));
+    if (!cursor) {
+      const filter = createKeyFilter(query);
+      keys.unshift(...Object.keys(this.inMemoryData).filter((key) => filter(key) && this._isPendingLocally(key)));
+    }
+    return { keys, cursor: page.cursor || null };
   }
 
   /**
-   * Gets the number of top-level keys in the in-memory cache.
+   * Gets the number of top-level keys in the cache, including keys evicted to the backend.
+   * In lazy mode the backend is asked.
    * @returns {Promise<number>}
    */
   async count() {
-    return Object.keys(this.inMemoryData).length;
+    if (this.loadStrategy === 'lazy' && this.backend) {
+      if (!this._hasPendingChanges()) return this.backend.count();
+      return (await this.keys()).length;
+    }
+    this._purgeExpired();
+    return Object.keys(this.inMemoryData).length + this.evictedKeys.size;
+  }
+
+  /**
+   * Iterates over `[key, value]` pairs of the top-level entries, optionally selected by `match` or `prefix`
+   * (see keys()). Keys are listed page by page, and values that are not in memory are read from the backend
+   * a page at a time without being loaded, so large lazily loaded caches can be walked.
+   * Entries written or deleted during the iteration may be missed or seen twice.
+   * @example
+   * for await (const [key, user] of cache.entries({ prefix: 'user:' })) console.log(key, user.name);
+   * @param {Object} [options]
+   * @param {string} [options.match] - Pattern the keys must match.
+   * @param {string} [options.prefix] - Literal start of the keys.
+   * @param {number} [options.batchSize=100] - Keys listed and read per page.
+   * @returns {AsyncGenerator<Array>} `[key, value]` pairs.
+   */
+  async *entries(options = {}) {
+    const { match, prefix, batchSize = 100 } = options;
+    for await (const { key, value } of this._readEntries({ match, prefix, limit: batchSize })) yield [key, value];
+  }
+
+  /**
+   * Reads entries with their expiries page by page, from memory or, for keys that are not in memory, from the
+   * backend without loading them. Unsynced changes are included.
+   * @param {KeyQuery} query - Selects the keys; `limit` is the page size.
+   * @returns {AsyncGenerator<SnapshotEntry>}
+   */
+  async *_readEntries(query) {
+    let cursor;
+    do {
+      const page = await this.keys({ ...query, cursor });
+      cursor = page.cursor;
+      const missing = page.keys.filter((key) => !Object.prototype.hasOwnProperty.call(this.inMemoryData, key));
+      const loaded = missing.length > 0 && this.backend ? await this._readManyFromBackend(missing) : {};
+      for (const key of page.keys) {
+        if (Object.prototype.hasOwnProperty.call(this.inMemoryData, key)) {
+          yield { key, value: this.inMemoryData[key], expiresAt: this.expiries[key] || null };
+        } else if (loaded[key] && loaded[key].value !== undefined) {
+          yield { key, value: loaded[key].value, expiresAt: loaded[key].expiresAt };
+        } // Otherwise deleted or expired meanwhile
+      }
+    } while (cursor);
+  }
+
+  /**
+   * Writes a snapshot of every entry, with its expiry, to a stream. Keys that are not in memory (lazy loading,
+   * evicted entries) are read from the backend page by page without being loaded; unsynced changes are included.
+   * See src/snapshot.js for the format.
+   * @param {Writable} stream - A text stream, e.g. `fs.createWriteStream('cache.ndjson')`.
+   * @param {Object} [options]
+   * @param {string} [options.format='ndjson'] - `'ndjson'` (one entry per line) or `'json'` (one document).
+   * @param {boolean} [options.end=true] - End the stream when done.
+   * @returns {Promise<number>} The number of entries written.
+   */
+  async export(stream, options = {}) {
+    const { format = 'ndjson', end = true } = options;
+    const count = await writeSnapshot(stream, this._readEntries({ limit: SNAPSHOT_PAGE_SIZE }), { format, header: { cacheName: this.cacheName } });
+    if (end) stream.end();
+    this.log(`Exported ${count} entries of "${this.cacheName}" (${format}).`);
+    return count;
+  }
+
+  /**
+   * Reads a snapshot written by export() (either format) and writes its entries with their expiries.
+   * Entries that expired since the export are skipped. Every entry is held in memory until the next sync.
+   * If the snapshot turns out to be invalid part way through, the entries read before stay written.
+   * @param {Readable} stream - A text stream, e.g. `fs.createReadStream('cache.ndjson')`.
+   * @param {Object} [options]
+   * @param {string} [options.mode='merge'] - `'merge'` keeps keys missing from the snapshot; `'replace'` clears the cache first.
+   * @param {boolean} [options.sync] - Sync when done. Defaults to `options.syncOnWrite`; write-through mode always syncs.
+   * @returns {Promise<number>} The number of entries imported.
+   */
+  async import(stream, options = {}) {
+    const { mode = 'merge', sync = this.options.syncOnWrite } = options;
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Invalid import mode "${mode}". Expected 'merge' or 'replace'.`);
+    }
+    const entries = readSnapshot(stream)[Symbol.asyncIterator]();
+    let next = await entries.next(); // Rejects input that is not a snapshot before anything is cleared
+    let count = 0;
+    // As one batch: in write-through mode, the clear and the entries reach the backend in one sync
+    await this.update(async () => {
+      if (mode === 'replace') await this.clear(false);
+      for (; !next.done; next = await entries.next()) {
+        const { key, value, expiresAt } = next.value;
+        const now = Date.now();
+        if (expiresAt && expiresAt <= now) continue;
+        // An explicit TTL (0: never expires) keeps the exported expiry instead of applying defaultTtl
+        await this._setValue([key], value, expiresAt ? (expiresAt - now) / 1000 : 0);
+        count++;
+      }
+      if (count > 0 || mode === 'replace') await this._syncAfterWrite(sync);
+    });
+    this.log(`Imported ${count} entries into "${this.cacheName}" (${mode}).`);
+    return count;
   }
 
   async add(key, count, syncNow = this.options.syncOnWrite) {
-    const currentValue = Number(getProperties(this.inMemoryData, key)) || 0;
-    setProperties(this.inMemoryData, key, currentValue + Number(count));
-    this.isDirty = true; // Mark as dirty
-    if (syncNow) {
-      await this.sync();
+    if (await this._atomicWrite('add', key, count, syncNow)) return;
+    const topKey = getTopLevelKey(key);
+    await this._prepareKey(topKey);
+    const isNew = !Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey);
+    const currentValue = CacheBackend.counterValue(getProperties(this.inMemoryData, key), key, 'add');
+    const newValue = currentValue + Number(count);
+    setProperties(this.inMemoryData, key, newValue);
+    this._applyExpiry(topKey, undefined, isNew);
+    if (isNew) {
+      this._markChanged(topKey);
+    } else {
+      this._markPathChanged(key);
     }
+    this.counters.sets++;
+    this.emit('set', key, newValue);
+    await this._syncAfterWrite(syncNow, [topKey]);
   }
 
   async subtract(key, count, syncNow = this.options.syncOnWrite) {
-    const currentValue = Number(getProperties(this.inMemoryData, key)) || 0;
-    setProperties(this.inMemoryData, key, currentValue - Number(count));
-    this.isDirty = true; // Mark as dirty
-    if (syncNow) {
-      await this.sync();
+    if (await this._atomicWrite('subtract', key, count, syncNow)) return;
+    const topKey = getTopLevelKey(key);
+    await this._prepareKey(topKey);
+    const isNew = !Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey);
+    const currentValue = CacheBackend.counterValue(getProperties(this.inMemoryData, key), key, 'subtract');
+    const newValue = currentValue - Number(count);
+    setProperties(this.inMemoryData, key, newValue);
+    this._applyExpiry(topKey, undefined, isNew);
+    if (isNew) {
+      this._markChanged(topKey);
+    } else {
+      this._markPathChanged(key);
     }
+    this.counters.sets++;
+    this.emit('set', key, newValue);
+    await this._syncAfterWrite(syncNow, [topKey]);
   }
 
   async push(key, element, syncNow = this.options.syncOnWrite) {
+    if (await this._atomicWrite('push', key, element, syncNow)) return;
+    const topKey = getTopLevelKey(key);
+    await this._prepareKey(topKey);
+    const isNew = !Object.prototype.hasOwnProperty.call(this.inMemoryData, topKey);
     let arr = getProperties(this.inMemoryData, key);
     if (!Array.isArray(arr)) {
       arr = [];
       setProperties(this.inMemoryData, key, arr); // This setProperties call will also mark dirty if it creates path
     }
     arr.push(element);
-    this.isDirty = true; // Mark as dirty
-    if (syncNow) {
-      await this.sync();
+    this._applyExpiry(topKey, undefined, isNew);
+    if (isNew) {
+      this._markChanged(topKey);
+    } else {
+      this._markPathChanged(key);
+    }
+    this.counters.sets++;
+    this.emit('set', key, arr);
+    await this._syncAfterWrite(syncNow, [topKey]);
+  }
+
+  /**
+   * Applies add(), subtract() or push() with the backend's atomic operation (Redis `INCRBYFLOAT`, MongoDB `$inc`/`$push`,
+   * a SQLite transaction, the file lock), so concurrent updates from other processes are not lost, and reads the
+   * result back into memory. Used for top-level keys written with `syncNow` (or in write-through mode) outside update(),
+   * if the backend supports it.
+   * @param {string} operation - `'add'`, `'subtract'` or `'push'`.
+   * @param {string|string[]} key - The key passed to the public method.
+   * @param {*} operand - The count or element.
+   * @param {boolean} syncNow - Whether the write asked for a sync.
+   * @returns {Promise<boolean>} False if the write has to go through memory and sync() instead.
+   */
+  async _atomicWrite(operation, key, operand, syncNow) {
+    const props = Array.isArray(key) ? key : String(key).split('.');
+    if (!(syncNow || this.mode === 'write-through') || props.length > 1 || this.batchDepth > 0 || !this.isPersistent()) return false;
+    if (typeof this.backend.supportsAtomic !== 'function' || !this.backend.supportsAtomic(operation)) return false;
+    const topKey = props[0];
+    this._expireIfNeeded(topKey);
+    // The backend must hold our own pending writes of the key before it updates it
+    if (this._isPendingLocally(topKey)) await this._requestSync(false, new Set([topKey]));
+    const createdExpiry = this._resolveExpiry(this.options.defaultTtl);
+    await this.backend[operation](topKey, operand, createdExpiry ? { expiresAt: createdExpiry } : {});
+    const { value, expiresAt } = await this._readFromBackend(topKey);
+    if (!this._isPendingLocally(topKey)) {
+      // Not marked changed: memory now matches the backend
+      this.evictedKeys.delete(topKey);
+      if (value === undefined) {
+        delete this.inMemoryData[topKey];
+        delete this.expiries[topKey];
+      } else {
+        this.inMemoryData[topKey] = value;
+        if (expiresAt) {
+          this.expiries[topKey] = expiresAt;
+        } else {
+          delete this.expiries[topKey];
+        }
+        this._trackEntry(topKey);
+        this._enforceLimits();
+      }
     }
+    this.counters.sets++;
+    this.emit('set', key, value);
+    return true;
   }
 
   async retrieveObject(key) {
@@ -433,9 +2085,73 @@ class UniCache {
   /**
    * Synchronize in-memory cache to backend.
    * Only performs sync if data is marked as dirty or if forceSync is true.
-   * @param {boolean} [forceSync=false] - If true, sync will be performed even if not marked dirty.
+   * Sends only the top-level keys changed or removed since the last successful sync.
+   * Syncs never overlap: a call made while a sync is running waits for it and then runs one follow-up sync,
+   * shared by every call made in the meantime, which covers all their writes.
+   * @param {boolean} [forceSync=false] - If true, sync will be performed even if not marked dirty,
+   *   replacing the whole backend content with the in-memory data.
    */
   async sync(forceSync = false) {
+    return this._requestSync(forceSync, null);
+  }
+
+  /**
+   * Runs a sync, or queues it behind the running one. A queued sync covers every request made while it waits:
+   * it is limited to the union of their keys, unless one of them asked for all changes.
+   * @param {boolean} forceSync
+   * @param {Set<string>|null} topKeys - Sync only the changes of these top-level keys (write-through), or null for all.
+   * @returns {Promise<void>}
+   */
+  _requestSync(forceSync, topKeys) {
+    if (this.queuedSync) {
+      this.queuedSyncForce = this.queuedSyncForce || !!forceSync;
+      if (!topKeys || !this.queuedSyncKeys) {
+        this.queuedSyncKeys = null;
+      } else {
+        topKeys.forEach((key) => this.queuedSyncKeys.add(key));
+      }
+      return this.queuedSync;
+    }
+    if (this.runningSync) {
+      this.queuedSyncForce = !!forceSync;
+      this.queuedSyncKeys = topKeys ? new Set(topKeys) : null;
+      const settled = () => {};
+      this.queuedSync = this.runningSync.then(settled, settled).then(() => {
+        const force = this.queuedSyncForce;
+        const keys = this.queuedSyncKeys;
+        this.queuedSync = null;
+        this.queuedSyncForce = false;
+        this.queuedSyncKeys = null;
+        return this._startSync(force, keys);
+      });
+      return this.queuedSync;
+    }
+    return this._startSync(forceSync, topKeys);
+  }
+
+  /**
+   * Runs _syncChanges() and registers it as the running sync until it settles.
+   * @param {boolean} forceSync
+   * @param {Set<string>|null} [topKeys=null] - See _requestSync().
+   * @returns {Promise<void>}
+   */
+  _startSync(forceSync, topKeys = null) {
+    const run = this._syncChanges(forceSync, topKeys);
+    this.runningSync = run;
+    const done = () => {
+      if (this.runningSync === run) this.runningSync = null;
+    };
+    run.then(done, done);
+    return run;
+  }
+
+  /**
+   * Sends the pending changes (or, forced, the whole in-memory data) to the backend. See sync().
+   * @param {boolean} forceSync
+   * @param {Set<string>|null} [topKeys=null] - Send only the pending changes of these top-level keys.
+   * @returns {Promise<void>}
+   */
+  async _syncChanges(forceSync, topKeys = null) {
     if (!this.backend) {
       this.log(`In-memory mode for "${this.cacheName}"; no sync performed.`);
       return;
@@ -444,23 +2160,109 @@ class UniCache {
       this.log(`No changes (isDirty=false) in "${this.cacheName}" to sync to backend. Skipping.`);
       return;
     }
+    this._purgeExpired();
+    const version = this.changeVersion;
+    const changes = this._takeChanges(forceSync, topKeys);
+    if (topKeys && !changes.clear && changes.deletes.length === 0 && Object.keys(changes.upserts).length + Object.keys(changes.patches).length === 0) {
+      return; // The keys were already sent by an earlier sync
+    }
+    const summary = {
+      force: !!forceSync,
+      upserts: Object.keys(changes.upserts).length,
+      patches: Object.keys(changes.patches).length,
+      deletes: changes.deletes.length,
+      clear: changes.clear,
+    };
+    const startedAt = Date.now();
+    this.emit('sync:start', summary);
     try {
-      this.log(`Syncing "${this.cacheName}" (isDirty=${this.isDirty}, forceSync=${forceSync}) to backend: ${this.cacheType}`);
-      await this.backend.save({ ...this.inMemoryData }); // Save a shallow copy
-      this.isDirty = false; // Reset dirty flag *after* successful save
-      this.log(`Synced "${this.cacheName}" to backend. Dirty flag reset.`);
+      this.log(`Syncing "${this.cacheName}" (isDirty=${this.isDirty}, forceSync=${forceSync}) to backend: ${this.cacheType}. Upserts: ${summary.upserts}, patches: ${summary.patches}, deletes: ${summary.deletes}, clear: ${summary.clear}`);
+      this.syncingChanges = changes;
+      await this.backend.applyChanges(changes);
+      this.syncingChanges = null;
+      if (!topKeys) this.syncedVersion = version;
+      this.isDirty = this.changeVersion !== version || this._hasPendingChanges(); // Writes made during the sync stay dirty
+      this._enforceLimits(); // Synced keys can be evicted now
+      this.log(`Synced "${this.cacheName}" to backend. isDirty: ${this.isDirty}`);
+      this.counters.syncs++;
+      this.lastSync = { at: Date.now(), durationMs: Date.now() - startedAt };
+      this.emit('sync:success', { ...summary, durationMs: this.lastSync.durationMs });
     } catch (error) {
+      this._restoreChanges(changes);
       this.log(`Error syncing "${this.cacheName}" to backend: ${error.message}. Dirty flag remains true.`);
       // Do not reset isDirty on error, as data is still out of sync.
       if (this.options.debug) console.error(error);
+      this.counters.syncFailures++;
+      this.emit('sync:error', error, summary);
       throw error; // Rethrow to allow caller to handle sync errors
+    } finally {
+      this.syncingChanges = null;
     }
   }
 
+  /**
+   * Syncs this cache and then its namespaces. Driven by the root cache's sync interval.
+   * Every cache is synced even if one fails; the first error is rethrown.
+   * @returns {Promise<void>}
+   */
+  async _syncTree() {
+    let firstError = null;
+    try {
+      await this.sync();
+    } catch (error) {
+      firstError = error;
+    }
+    for (const child of this.namespaces.values()) {
+      try {
+        await child._syncTree();
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+    if (firstError) throw firstError;
+  }
+
+  /**
+   * Returns a child cache whose keys live in an isolated namespace of this cache's backend: a Redis key prefix,
+   * a MongoDB `namespace` field, a SQLite `namespace` column, or a separate file. The child shares this cache's
+   * backend connection, serializer, compression, encryption and sync/watch timers. Clearing it only clears its namespace.
+   * Call `init()` on the child after this cache's `init()`. Calling `namespace()` again with the same name returns the same child.
+   * @param {string} name - Namespace name, without "/" or ":".
+   * @param {Object} [options={}] - Cache options for the child, e.g. `maxEntries`, `loadStrategy` or `syncOnWrite`.
+   * @returns {UniCache}
+   */
+  namespace(name, options = {}) {
+    if (!name || typeof name !== 'string' || /[/:]/.test(name)) {
+      throw new Error(`Invalid namespace name "${name}". Use a non-empty string without "/" or ":".`);
+    }
+    if (this.namespaces.has(name)) return this.namespaces.get(name);
+    const child = new UniCache(`${this.cacheName}/${name}`, {
+      ...this.options,
+      ...options,
+      cacheType: this.cacheType,
+      serializer: this.serializer,
+      compression: this.compression,
+      encryption: this.encryption,
+      [PARENT]: this,
+    });
+    child.namespaceName = name;
+    this.namespaces.set(name, child);
+    return child;
+  }
+
   async close() {
     // ... (same as before, ensures syncOnClose uses the dirty flag aware sync)
     this.log(`Closing cache "${this.cacheName}"...`);
+    for (const child of [...this.namespaces.values()]) {
+      await child.close(); // Before the shared backend connection goes away
+    }
     clearInterval(this.syncIntervalId);
+    clearInterval(this.watchIntervalId);
+    clearTimeout(this.reconnectTimerId);
+    if (this.unsubscribeChanges) {
+      await this.unsubscribeChanges().catch((error) => this.log(`Error unsubscribing from changes of "${this.cacheName}": ${error.message}`));
+      this.unsubscribeChanges = null;
+    }
 
     if (this.options.syncOnClose && this.backend) {
       this.log(`Performing final sync for "${this.cacheName}" on close (if dirty)...`);
@@ -477,8 +2279,15 @@ class UniCache {
         if (this.options.debug) console.error(error);
       }
     }
+    this.status = 'closed';
+    if (this.parent) this.parent.namespaces.delete(this.namespaceName);
     this.log(`Cache "${this.cacheName}" closed.`);
   }
 }
 
 module.exports = UniCache;
+module.exports.CacheBackend = CacheBackend;
+module.exports.UniCacheError = UniCacheError;
+module.exports.BackendInitError = BackendInitError;
+module.exports.DecryptionError = DecryptionError;
+module.exports.NonNumericValueError = NonNumericValueError;
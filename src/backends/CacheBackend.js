@@ -1,4 +1,7 @@
 // src/backends/CacheBackend.js
+const { pageKeys } = require('../keyPattern');
+const { NonNumericValueError } = require('../errors');
+
 /**
  * @interface CacheBackend
  * @description Interface for cache backend implementations.
@@ -17,11 +20,13 @@ class CacheBackend {
   /**
    * Save the entire cache data object to the backend.
    * @param {Object} data - Data object to save.
+   * @param {Object<string, number>} [expiries={}] - Expiry timestamps (ms since epoch) by top-level key.
+   *   Keys without an entry never expire. Backends should persist these natively where possible.
    * @returns {Promise<void>}
    * @throws {Error} If saving fails.
    */
-  async save(data) {
-    throw new Error('save(data) not implemented.');
+  async save(data, expiries = {}) {
+    throw new Error('save(data, expiries) not implemented.');
   }
 
   /**
@@ -33,7 +38,65 @@ class CacheBackend {
     throw new Error('fetch() not implemented.');
   }
 
-  // ... other methods (delete, has, clear, keys, count, add, subtract, push, retrieveObject, close) remain ...
+  /**
+   * Fetch the entire cache data object together with the expiry of each key.
+   * Entries that have already expired must not be returned.
+   * Backends without TTL support can rely on this default, which reports no expiries.
+   * @returns {Promise<{data: Object, expiries: Object<string, number>}>}
+   * @throws {Error} If fetching fails.
+   */
+  async fetchWithExpiry() {
+    return { data: await this.fetch(), expiries: {} };
+  }
+
+  /**
+   * @typedef {Object} ChangeSet
+   * @property {boolean} clear - If true, remove every existing entry before applying the rest.
+   * @property {Object} upserts - Top-level keys and the values to write.
+   * @property {Object<string, Patch>} [patches] - Top-level keys changed only at nested paths. Only sent to
+   *   backends whose `supportsPatches()` returns true; others get these keys in `upserts`.
+   * @property {string[]} deletes - Top-level keys to remove.
+   * @property {Object<string, number>} expiries - Expiry timestamps (ms since epoch) for upserted and patched keys.
+   *   Upserted keys without an entry never expire.
+   */
+
+  /**
+   * @typedef {Object} Patch
+   * @property {*} value - The whole new top-level value (a plain object), for when the stored value cannot be patched
+   *   (missing, not an object, or stored in a form the backend cannot update in place).
+   * @property {Array<{path: string[], value: *}|{path: string[], delete: true}>} ops - Disjoint paths below the
+   *   top-level key to set or remove.
+   */
+
+  /**
+   * Apply the changes made since the last sync, in a single operation where the store allows it.
+   * This default reads the whole store and writes it back with `save()`; backends should override it.
+   * @param {ChangeSet} changes - The change set to apply.
+   * @returns {Promise<void>}
+   * @throws {Error} If applying the changes fails.
+   */
+  async applyChanges({ clear, upserts, patches = {}, deletes, expiries }) {
+    upserts = { ...upserts };
+    for (const [key, patch] of Object.entries(patches)) upserts[key] = patch.value;
+    const current = clear ? { data: {}, expiries: {} } : await this.fetchWithExpiry();
+    const data = current.data;
+    const nextExpiries = current.expiries;
+    for (const key of deletes) {
+      delete data[key];
+      delete nextExpiries[key];
+    }
+    for (const [key, value] of Object.entries(upserts)) {
+      data[key] = value;
+      if (expiries[key]) {
+        nextExpiries[key] = expiries[key];
+      } else {
+        delete nextExpiries[key];
+      }
+    }
+    await this.save(data, nextExpiries);
+  }
+
+  // ... other methods (delete, has, clear, keys, count, retrieveObject, close) remain ...
   async delete(key) {
     throw new Error('delete(key) not implemented.');
   }
@@ -49,18 +112,163 @@ class CacheBackend {
   async count() {
     throw new Error('count() not implemented.');
   }
-  async add(key, count) {
+
+  /**
+   * List top-level keys selected by a pattern or prefix, page by page (see src/keyPattern.js).
+   * This default filters and pages the result of `keys()` in key order; backends should override it to query
+   * and page in the store.
+   * @param {KeyQuery} [query={}] - Without `limit`, every selected key is returned in one page.
+   * @returns {Promise<{keys: string[], cursor: (string|null)}>} The next page is read by passing `cursor` back;
+   *   it is null after the last page.
+   */
+  async scanKeys(query = {}) {
+    return pageKeys(await this.keys(), query);
+  }
+
+  /**
+   * @typedef {Object} AtomicOptions
+   * @property {number} [expiresAt] - Expiry timestamp (ms since epoch) given to the key if the operation creates it.
+   *   An existing key keeps its expiry.
+   */
+
+  /**
+   * The value an `add()` or `subtract()` starts from, the same in memory and in every backend: 0 for a missing key,
+   * the stored value if it is a number. Any other value (a numeric string, `null`, an object) is not converted:
+   * the operation throws a `NonNumericValueError` and leaves the value unchanged.
+   * @param {*} value - The current value, undefined if the key is missing.
+   * @param {string} key - The key, for the error.
+   * @param {string} operation - `'add'` or `'subtract'`, for the error.
+   * @returns {number}
+   * @throws {NonNumericValueError}
+   */
+  static counterValue(value, key, operation) {
+    if (value === undefined) return 0;
+    if (typeof value !== 'number') throw CacheBackend.nonNumericError(key, operation);
+    return value;
+  }
+
+  /**
+   * The error of `counterValue()`, for backends whose store refuses the increment itself.
+   * @param {string} key
+   * @param {string} operation - `'add'` or `'subtract'`.
+   * @param {Error} [cause] - The store's error.
+   * @returns {NonNumericValueError}
+   */
+  static nonNumericError(key, operation, cause) {
+    return new NonNumericValueError(`Cannot ${operation} on key "${key}": its value is not a number.`, { key, operation, cause });
+  }
+
+  /**
+   * Increment the numeric value of a top-level key in the store, starting from 0 if missing.
+   * A value that is not a number is rejected, see `CacheBackend.counterValue()`.
+   * @param {string} key - The top-level key.
+   * @param {number} count - The amount to add.
+   * @param {AtomicOptions} [options]
+   * @returns {Promise<void>}
+   */
+  async add(key, count, options) {
     throw new Error('add(key, count) not implemented.');
   }
-  async subtract(key, count) {
+
+  /**
+   * Decrement the numeric value of a top-level key in the store, starting from 0 if missing.
+   * A value that is not a number is rejected, see `CacheBackend.counterValue()`.
+   * @param {string} key - The top-level key.
+   * @param {number} count - The amount to subtract.
+   * @param {AtomicOptions} [options]
+   * @returns {Promise<void>}
+   */
+  async subtract(key, count, options) {
     throw new Error('subtract(key, count) not implemented.');
   }
-  async push(key, element) {
+
+  /**
+   * Append an element to the array stored at a top-level key. A missing or non-array value becomes `[element]`.
+   * @param {string} key - The top-level key.
+   * @param {*} element - The element to append.
+   * @param {AtomicOptions} [options]
+   * @returns {Promise<void>}
+   */
+  async push(key, element, options) {
     throw new Error('push(key, element) not implemented.');
   }
+
+  /**
+   * Whether `add()`, `subtract()` or `push()` is atomic in the store with the current configuration, so that
+   * concurrent updates from several processes are not lost. UniCache then uses it for writes that sync immediately.
+   * @param {string} operation - `'add'`, `'subtract'` or `'push'`.
+   * @returns {boolean}
+   */
+  supportsAtomic(operation) {
+    return false;
+  }
   async retrieveObject(key) {
     throw new Error('retrieveObject(key) not implemented.');
   }
+
+  /**
+   * Fetch a single top-level value together with its expiry.
+   * Used for lazy loading and for re-reading evicted entries.
+   * @param {string} key - The top-level key.
+   * @returns {Promise<{value: *, expiresAt: (number|null)}>} `value` is undefined if the key does not exist.
+   */
+  async retrieveWithExpiry(key) {
+    return { value: await this.retrieveObject(key), expiresAt: null };
+  }
+
+  /**
+   * Whether `applyChanges()` handles `patches`, updating nested paths in place instead of rewriting whole values.
+   * @returns {boolean}
+   */
+  supportsPatches() {
+    return false;
+  }
+
+  /**
+   * Fetch several top-level values together with their expiries, in a single round trip where the store allows it.
+   * This default calls `retrieveWithExpiry()` for each key; backends should override it.
+   * @param {string[]} keys - The top-level keys.
+   * @returns {Promise<Object<string, {value: *, expiresAt: (number|null)}>>} Found keys; missing keys are omitted.
+   */
+  async retrieveManyWithExpiry(keys) {
+    const results = {};
+    for (const key of keys) {
+      const entry = await this.retrieveWithExpiry(key);
+      if (entry.value !== undefined) results[key] = entry;
+    }
+    return results;
+  }
+
+  /**
+   * Returns a backend for an isolated child namespace that shares this backend's connection.
+   * Used by `UniCache#namespace()`. Closing the returned backend must not close the shared connection.
+   * @param {string} name - The child namespace name.
+   * @returns {CacheBackend}
+   */
+  namespace(name) {
+    throw new Error(`${this.constructor.name} does not support namespaces (namespace("${name}")).`);
+  }
+
+  /**
+   * Reports whether the store was changed by someone else (another process or instance)
+   * since the last call. Backends that cannot tell return false.
+   * @returns {Promise<boolean>}
+   */
+  async checkExternalChanges() {
+    return false;
+  }
+
+  /**
+   * Subscribes to changes made by others (other processes or instances), for stores that can push them.
+   * The listener receives the changed and deleted top-level keys; `clear` means every key may have changed.
+   * @param {function({upserts: string[], deletes: string[], clear: boolean}): void} listener
+   * @returns {Promise<(function(): Promise<void>)|null>} A function that unsubscribes, or null if the backend
+   *   does not push changes (the default).
+   */
+  async subscribeChanges(listener) {
+    return null;
+  }
+
   async close() {
     /* Optional */
   }
@@ -1,18 +1,39 @@
 // src/backends/FileBackend.js
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const CacheBackend = require('./CacheBackend');
+const { resolveSerializer, serializeToString, deserializeFromString } = require('../serializers');
+const { resolveCompression, compress, decompress } = require('../compression');
+const { resolveEncryption, encryptText, decryptText } = require('../encryption');
+
+const FILE_FORMAT = 'uni-cache';
+const FILE_FORMAT_VERSION = 2; // 2 added meta.serializer; version 1 files are plain JSON
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class FileBackend extends CacheBackend {
   // ... constructor, _ensureDirectoryExists, connect, _loadData, _saveData ...
   // (These remain the same as in the previous accepted answer)
   constructor(config) {
     super();
+    this.config = config;
     this.cacheName = config.cacheName;
     this.savePath = config.savePath || './data';
     this.filePath = path.join(this.savePath, `${this.cacheName}.json`);
+    this.backups = Number(config.backups) || 0; // Number of rotating <file>.bak.N generations to keep
+    // Writes take <file>.lock so several processes can share one cache file.
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeout = config.lockTimeout || 10000; // ms to wait for the lock
+    this.lockStale = config.lockStale || 30000; // ms after which a lock left by a crashed process is broken
+    this.lockQueue = Promise.resolve(); // Serializes writers within this process
+    this.knownRevision = null; // File revision after our own last write, see checkExternalChanges()
+    this.externalChangePending = false;
     this.debug = config.debug || false;
     this.log = config.logFunction || (() => {});
+    this.serializer = resolveSerializer(config.serializer);
+    this.compression = resolveCompression(config.compression);
+    this.encryption = resolveEncryption(config.encryption);
   }
 
   async _ensureDirectoryExists() {
@@ -30,33 +51,306 @@ class FileBackend extends CacheBackend {
     }
   }
 
+  /**
+   * Returns a backend for a child namespace, stored in its own file `<savePath>/<cacheName>/<name>.json`.
+   * @param {string} name - The child namespace name.
+   * @returns {FileBackend}
+   */
+  namespace(name) {
+    return new FileBackend({ ...this.config, savePath: path.join(this.savePath, this.cacheName), cacheName: name });
+  }
+
   async connect() {
     await this._ensureDirectoryExists();
+    this.knownRevision = await this._statRevision();
     if (this.debug) {
       this.log(`[FileBackend] Initialized for ${this.cacheName} at ${this.filePath}`);
     }
   }
 
-  async _loadData() {
+  /**
+   * Reads the cache file and normalizes it to `{ data, expiries }`.
+   * Files are written as an envelope `{ meta: { format, version, serializer, compressed, expiries }, data }`,
+   * where `meta.compressed` maps the keys stored compressed to their algorithm;
+   * legacy files holding the plain data object are still accepted. Expired entries are dropped.
+   * `data` is decoded with the serializer recorded in the file, so a file written with another
+   * built-in serializer is still readable (and is converted on the next write).
+   * With encryption, the whole envelope is encrypted: `{ meta: { format, version, encrypted: true }, payload }`.
+   * @returns {Promise<{data: Object, expiries: Object<string, number>}>}
+   */
+  async _loadState() {
+    let parsed;
     try {
       const jsonData = await fs.readFile(this.filePath, 'utf8');
-      return JSON.parse(jsonData);
+      parsed = JSON.parse(jsonData);
     } catch (err) {
       if (err.code === 'ENOENT') {
         if (this.debug) this.log(`[FileBackend] Cache file ${this.filePath} not found. Returning empty object.`);
-        return {};
+        return { data: {}, expiries: {} };
       } else if (err instanceof SyntaxError) {
-        this.log(`[FileBackend] Error parsing JSON from ${this.filePath}: ${err.message}. Returning empty object.`);
-        return {};
+        this.log(`[FileBackend] Error parsing JSON from ${this.filePath}: ${err.message}. Trying backups...`);
+        parsed = await this._recoverFromBackup();
+        if (parsed === undefined) {
+          this.log(`[FileBackend] No usable backup for ${this.filePath}. Returning empty object.`);
+          return { data: {}, expiries: {} };
+        }
+      } else {
+        this.log(`[FileBackend] Error reading cache file ${this.filePath}: ${err.message}`);
+        throw err;
+      }
+    }
+
+    parsed = this._decryptFile(parsed); // Throws a DecryptionError if the file was tampered with
+    const isEnvelope = parsed && parsed.meta && parsed.meta.format === FILE_FORMAT && parsed.data !== undefined;
+    const data = isEnvelope ? this._decodeData(parsed.meta, parsed.data) : parsed || {};
+    const storedExpiries = (isEnvelope && parsed.meta.expiries) || {};
+    const expiries = {};
+    const now = Date.now();
+    for (const [key, expiresAt] of Object.entries(storedExpiries)) {
+      if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+      if (expiresAt <= now) {
+        delete data[key];
+        if (this.debug) this.log(`[FileBackend] Key "${key}" in ${this.filePath} has expired. Skipping.`);
+      } else {
+        expiries[key] = expiresAt;
+      }
+    }
+    return { data, expiries };
+  }
+
+  async _loadData() {
+    const { data } = await this._loadState();
+    return data;
+  }
+
+  /**
+   * Encodes each top-level value. Serializers with `encode()` keep values readable as JSON in the file;
+   * other serializers store their output as a string (binary output as base64).
+   * Values reaching the compression threshold are stored as compressed base64.
+   * @returns {{data: Object, compressed: Object<string, string>}}
+   */
+  _encodeData(data) {
+    const { serializer, compression } = this;
+    const encoded = {};
+    const compressed = {};
+    for (const [key, value] of Object.entries(data)) {
+      const tree = serializer.encode ? serializer.encode(value) : undefined;
+      let packed = null;
+      if (compression && !(serializer.encode && tree === undefined)) {
+        packed = compress(compression, serializer.encode ? JSON.stringify(tree) : serializer.serialize(value));
+      }
+      if (packed) {
+        encoded[key] = packed.toString('base64');
+        compressed[key] = compression.algorithm;
+      } else {
+        encoded[key] = serializer.encode ? tree : serializeToString(serializer, value);
+      }
+    }
+    return { data: encoded, compressed };
+  }
+
+  _decodeData(meta, encoded) {
+    const serializerName = meta.serializer || 'json';
+    let serializer = this.serializer;
+    if (serializerName !== serializer.name) {
+      this.log(`[FileBackend] ${this.filePath} was written with the "${serializerName}" serializer (configured: "${serializer.name}").`);
+      serializer = resolveSerializer(serializerName); // Throws for unknown or custom serializers
+    }
+    const compressed = meta.compressed || {};
+    const data = {};
+    for (const [key, value] of Object.entries(encoded)) {
+      if (compressed[key]) {
+        const payload = decompress(compressed[key], Buffer.from(value, 'base64'));
+        if (serializer.decode) {
+          data[key] = serializer.decode(JSON.parse(payload.toString()));
+        } else {
+          data[key] = serializer.deserialize(serializer.binary ? payload : payload.toString());
+        }
+      } else {
+        data[key] = serializer.decode ? serializer.decode(value) : deserializeFromString(serializer, value);
+      }
+    }
+    return data;
+  }
+
+  _decryptFile(parsed) {
+    if (parsed && parsed.meta && parsed.meta.format === FILE_FORMAT && parsed.meta.encrypted) {
+      return JSON.parse(decryptText(this.encryption, parsed.payload));
+    }
+    if (this.encryption && parsed && Object.keys(parsed).length > 0) this.encryption.assertPlaintextAllowed();
+    return parsed;
+  }
+
+  _backupPath(generation) {
+    return `${this.filePath}.bak.${generation}`;
+  }
+
+  /**
+   * Called when the cache file cannot be parsed. Moves the corrupt file aside (`<file>.corrupt-<timestamp>`)
+   * and restores the newest backup that parses.
+   * @returns {Promise<Object|undefined>} The parsed backup content, or undefined if none is usable.
+   */
+  async _recoverFromBackup() {
+    const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+    await fs.rename(this.filePath, corruptPath);
+    this.log(`[FileBackend] Corrupt cache file moved to ${corruptPath}.`);
+
+    for (let generation = 1; generation <= this.backups; generation++) {
+      const backupPath = this._backupPath(generation);
+      let jsonData;
+      try {
+        jsonData = await fs.readFile(backupPath, 'utf8');
+        const parsed = JSON.parse(jsonData);
+        await this._writeAtomic(jsonData); // Restore the primary file so later reads see the recovered data
+        this.log(`[FileBackend] Recovered ${this.filePath} from backup ${backupPath}.`);
+        return parsed;
+      } catch (err) {
+        if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+          this.log(`[FileBackend] Backup ${backupPath} is ${err.code === 'ENOENT' ? 'missing' : 'corrupt'}. Skipping.`);
+          continue;
+        }
+        throw err;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Shifts `<file>.bak.N` generations up by one and makes the current file the newest backup.
+   * The current file is hard-linked (copied where links are unsupported), so a backup is never half-written.
+   */
+  async _rotateBackups() {
+    if (this.backups < 1) return;
+    const ignoreMissing = (err) => {
+      if (err.code !== 'ENOENT') throw err;
+    };
+    await fs.unlink(this._backupPath(this.backups)).catch(ignoreMissing);
+    for (let generation = this.backups - 1; generation >= 1; generation--) {
+      await fs.rename(this._backupPath(generation), this._backupPath(generation + 1)).catch(ignoreMissing);
+    }
+    try {
+      await fs.link(this.filePath, this._backupPath(1));
+    } catch (err) {
+      if (err.code === 'ENOENT') return; // No cache file yet
+      await fs.copyFile(this.filePath, this._backupPath(1));
+    }
+  }
+
+  /**
+   * Writes the cache file crash-safely: write to a temp file, fsync, then rename over the target.
+   * A crash or full disk leaves either the old or the new file, never a truncated one.
+   * @param {string} contents - The file contents.
+   */
+  async _writeAtomic(contents) {
+    const tmpPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    let handle;
+    try {
+      handle = await fs.open(tmpPath, 'w');
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+      await handle.close();
+      handle = null;
+      await fs.rename(tmpPath, this.filePath);
+    } catch (err) {
+      if (handle) await handle.close().catch(() => {});
+      await fs.unlink(tmpPath).catch(() => {});
+      throw err;
+    }
+    // Persist the rename itself. Not supported on every platform, so best effort.
+    try {
+      const dirHandle = await fs.open(this.savePath, 'r');
+      try {
+        await dirHandle.sync();
+      } finally {
+        await dirHandle.close();
       }
-      this.log(`[FileBackend] Error reading cache file ${this.filePath}: ${err.message}`);
+    } catch (err) {
+      if (this.debug) this.log(`[FileBackend] Could not fsync directory ${this.savePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Identifies the current version of the cache file. Every write renames a new file into place,
+   * so the inode changes along with mtime and size.
+   * @returns {Promise<string>}
+   */
+  async _statRevision() {
+    try {
+      const stat = await fs.stat(this.filePath);
+      return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      if (err.code === 'ENOENT') return 'none';
       throw err;
     }
   }
 
-  async _saveData(data) {
+  /**
+   * Creates the lock file exclusively, waiting while another process holds it.
+   * Locks older than `lockStale` are considered abandoned and removed.
+   */
+  async _acquireFileLock() {
+    const startedAt = Date.now();
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid), 'utf8');
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      try {
+        const stat = await fs.stat(this.lockPath);
+        if (Date.now() - stat.mtimeMs > this.lockStale) {
+          this.log(`[FileBackend] Removing stale lock ${this.lockPath}.`);
+          await fs.unlink(this.lockPath).catch(() => {});
+          continue;
+        }
+      } catch (err) {
+        if (err.code === 'ENOENT') continue; // Released in the meantime
+        throw err;
+      }
+      if (Date.now() - startedAt > this.lockTimeout) {
+        throw new Error(`[FileBackend] Timed out after ${this.lockTimeout} ms waiting for lock ${this.lockPath}`);
+      }
+      await sleep(20 + Math.floor(Math.random() * 30));
+    }
+  }
+
+  /**
+   * Runs a read-modify-write operation while holding the cross-process file lock.
+   * @param {function(): Promise<*>} operation
+   * @returns {Promise<*>} The operation's result.
+   */
+  async _withLock(operation) {
+    const run = this.lockQueue.then(async () => {
+      await this._acquireFileLock();
+      try {
+        // Another process wrote since our last write; our next write hides that from the revision check
+        if ((await this._statRevision()) !== this.knownRevision) this.externalChangePending = true;
+        return await operation();
+      } finally {
+        await fs.unlink(this.lockPath).catch(() => {});
+      }
+    });
+    this.lockQueue = run.catch(() => {}); // Keep the queue going after a failure
+    return run;
+  }
+
+  async _saveData(data, expiries = {}) {
+    const { data: encoded, compressed } = this._encodeData(data);
+    const meta = { format: FILE_FORMAT, version: FILE_FORMAT_VERSION, serializer: this.serializer.name, compressed, expiries };
+    const envelope = { meta, data: encoded };
     try {
-      await fs.writeFile(this.filePath, JSON.stringify(data, null, 2), 'utf8');
+      await this._rotateBackups();
+      // Compressed and encrypted files are written compactly; pretty-printing only helps readable files
+      if (this.encryption) {
+        const payload = encryptText(this.encryption, JSON.stringify(envelope));
+        await this._writeAtomic(JSON.stringify({ meta: { format: FILE_FORMAT, version: FILE_FORMAT_VERSION, encrypted: true }, payload }));
+      } else {
+        await this._writeAtomic(this.compression ? JSON.stringify(envelope) : JSON.stringify(envelope, null, 2));
+      }
+      this.knownRevision = await this._statRevision();
       if (this.debug) this.log(`[FileBackend] Data saved to ${this.filePath}`);
     } catch (err) {
       this.log(`[FileBackend] Error writing cache file ${this.filePath}: ${err.message}`);
@@ -64,24 +358,70 @@ class FileBackend extends CacheBackend {
     }
   }
 
-  async save(data) {
-    await this._saveData(data);
+  async save(data, expiries = {}) {
+    const keptExpiries = {};
+    for (const [key, expiresAt] of Object.entries(expiries)) {
+      if (Object.prototype.hasOwnProperty.call(data, key)) keptExpiries[key] = expiresAt;
+    }
+    await this._withLock(() => this._saveData(data, keptExpiries));
+  }
+
+  /**
+   * Merges the change set into the current file content under the file lock,
+   * so keys written by other processes are kept.
+   */
+  async applyChanges({ clear, upserts, deletes, expiries }) {
+    await this._withLock(async () => {
+      const state = clear ? { data: {}, expiries: {} } : await this._loadState();
+      for (const key of deletes) {
+        delete state.data[key];
+        delete state.expiries[key];
+      }
+      for (const [key, value] of Object.entries(upserts)) {
+        state.data[key] = value;
+        if (expiries[key]) {
+          state.expiries[key] = expiries[key];
+        } else {
+          delete state.expiries[key];
+        }
+      }
+      await this._saveData(state.data, state.expiries);
+    });
+  }
+
+  /**
+   * Reports whether another process has written the cache file since our last write or check.
+   * @returns {Promise<boolean>}
+   */
+  async checkExternalChanges() {
+    const revision = await this._statRevision();
+    if (revision === this.knownRevision && !this.externalChangePending) return false;
+    this.knownRevision = revision;
+    this.externalChangePending = false;
+    return true;
   }
 
   async fetch() {
     return await this._loadData();
   }
 
+  async fetchWithExpiry() {
+    return await this._loadState();
+  }
+
   async delete(key) {
-    const data = await this._loadData();
-    if (Object.prototype.hasOwnProperty.call(data, key)) {
-      delete data[key];
-      await this._saveData(data);
-      if (this.debug) this.log(`[FileBackend] Key "${key}" deleted from ${this.filePath}`);
-      return true;
-    }
-    if (this.debug) this.log(`[FileBackend] Key "${key}" not found in ${this.filePath}. No deletion.`);
-    return false;
+    return this._withLock(async () => {
+      const { data, expiries } = await this._loadState();
+      if (Object.prototype.hasOwnProperty.call(data, key)) {
+        delete data[key];
+        delete expiries[key];
+        await this._saveData(data, expiries);
+        if (this.debug) this.log(`[FileBackend] Key "${key}" deleted from ${this.filePath}`);
+        return true;
+      }
+      if (this.debug) this.log(`[FileBackend] Key "${key}" not found in ${this.filePath}. No deletion.`);
+      return false;
+    });
   }
 
   async has(key) {
@@ -90,7 +430,7 @@ class FileBackend extends CacheBackend {
   }
 
   async clear() {
-    await this._saveData({});
+    await this._withLock(() => this._saveData({}));
     if (this.debug) this.log(`[FileBackend] Cache ${this.filePath} cleared (saved as {}).`);
   }
 
@@ -104,25 +444,44 @@ class FileBackend extends CacheBackend {
     return Object.keys(data).length;
   }
 
-  async add(key, count) {
-    const data = await this._loadData();
-    data[key] = (Number(data[key]) || 0) + Number(count);
-    await this._saveData(data);
+  async add(key, count, options = {}) {
+    await this._updateKey(key, (current) => CacheBackend.counterValue(current, key, 'add') + Number(count), options);
   }
 
-  async subtract(key, count) {
-    const data = await this._loadData();
-    data[key] = (Number(data[key]) || 0) - Number(count);
-    await this._saveData(data);
+  async subtract(key, count, options = {}) {
+    await this._updateKey(key, (current) => CacheBackend.counterValue(current, key, 'subtract') - Number(count), options);
   }
 
-  async push(key, element) {
-    const data = await this._loadData();
-    if (!Array.isArray(data[key])) {
-      data[key] = [];
-    }
-    data[key].push(element);
-    await this._saveData(data);
+  async push(key, element, options = {}) {
+    await this._updateKey(
+      key,
+      (current) => {
+        const arr = Array.isArray(current) ? current : [];
+        arr.push(element);
+        return arr;
+      },
+      options
+    );
+  }
+
+  /**
+   * Read-modify-write of one key under the file lock.
+   * @param {string} key - The top-level key.
+   * @param {function(*): *} update - Receives the current value (undefined if missing) and returns the new one.
+   * @param {{expiresAt: (number|undefined)}} options - `expiresAt` applies if the key is created.
+   */
+  async _updateKey(key, update, { expiresAt } = {}) {
+    await this._withLock(async () => {
+      const { data, expiries } = await this._loadState();
+      const isNew = !Object.prototype.hasOwnProperty.call(data, key);
+      data[key] = update(data[key]);
+      if (isNew && expiresAt) expiries[key] = expiresAt;
+      await this._saveData(data, expiries);
+    });
+  }
+
+  supportsAtomic() {
+    return true; // Serialized by the file lock, also across processes
   }
 
   async retrieveObject(key) {
@@ -130,6 +489,20 @@ class FileBackend extends CacheBackend {
     return data[key];
   }
 
+  async retrieveWithExpiry(key) {
+    const { data, expiries } = await this._loadState();
+    return { value: data[key], expiresAt: expiries[key] || null };
+  }
+
+  async retrieveManyWithExpiry(keys) {
+    const { data, expiries } = await this._loadState(); // One file read for all keys
+    const results = {};
+    for (const key of keys) {
+      if (data[key] !== undefined) results[key] = { value: data[key], expiresAt: expiries[key] || null };
+    }
+    return results;
+  }
+
   async close() {
     if (this.debug) this.log(`[FileBackend] Close called for ${this.cacheName}. No action needed.`);
   }
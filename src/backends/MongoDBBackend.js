@@ -1,84 +1,429 @@
 const { MongoClient } = require('mongodb');
 const CacheBackend = require('./CacheBackend');
+const { resolveSerializer, serializeToString, deserializeFromString } = require('../serializers');
+const { resolveCompression, compress, decompress, compressText, decompressText } = require('../compression');
+const { resolveEncryption, decryptText } = require('../encryption');
+const { globToRegExp, escapeRegExp } = require('../keyPattern');
+
+// Error code of a unique index violation
+const DUPLICATE_KEY = 11000;
+// Error code of an update operator applied to a field of the wrong type
+const TYPE_MISMATCH = 14;
+
+/**
+ * Removes the password from a connection string so it can be logged.
+ * (Not parsed with URL: a replica set string lists several comma-separated hosts.)
+ * @param {string} uri
+ * @returns {string}
+ */
+const redactUri = (uri) => uri.replace(/^([a-z+]+:\/\/[^:@/]*):[^@/]*@/i, '$1:***@');
 
 class MongoDBBackend extends CacheBackend {
+  /**
+   * @param {Object} config
+   * @param {string} [config.uri] - Connection string (`mongodb://` or `mongodb+srv://`), may include credentials,
+   *   hosts of a replica set and connection options (alias: `mongoUri`). Defaults to `mongodb://<dbHost>:<dbPort>`.
+   * @param {string} [config.dbHost='localhost'] - Host, when no URI is given.
+   * @param {number} [config.dbPort=27017] - Port, when no URI is given.
+   * @param {Object} [config.clientOptions] - Options passed to `new MongoClient()` (`auth`, `tls`, `replicaSet`,
+   *   `serverSelectionTimeoutMS`, ...).
+   * @param {MongoClient} [config.client] - An existing `MongoClient` to use instead of creating one.
+   *   It is connected if needed, but left open by `close()`.
+   * @param {string} [config.dbName='cacheDB'] - Database name.
+   * @param {string} [config.collectionName='cache'] - Collection name.
+   * @param {string|Object} [config.serializer='json'] - Value serializer, see src/serializers.js.
+   * @param {string|Object} [config.compression] - Compression of large values, see src/compression.js.
+   * @param {Object} [config.encryption] - Value encryption, see src/encryption.js.
+   */
   constructor(config) {
     super();
+    this.config = config;
+    this.namespaceId = config.namespace || null; // Value of the `namespace` field; null also matches documents without one
+    this.parent = null; // Set on namespace views, which share the parent's client
     this.dbHost = config.dbHost || 'localhost';
     this.dbPort = config.dbPort || 27017;
-    this.uri = `mongodb://${this.dbHost}:${this.dbPort}`;
+    this.uri = config.uri || config.mongoUri || `mongodb://${this.dbHost}:${this.dbPort}`;
+    this.ownsClient = !config.client;
     this.dbName = config.dbName || 'cacheDB';
     this.collectionName = config.collectionName || 'cache';
     this.debug = config.debug || false;
     this.log = config.logFunction || (() => {});
+    this.serializer = resolveSerializer(config.serializer);
+    this.compression = resolveCompression(config.compression);
+    this.encryption = resolveEncryption(config.encryption);
 
     this.client = null;
     this.collection = null;
+    this.connecting = null; // Shared by concurrent connect() calls
+  }
+
+  /**
+   * Returns a backend for the documents of a child namespace. It shares this backend's client and collection.
+   * @param {string} name - The child namespace name.
+   * @returns {MongoDBBackend}
+   */
+  namespace(name) {
+    const child = new MongoDBBackend({ ...this.config, namespace: this.namespaceId ? `${this.namespaceId}/${name}` : name });
+    child.parent = this;
+    return child;
   }
 
   async connect() {
-    if (this.client) return;
-    this.client = new MongoClient(this.uri, { useNewUrlParser: true, useUnifiedTopology: true });
-    await this.client.connect();
-    this.collection = this.client.db(this.dbName).collection(this.collectionName);
-    if (this.debug) this.log('[MongoDBBackend] Connected to MongoDB.');
+    if (this.parent) {
+      await this.parent.connect();
+      this.client = this.parent.client;
+      this.collection = this.parent.collection;
+      return;
+    }
+    if (this.collection) return;
+    if (!this.connecting) {
+      this.connecting = this._connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async _connect() {
+    const client = this.config.client || new MongoClient(this.uri, this.config.clientOptions || {});
+    try {
+      await client.connect(); // Resolves at once for a client that is already connected
+      const collection = client.db(this.dbName).collection(this.collectionName);
+      // TTL index: MongoDB removes documents once `expiresAt` has passed (checked about once a minute).
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await this._createKeyIndex(collection);
+      this.client = client;
+      this.collection = collection;
+    } catch (err) {
+      this.log(`[MongoDBBackend] Failed to connect to ${this.config.client ? 'the provided client' : redactUri(this.uri)}: ${err.message}`);
+      if (this.ownsClient) await client.close().catch(() => {});
+      throw err;
+    }
+    if (this.debug) this.log(`[MongoDBBackend] Connected to MongoDB (${this.config.client ? 'provided client' : redactUri(this.uri)}), collection ${this.dbName}.${this.collectionName}.`);
+  }
+
+  /**
+   * Unique index on the namespace and key: every lookup uses it, and concurrent upserts of a new key
+   * (`add()` from several processes, for example) cannot create duplicate documents.
+   * A collection that already holds duplicates keeps working without it; the failure is logged.
+   * @param {Collection} collection
+   */
+  async _createKeyIndex(collection) {
+    try {
+      await collection.createIndex({ namespace: 1, key: 1 }, { unique: true });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err;
+      this.log(`[MongoDBBackend] Cannot create the unique key index on ${this.dbName}.${this.collectionName}: the collection has duplicate keys. Remove them to enable it. (${err.message})`);
+    }
+  }
+
+  /**
+   * Query filter matching documents that have not expired yet.
+   * Needed because the TTL monitor only purges periodically.
+   * @param {Object} [filter={}] - Additional filter conditions.
+   * @returns {Object}
+   */
+  _notExpired(filter = {}) {
+    return { ...this._scoped(filter), $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+  }
+
+  /**
+   * Restricts a query filter to this backend's namespace.
+   * @param {Object} [filter={}]
+   * @returns {Object}
+   */
+  _scoped(filter = {}) {
+    return { namespace: this.namespaceId, ...filter };
+  }
+
+  /**
+   * Whether values are stored as BSON documents, which `$set`, `$inc` and `$push` can update in place.
+   * Only values of the `json` serializer are: the `typed` encoding has `$type` field names, which MongoDB before 5.0
+   * rejects, so other serializers store their serialized string, like the Redis and SQLite backends.
+   * @returns {boolean}
+   */
+  _storesDocuments() {
+    return this.serializer.name === 'json' && !this.encryption;
+  }
+
+  /**
+   * Values of the default `json` serializer are stored as BSON as they are; other serializers store the serialized
+   * string (binary output base64-encoded).
+   * Values reaching the compression threshold are stored as compressed binary, with `compression` naming the algorithm.
+   * With encryption, every value is stored as an encrypted string.
+   * @returns {{value: *, compression: (string|null)}}
+   */
+  _encodeValue(value) {
+    if (this.encryption) {
+      return { value: this.encryption.encrypt(compressText(this.compression, serializeToString(this.serializer, value))), compression: null };
+    }
+    if (this.compression) {
+      const packed = compress(this.compression, serializeToString(this.serializer, value));
+      if (packed) return { value: packed, compression: this.compression.algorithm };
+    }
+    return { value: this._storesDocuments() ? value : serializeToString(this.serializer, value), compression: null };
+  }
+
+  _decodeValue(stored, compression) {
+    if (this.encryption && this.encryption.isEncrypted(stored)) {
+      return deserializeFromString(this.serializer, decompressText(this.encryption.decrypt(stored)));
+    }
+    if (this.encryption) {
+      this.encryption.assertPlaintextAllowed();
+    } else {
+      decryptText(null, stored); // Rejects encrypted values when no encryption is configured
+    }
+    const bytes = (payload) => (payload && payload.buffer ? Buffer.from(payload.buffer) : payload); // BSON Binary -> Buffer
+    if (compression) return deserializeFromString(this.serializer, decompress(compression, bytes(stored)).toString());
+    return this._storesDocuments() ? stored : deserializeFromString(this.serializer, stored);
+  }
+
+  _upsertOperation(key, rawValue, expiresAt) {
+    const { value, compression } = this._encodeValue(rawValue);
+    const fields = compression ? { key, value, compression, updatedAt: new Date() } : { key, value, updatedAt: new Date() };
+    const unset = {};
+    if (!compression) unset.compression = '';
+    if (expiresAt) {
+      fields.expiresAt = new Date(expiresAt);
+    } else {
+      unset.expiresAt = '';
+    }
+    const update = Object.keys(unset).length > 0 ? { $set: fields, $unset: unset } : { $set: fields };
+    return { updateOne: { filter: this._scoped({ key }), update, upsert: true } };
   }
 
-  async save(data) {
+  async save(data, expiries = {}) {
     await this.connect();
-    const updates = Object.entries(data).map(([key, value]) => ({
-      updateOne: {
-        filter: { key },
-        update: { $set: { key, value, updatedAt: new Date() } },
-        upsert: true,
-      },
-    }));
+    const updates = Object.entries(data).map(([key, value]) => this._upsertOperation(key, value, expiries[key]));
+    if (updates.length === 0) {
+      if (this.debug) this.log('[MongoDBBackend] Nothing to save.');
+      return;
+    }
     await this.collection.bulkWrite(updates);
     if (this.debug) this.log('[MongoDBBackend] Cache saved to MongoDB.');
   }
 
+  async applyChanges({ clear, upserts, patches = {}, deletes, expiries }) {
+    await this.connect();
+    const operations = [];
+    if (clear) {
+      operations.push({ deleteMany: { filter: this._scoped() } });
+    } else {
+      deletes.forEach((key) => operations.push({ deleteOne: { filter: this._scoped({ key }) } }));
+    }
+    Object.entries(upserts).forEach(([key, value]) => operations.push(this._upsertOperation(key, value, expiries[key])));
+    const patchEntries = Object.entries(patches);
+    if (operations.length === 0 && patchEntries.length === 0) {
+      if (this.debug) this.log('[MongoDBBackend] No changes to apply.');
+      return;
+    }
+    if (operations.length > 0) await this.collection.bulkWrite(operations, { ordered: true });
+    for (const [key, patch] of patchEntries) {
+      // A document that cannot be patched in place (missing, expired or not an object) gets the whole value
+      if (!(await this._applyPatch(key, patch.ops))) {
+        const { updateOne } = this._upsertOperation(key, patch.value, expiries[key]);
+        await this.collection.updateOne(updateOne.filter, updateOne.update, { upsert: true });
+      }
+    }
+    if (this.debug) this.log(`[MongoDBBackend] Applied ${operations.length} operations and ${patchEntries.length} patches to MongoDB.`);
+  }
+
+  /**
+   * Patches the stored value of `key` in place with `$set`/`$unset` on `value.<path>`. The document keeps its TTL.
+   * @param {string} key - The top-level key.
+   * @param {Array<{path: string[], value: *, delete: boolean}>} ops - See the Patch type in CacheBackend.
+   * @returns {Promise<boolean>} False if the document could not be patched.
+   */
+  async _applyPatch(key, ops) {
+    // Field names cannot contain "." or start with "$"
+    if (ops.some((op) => op.path.some((prop) => !prop || prop.includes('.') || prop.startsWith('$') || prop.includes('\0')))) return false;
+    const update = { $set: { updatedAt: new Date() } };
+    for (const op of ops) {
+      const field = `value.${op.path.join('.')}`;
+      if (op.delete) {
+        update.$unset = { ...update.$unset, [field]: '' };
+      } else {
+        update.$set[field] = op.value;
+      }
+    }
+    const result = await this.collection.updateOne(this._notExpired({ key, value: { $type: 'object' }, compression: { $exists: false } }), update);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Nested paths are patched with `$set`/`$unset`, which needs values stored as documents.
+   * @returns {boolean}
+   */
+  supportsPatches() {
+    return this._storesDocuments() && !this.compression;
+  }
+
   async fetch() {
+    const { data } = await this.fetchWithExpiry();
+    return data;
+  }
+
+  async fetchWithExpiry() {
     await this.connect();
-    const docs = await this.collection.find().toArray();
-    return docs.reduce((acc, doc) => {
-      acc[doc.key] = doc.value;
+    const docs = await this.collection.find(this._notExpired()).toArray();
+    const expiries = {};
+    const data = docs.reduce((acc, doc) => {
+      acc[doc.key] = this._decodeValue(doc.value, doc.compression);
+      if (doc.expiresAt) expiries[doc.key] = doc.expiresAt.getTime();
       return acc;
     }, {});
+    return { data, expiries };
+  }
+
+  async retrieveObject(key) {
+    const { value } = await this.retrieveWithExpiry(key);
+    return value;
+  }
+
+  async retrieveWithExpiry(key) {
+    await this.connect();
+    const doc = await this.collection.findOne(this._notExpired({ key }));
+    if (!doc) return { value: undefined, expiresAt: null };
+    return { value: this._decodeValue(doc.value, doc.compression), expiresAt: doc.expiresAt ? doc.expiresAt.getTime() : null };
+  }
+
+  async retrieveManyWithExpiry(keys) {
+    await this.connect();
+    const docs = await this.collection.find(this._notExpired({ key: { $in: keys } })).toArray();
+    const results = {};
+    for (const doc of docs) {
+      results[doc.key] = { value: this._decodeValue(doc.value, doc.compression), expiresAt: doc.expiresAt ? doc.expiresAt.getTime() : null };
+    }
+    return results;
   }
 
   async delete(key) {
     await this.connect();
-    await this.collection.deleteOne({ key });
+    const result = await this.collection.deleteOne(this._scoped({ key }));
     if (this.debug) this.log(`[MongoDBBackend] Key ${key} deleted.`);
+    return result.deletedCount > 0;
   }
 
   async has(key) {
     await this.connect();
-    const count = await this.collection.countDocuments({ key });
+    const count = await this.collection.countDocuments(this._notExpired({ key }));
     return count > 0;
   }
 
   async clear() {
     await this.connect();
-    await this.collection.deleteMany({});
+    await this.collection.deleteMany(this._scoped());
     if (this.debug) this.log('[MongoDBBackend] All keys cleared.');
   }
 
   async keys() {
     await this.connect();
-    const keys = await this.collection.find().project({ key: 1, _id: 0 }).toArray();
+    const keys = await this.collection.find(this._notExpired()).project({ key: 1, _id: 0 }).toArray();
     return keys.map((doc) => doc.key);
   }
 
   async count() {
     await this.connect();
-    return await this.collection.countDocuments();
+    return await this.collection.countDocuments(this._notExpired());
+  }
+
+  /**
+   * Range query in key order on the (namespace, key) index: the cursor is the last key of the previous page
+   * (`key > cursor`), and a prefix is an anchored regular expression, which the index also serves.
+   */
+  async scanKeys({ match, prefix, limit, cursor } = {}) {
+    await this.connect();
+    const keyFilter = {};
+    if (cursor) keyFilter.$gt = cursor;
+    if (prefix) keyFilter.$regex = new RegExp(`^${escapeRegExp(prefix)}`);
+    const filter = Object.keys(keyFilter).length > 0 ? { key: keyFilter } : {};
+    if (match) filter.$and = [{ key: globToRegExp(match) }];
+    let query = this.collection.find(this._notExpired(filter)).sort({ key: 1 }).project({ key: 1, _id: 0 });
+    if (limit) query = query.limit(limit + 1); // One more document tells whether there is a next page
+    const docs = await query.toArray();
+    const keys = docs.slice(0, limit || docs.length).map((doc) => doc.key);
+    return { keys, cursor: limit && docs.length > limit ? keys[keys.length - 1] : null };
+  }
+
+  /**
+   * `$inc` and `$push` work on the stored BSON value, so they need values stored as documents:
+   * the `json` serializer and no encryption (and, for push, no compression).
+   * @param {string} operation
+   * @throws {Error} If the configuration stores values in an opaque form.
+   */
+  _assertNativeValues(operation) {
+    if (!this.supportsAtomic(operation)) {
+      throw new Error(`${operation}() is not supported with the "${this.serializer.name}" serializer${this.encryption ? ', encryption' : ''}${this.compression ? ' or compression' : ''}.`);
+    }
+  }
+
+  supportsAtomic(operation) {
+    if (!this._storesDocuments()) return false;
+    return operation !== 'push' || !this.compression;
+  }
+
+  /**
+   * Removes the document of `key` if it has expired but was not purged by the TTL monitor yet,
+   * so an update does not revive it.
+   */
+  async _dropExpired(key) {
+    await this.collection.deleteOne(this._scoped({ key, expiresAt: { $lte: new Date() } }));
+  }
+
+  async add(key, count, options = {}) {
+    await this._increment('add', key, Number(count), options);
+  }
+
+  async subtract(key, count, options = {}) {
+    await this._increment('subtract', key, -Number(count), options);
+  }
+
+  async _increment(operation, key, amount, { expiresAt } = {}) {
+    if (isNaN(amount)) throw new Error(`Count for ${operation} operation must be a number.`);
+    this._assertNativeValues(operation);
+    await this.connect();
+    await this._dropExpired(key);
+    const update = { $inc: { value: amount }, $set: { updatedAt: new Date() } };
+    if (expiresAt) update.$setOnInsert = { expiresAt: new Date(expiresAt) };
+    try {
+      await this.collection.updateOne(this._scoped({ key }), update, { upsert: true });
+    } catch (err) {
+      if (err.code === TYPE_MISMATCH) throw CacheBackend.nonNumericError(key, operation, err);
+      throw err;
+    }
+    if (this.debug) this.log(`[MongoDBBackend] ${operation} on key ${key} by ${Math.abs(amount)}.`);
+  }
+
+  async push(key, element, { expiresAt } = {}) {
+    this._assertNativeValues('push');
+    await this.connect();
+    await this._dropExpired(key);
+    // Update pipeline, so a missing or non-array value is replaced by [element] like in the other backends
+    const fields = {
+      value: { $concatArrays: [{ $cond: [{ $isArray: '$value' }, '$value', []] }, [{ $literal: element }]] },
+      updatedAt: '$$NOW',
+    };
+    if (expiresAt) fields.expiresAt = { $cond: [{ $eq: [{ $type: '$value' }, 'missing'] }, new Date(expiresAt), '$expiresAt'] };
+    await this.collection.updateOne(this._scoped({ key }), [{ $set: fields }], { upsert: true });
+    if (this.debug) this.log(`[MongoDBBackend] Element pushed to key ${key}.`);
   }
 
   async close() {
+    if (this.parent) {
+      this.client = null; // The client belongs to the parent backend
+      this.collection = null;
+      return;
+    }
+    if (!this.ownsClient) {
+      this.client = null; // Provided by the application, which closes it
+      this.collection = null;
+      this.log('[MongoDBBackend] MongoDB client was provided by the application; leaving it open.');
+      return;
+    }
     if (this.client) {
       await this.client.close();
       this.client = null;
+      this.collection = null;
       if (this.debug) this.log('[MongoDBBackend] Connection closed.');
     }
   }
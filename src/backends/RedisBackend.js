@@ -1,25 +1,180 @@
 // src/backends/RedisBackend.js
-const { createClient } = require('redis');
+const crypto = require('crypto');
+const { createClient, WatchError } = require('redis');
 const CacheBackend = require('./CacheBackend');
+const { resolveSerializer, serializeToString, deserializeFromString } = require('../serializers');
+const { resolveCompression, compressText, decompressText } = require('../compression');
+const { resolveEncryption, encryptText, decryptText } = require('../encryption');
+const { escapeGlob, createKeyFilter } = require('../keyPattern');
+
+// Attempts of an optimistic (WATCH) update before giving up under contention
+const MAX_WATCH_RETRIES = 10;
+
+const INVALIDATION_MODES = ['pubsub', 'keyspace'];
+
+// Keyspace notification events that mean the key is gone; any other event means it was written
+const REMOVAL_EVENTS = ['del', 'unlink', 'expired', 'evicted'];
+
+const isPatchable = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Redis type name of RedisJSON documents
+const JSON_TYPE = 'ReJSON-RL';
+
+/**
+ * Builds a RedisJSON path for a property path, in bracket notation so that any property name is allowed.
+ * @param {string[]} path
+ * @returns {string} E.g. `$["profile"]["name"]`.
+ */
+const toJsonPath = (path) => `$${path.map((prop) => `[${JSON.stringify(prop)}]`).join('')}`;
+
+const isWrongType = (err) => (err.replies || [err]).some((reply) => reply instanceof Error && reply.message.startsWith('WRONGTYPE'));
+
+// INCRBYFLOAT on a string that is not a number
+const isNotFloat = (err) => (err.replies || [err]).some((reply) => reply instanceof Error && reply.message.includes('not a valid float'));
+
+/**
+ * Applies patch operations (see the Patch type in CacheBackend) to a value read from Redis.
+ * @param {Object} target - The stored top-level object; modified in place.
+ * @param {Array<{path: string[], value: *, delete: boolean}>} ops
+ * @returns {Object} The target.
+ */
+const applyPatchOps = (target, ops) => {
+  for (const { path, value, delete: remove } of ops) {
+    const parent = path.slice(0, -1).reduce((container, prop) => {
+      if (!container) return null;
+      if (!isPatchable(container[prop])) {
+        if (remove) return null; // Nothing to remove below a missing object
+        container[prop] = {};
+      }
+      return container[prop];
+    }, target);
+    if (!parent) continue;
+    const last = path[path.length - 1];
+    if (remove) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+  return target;
+};
+
+/**
+ * Removes the password from a connection URL so it can be logged.
+ * @param {string} url - The connection URL.
+ * @returns {string}
+ */
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString();
+  } catch (e) {
+    return '<invalid url>';
+  }
+};
 
 class RedisBackend extends CacheBackend {
+  /**
+   * @param {Object} config
+   * @param {string} config.cacheName - Cache name, used as the default key prefix.
+   * @param {string} [config.url] - Connection URL (`redis://` or `rediss://`), may include credentials and db.
+   * @param {string} [config.host='localhost'] - Host, when no URL is given (alias: `dbHost`).
+   * @param {number} [config.port=6379] - Port, when no URL is given (alias: `dbPort`).
+   * @param {string} [config.username] - ACL username.
+   * @param {string} [config.password] - Password.
+   * @param {number} [config.database] - Database index (alias: `db`).
+   * @param {boolean|Object} [config.tls] - `true`, or TLS options (`ca`, `cert`, `key`, `servername`, ...).
+   * @param {number} [config.connectTimeout] - Connect timeout in ms.
+   * @param {string} [config.keyPrefix] - Key prefix. Defaults to `<cacheName>:`.
+   * @param {Object} [config.clientOptions] - Extra options passed to `createClient()`.
+   * @param {Object} [config.client] - An existing `redis` client to use instead of creating one.
+   *   It is connected if needed, but left open by `close()`.
+   * @param {string|Object} [config.serializer='json'] - Value serializer, see src/serializers.js.
+   * @param {string|Object} [config.compression] - Compression of large values, see src/compression.js.
+   * @param {Object} [config.encryption] - Value encryption, see src/encryption.js.
+   * @param {string} [config.invalidation] - Tell other instances about changes, see subscribeChanges():
+   *   `'pubsub'` publishes the keys changed by each write, `'keyspace'` listens to Redis keyspace notifications.
+   * @param {string} [config.invalidationChannel] - Pub/sub channel. Defaults to the cache name.
+   * @param {string} [config.keyspaceEvents] - If set, written to the server's `notify-keyspace-events` setting
+   *   (e.g. `'KA'`) when subscribing in `'keyspace'` mode. Otherwise the server must already be configured.
+   * @param {boolean} [config.redisJson=true] - Store values as RedisJSON documents when the server has the module
+   *   and values are plain JSON (the `json` serializer, no compression or encryption), see _usesRedisJson().
+   */
   constructor(config) {
     super();
-    this.dbHost = config.dbHost || 'localhost';
-    this.dbPort = config.dbPort || 6379;
+    this.config = config;
+    this.dbHost = config.host || config.dbHost || 'localhost';
+    this.dbPort = config.port || config.dbPort || 6379;
     this.cacheName = config.cacheName; // Used as a namespace/prefix for keys
-    this.keyPrefix = `${this.cacheName}:`;
+    this.keyPrefix = config.keyPrefix !== undefined ? config.keyPrefix : `${this.cacheName}:`;
 
     this.debug = config.debug || false;
     this.log = config.logFunction || (() => {}); // UniCache will pass its own logger
+    this.serializer = resolveSerializer(config.serializer);
+    this.compression = resolveCompression(config.compression);
+    this.encryption = resolveEncryption(config.encryption);
+    this.invalidation = config.invalidation || null;
+    if (this.invalidation && !INVALIDATION_MODES.includes(this.invalidation)) {
+      throw new Error(`Invalid invalidation "${this.invalidation}". Expected one of: ${INVALIDATION_MODES.join(', ')}.`);
+    }
+    this.channel = config.invalidationChannel || this.cacheName;
+    this.instanceId = crypto.randomUUID(); // Lets subscribers skip their own messages
+    this.subscriber = null; // Connection in subscriber mode, shared with namespaces (see _getSubscriber())
+    this.redisJsonReady = null; // Promise of the RedisJSON check, shared with namespaces (see _usesRedisJson())
+    this.ownWrites = null; // Keys being written, while subscribed to keyspace notifications (see _ownWrite())
 
-    this.uri = `redis://${this.dbHost}:${this.dbPort}`;
-    this.client = createClient({ url: this.uri });
+    const database = config.database !== undefined ? config.database : config.db;
+    if (config.client) {
+      this.client = config.client;
+      this.ownsClient = false;
+      this.uri = '<external client>';
+    } else {
+      const clientOptions = { ...(config.clientOptions || {}) };
+      const socket = { ...(clientOptions.socket || {}) };
+      if (config.url) {
+        clientOptions.url = config.url;
+        this.uri = redactUrl(config.url);
+      } else {
+        socket.host = this.dbHost;
+        socket.port = this.dbPort;
+        this.uri = `${config.tls ? 'rediss' : 'redis'}://${this.dbHost}:${this.dbPort}`;
+      }
+      if (config.tls) {
+        Object.assign(socket, config.tls === true ? {} : config.tls, { tls: true });
+      }
+      if (config.connectTimeout !== undefined) socket.connectTimeout = config.connectTimeout;
+      if (Object.keys(socket).length > 0) clientOptions.socket = socket;
+      if (config.username !== undefined) clientOptions.username = config.username;
+      if (config.password !== undefined) clientOptions.password = config.password;
+      if (database !== undefined) clientOptions.database = Number(database);
 
-    this.client.on('error', (err) => {
-      this.log(`Redis Client Error for cache "${this.cacheName}":`, err.message);
-      if (this.debug) console.error(`[RedisBackend][${this.cacheName}] Client Error:`, err);
-    });
+      this.client = createClient(clientOptions);
+      this.ownsClient = true;
+    }
+    if (database !== undefined && !config.url && !config.client) this.uri += `/${database}`;
+    this.database = database !== undefined ? Number(database) : config.url ? Number(new URL(config.url).pathname.slice(1)) || 0 : 0;
+
+    if (!config.namespaceOf) {
+      this.client.on('error', (err) => {
+        this.log(`Redis Client Error for cache "${this.cacheName}":`, err.message);
+        if (this.debug) console.error(`[RedisBackend][${this.cacheName}] Client Error:`, err);
+      });
+    }
+  }
+
+  /**
+   * Returns a backend for a child namespace that shares this backend's client.
+   * Its keys are prefixed `<prefix>/<name>:` (e.g. `myCache/sessions:`), which the parent's `<prefix>:*` scans do not match.
+   * @param {string} name - The child namespace name.
+   * @returns {RedisBackend}
+   */
+  namespace(name) {
+    const keyPrefix = `${this.keyPrefix.replace(/:$/, '')}/${name}:`;
+    const invalidationChannel = `${this.channel}/${name}`;
+    const child = new RedisBackend({ ...this.config, cacheName: `${this.cacheName}/${name}`, keyPrefix, invalidationChannel, client: this.client, namespaceOf: this });
+    child.uri = this.uri;
+    return child;
   }
 
   _getKey(key) {
@@ -34,27 +189,98 @@ class RedisBackend extends CacheBackend {
   }
 
   _stringifyValue(value) {
-    if (value === undefined || value === null) {
-      return JSON.stringify(null);
-    }
-    if (typeof value === 'string') {
-      return value;
-    }
-    return JSON.stringify(value);
+    return encryptText(this.encryption, compressText(this.compression, serializeToString(this.serializer, value)));
   }
 
   _parseValue(value) {
     if (value === null || value === undefined) {
       return undefined;
     }
+    const text = decryptText(this.encryption, value); // Throws on tampered data instead of returning it raw
     try {
-      return JSON.parse(value);
+      return deserializeFromString(this.serializer, decompressText(text));
     } catch (e) {
-      this.log(`_parseValue: Failed to parse JSON, returning raw value for key. Value: "${value && value.substring(0, 50)}"`);
+      // Older versions stored strings raw; keep returning those as they are
+      this.log(`_parseValue: Failed to deserialize (${this.serializer.name}), returning raw value for key. Value: "${value && value.substring(0, 50)}"`);
       return value;
     }
   }
 
+  _rootBackend() {
+    let root = this;
+    while (root.config.namespaceOf) root = root.config.namespaceOf;
+    return root;
+  }
+
+  /**
+   * Whether values are stored as RedisJSON documents, so that patches can use path-level `JSON.SET` and `JSON.DEL`.
+   * The module is detected once per client by probing `JSON.TYPE` on an unused key; without it (or when the ACL
+   * denies JSON commands) values are stored as strings and patches use _watchedUpdate().
+   * @returns {Promise<boolean>}
+   */
+  async _usesRedisJson() {
+    if (this.config.redisJson === false || this.serializer.name !== 'json' || this.compression || this.encryption) return false;
+    const root = this._rootBackend();
+    if (!root.redisJsonReady) root.redisJsonReady = root._detectRedisJson();
+    return root.redisJsonReady;
+  }
+
+  async _detectRedisJson() {
+    try {
+      await this.client.sendCommand(['JSON.TYPE', `${this.keyPrefix}${crypto.randomUUID()}`]);
+      this.log(`RedisJSON is available; JSON values of cache "${this.cacheName}" are stored as documents.`);
+      return true;
+    } catch (err) {
+      this.log(`RedisJSON is not available for cache "${this.cacheName}" (${err.message}); values are stored as strings.`);
+      return false;
+    }
+  }
+
+  /**
+   * Reads stored values with their remaining TTL in one MULTI. With RedisJSON, keys can also hold strings:
+   * counters written by INCRBYFLOAT, and values written before RedisJSON was used. `JSON.MGET` returns null
+   * for those, so they are read again with MGET.
+   * @param {string[]} redisKeys
+   * @returns {Promise<Array<{text: string|null, ttl: number}>>} The stored text (null if missing) and PTTL of each key.
+   */
+  async _readValues(redisKeys) {
+    const json = await this._usesRedisJson();
+    const multi = this.client.multi();
+    if (json) {
+      multi.addCommand(['JSON.MGET', ...redisKeys, '.']);
+    } else {
+      multi.mGet(redisKeys);
+    }
+    redisKeys.forEach((redisKey) => multi.pTTL(redisKey));
+    const [texts, ...ttls] = await multi.exec();
+    const stringKeys = json ? redisKeys.filter((redisKey, index) => texts[index] === null) : [];
+    if (stringKeys.length > 0) {
+      const strings = await this.client.mGet(stringKeys);
+      texts.forEach((text, index) => {
+        if (text === null) texts[index] = strings.shift();
+      });
+    }
+    return redisKeys.map((redisKey, index) => ({ text: texts[index], ttl: ttls[index] }));
+  }
+
+  /**
+   * Queues whole-value writes of `data` on `multi`, as one MSET or as RedisJSON documents. Either way the keys
+   * lose their previous TTL. The DEL before `JSON.SET` replaces keys stored as strings, which `JSON.SET` rejects.
+   * @param {Object} multi - A `redis` MULTI.
+   * @param {Object<string, *>} data - Values by key.
+   * @param {boolean} json - See _usesRedisJson().
+   */
+  _queueUpserts(multi, data, json) {
+    const redisKeys = Object.keys(data).map((key) => this._getKey(key));
+    const texts = Object.values(data).map((value) => this._stringifyValue(value));
+    if (json) {
+      multi.del(redisKeys);
+      redisKeys.forEach((redisKey, index) => multi.addCommand(['JSON.SET', redisKey, '$', texts[index]]));
+    } else {
+      multi.mSet(redisKeys.flatMap((redisKey, index) => [redisKey, texts[index]]));
+    }
+  }
+
   async connect() {
     if (!this.client.isOpen) {
       try {
@@ -72,7 +298,7 @@ class RedisBackend extends CacheBackend {
 
   // storeExists() method is REMOVED as per our previous decision
 
-  async save(data) {
+  async save(data, expiries = {}) {
     if (!this.client.isOpen) await this.connect();
     if (Object.keys(data).length === 0) {
       this.log(`Save for "${this.cacheName}": Data object is empty. If clearing is intended, use clear().`);
@@ -85,49 +311,109 @@ class RedisBackend extends CacheBackend {
       return;
     }
 
-    const multiSetArgs = [];
-    for (const [key, value] of Object.entries(data)) {
-      multiSetArgs.push(this._getKey(key), this._stringifyValue(value));
-    }
-
     try {
-      await this.client.mSet(multiSetArgs);
+      // MSET clears any previous TTL, so expiries are re-applied in the same MULTI.
+      const multi = this.client.multi();
+      this._queueUpserts(multi, data, await this._usesRedisJson());
+      for (const [key, expiresAt] of Object.entries(expiries)) {
+        if (Object.prototype.hasOwnProperty.call(data, key)) {
+          multi.pExpireAt(this._getKey(key), expiresAt);
+        }
+      }
+      await this._ownWrite(Object.keys(data), () => multi.exec());
       if (this.debug) this.log(`Data saved to Redis for cache "${this.cacheName}" using MSET. Keys: ${Object.keys(data).join(', ')}`);
+      await this._publishChanges({ upserts: Object.keys(data) });
     } catch (err) {
       this.log(`Error saving data to Redis for "${this.cacheName}" using MSET: ${err.message}`);
       throw err;
     }
   }
 
+  /**
+   * Lists the Redis keys under this backend's prefix. The prefix is escaped, so a `*`, `?` or `[` in it
+   * (e.g. from the cache name) does not select other caches' keys.
+   * @returns {Promise<string[]>}
+   */
+  async _scanKeys() {
+    const redisKeys = [];
+    let cursor = 0;
+    do {
+      const scanResult = await this.client.scan(cursor, { MATCH: `${escapeGlob(this.keyPrefix)}*`, COUNT: 100 });
+      cursor = scanResult.cursor;
+      redisKeys.push(...scanResult.keys);
+    } while (cursor !== 0);
+    return redisKeys;
+  }
+
+  async applyChanges({ clear, upserts, patches = {}, deletes, expiries }) {
+    if (!this.client.isOpen) await this.connect();
+    try {
+      const keysToDelete = clear ? await this._scanKeys() : deletes.map((key) => this._getKey(key));
+      const upsertKeys = Object.keys(upserts);
+      const patchEntries = Object.entries(patches);
+      if (keysToDelete.length === 0 && upsertKeys.length === 0 && patchEntries.length === 0) {
+        if (this.debug) this.log(`applyChanges for "${this.cacheName}": Nothing to apply.`);
+        return;
+      }
+
+      const multi = this.client.multi();
+      if (keysToDelete.length > 0) {
+        multi.del(keysToDelete);
+      }
+      const json = await this._usesRedisJson();
+      if (upsertKeys.length > 0) {
+        this._queueUpserts(multi, upserts, json); // Clears any previous TTL
+        for (const key of upsertKeys) {
+          if (expiries[key]) multi.pExpireAt(this._getKey(key), expiries[key]);
+        }
+      }
+      if (keysToDelete.length > 0 || upsertKeys.length > 0) {
+        await this._ownWrite([...keysToDelete.map((redisKey) => this._getLogicalKey(redisKey)), ...upsertKeys], () => multi.exec());
+      }
+      for (const [key, patch] of patchEntries) {
+        if (json && (await this._patchDocument(key, patch.ops))) continue;
+        await this._watchedUpdate(key, (currentValue) => (isPatchable(currentValue) ? applyPatchOps(currentValue, patch.ops) : patch.value), expiries[key]);
+      }
+      if (this.debug) this.log(`Changes applied to Redis for cache "${this.cacheName}" in MULTI. Upserts: ${upsertKeys.length}, patches: ${patchEntries.length}, deletes: ${keysToDelete.length}, clear: ${!!clear}`);
+      await this._publishChanges({ upserts: [...upsertKeys, ...Object.keys(patches)], deletes: clear ? [] : deletes, clear: !!clear });
+    } catch (err) {
+      this.log(`Error applying changes to Redis for "${this.cacheName}": ${err.message}`);
+      throw err;
+    }
+  }
+
   async fetch() {
+    const { data } = await this.fetchWithExpiry();
+    return data;
+  }
+
+  async fetchWithExpiry() {
     if (!this.client.isOpen) await this.connect();
     const cacheData = {};
-    let cursor = 0;
-    const keysToFetch = [];
+    const expiries = {};
 
     try {
-      do {
-        const scanResult = await this.client.scan(cursor, { MATCH: `${this.keyPrefix}*`, COUNT: 100 });
-        cursor = scanResult.cursor;
-        keysToFetch.push(...scanResult.keys);
-      } while (cursor !== 0);
+      const keysToFetch = await this._scanKeys();
 
       if (keysToFetch.length === 0) {
         if (this.debug) this.log(`Workspace for "${this.cacheName}": No keys found matching prefix.`);
-        return {};
+        return { data: {}, expiries: {} };
       }
 
-      const values = await this.client.mGet(keysToFetch);
+      const values = await this._readValues(keysToFetch);
+      const now = Date.now();
 
       keysToFetch.forEach((redisKey, index) => {
         const logicalKey = this._getLogicalKey(redisKey);
-        if (values[index] !== null) {
-          cacheData[logicalKey] = this._parseValue(values[index]);
+        const { text, ttl } = values[index];
+        if (text !== null) {
+          cacheData[logicalKey] = this._parseValue(text);
+          if (ttl > 0) expiries[logicalKey] = now + ttl; // -1: no expiry, -2: gone
         }
       });
 
       if (this.debug) this.log(`Data fetched from Redis for cache "${this.cacheName}". Keys found: ${keysToFetch.length}`);
-      return cacheData;
+      return { data: cacheData, expiries };
     } catch (err) {
       this.log(`Error fetching data from Redis for "${this.cacheName}": ${err.message}`);
       throw err;
@@ -137,8 +423,9 @@ class RedisBackend extends CacheBackend {
   async delete(key) {
     if (!this.client.isOpen) await this.connect();
     try {
-      const result = await this.client.del(this._getKey(key));
+      const result = await this._ownWrite([key], () => this.client.del(this._getKey(key)));
       if (this.debug) this.log(`Key "${key}" (redis key: ${this._getKey(key)}) deleted from Redis for cache "${this.cacheName}". Result: ${result}`);
+      if (result > 0) await this._publishChanges({ deletes: [key] });
       return result > 0;
     } catch (err) {
       this.log(`Error deleting key "${key}" from Redis for "${this.cacheName}": ${err.message}`);
@@ -160,21 +447,19 @@ class RedisBackend extends CacheBackend {
 
   async clear() {
     if (!this.client.isOpen) await this.connect();
-    let cursor = 0;
-    const keysToDelete = [];
     try {
-      do {
-        const scanResult = await this.client.scan(cursor, { MATCH: `${this.keyPrefix}*`, COUNT: 100 });
-        cursor = scanResult.cursor;
-        keysToDelete.push(...scanResult.keys);
-      } while (cursor !== 0);
+      const keysToDelete = await this._scanKeys();
 
       if (keysToDelete.length > 0) {
-        await this.client.del(keysToDelete);
+        await this._ownWrite(
+          keysToDelete.map((redisKey) => this._getLogicalKey(redisKey)),
+          () => this.client.del(keysToDelete)
+        );
         if (this.debug) this.log(`Cache "${this.cacheName}" cleared from Redis. ${keysToDelete.length} keys deleted.`);
       } else {
         if (this.debug) this.log(`Cache "${this.cacheName}" clear: No keys found matching prefix to delete.`);
       }
+      await this._publishChanges({ clear: true });
     } catch (err) {
       this.log(`Error clearing cache "${this.cacheName}" from Redis: ${err.message}`);
       throw err;
@@ -183,14 +468,8 @@ class RedisBackend extends CacheBackend {
 
   async keys() {
     if (!this.client.isOpen) await this.connect();
-    const logicalKeys = [];
-    let cursor = 0;
     try {
-      do {
-        const scanResult = await this.client.scan(cursor, { MATCH: `${this.keyPrefix}*`, COUNT: 100 });
-        cursor = scanResult.cursor;
-        scanResult.keys.forEach((redisKey) => logicalKeys.push(this._getLogicalKey(redisKey)));
-      } while (cursor !== 0);
+      const logicalKeys = (await this._scanKeys()).map((redisKey) => this._getLogicalKey(redisKey));
       if (this.debug) this.log(`Keys retrieved for cache "${this.cacheName}": ${logicalKeys.length} keys.`);
       return logicalKeys;
     } catch (err) {
@@ -204,15 +483,52 @@ class RedisBackend extends CacheBackend {
     return keysArray.length;
   }
 
-  async add(key, count) {
+  /**
+   * SCAN with MATCH, resumed from the SCAN cursor of the previous page. SCAN reads about `limit` slots per call
+   * and is repeated until `limit` keys were found, so a page can hold a few more keys than `limit`, and keys are
+   * not in key order. A key can be returned twice if the keyspace is rehashed during the scan.
+   */
+  async scanKeys({ match, prefix, limit, cursor } = {}) {
+    if (!this.client.isOpen) await this.connect();
+    const pattern = `${escapeGlob(this.keyPrefix)}${match || `${escapeGlob(prefix || '')}*`}`;
+    const filter = createKeyFilter({ prefix }); // With both `match` and `prefix`, MATCH only covers `match`
+    const keys = new Set();
+    let next = cursor ? Number(cursor) : 0;
+    try {
+      do {
+        const scanResult = await this.client.scan(next, { MATCH: pattern, COUNT: limit || 100 });
+        next = scanResult.cursor;
+        scanResult.keys.map((redisKey) => this._getLogicalKey(redisKey)).forEach((key) => filter(key) && keys.add(key));
+      } while (next !== 0 && (!limit || keys.size < limit));
+      return { keys: [...keys], cursor: next !== 0 ? String(next) : null };
+    } catch (err) {
+      this.log(`Error scanning keys matching "${pattern}" in Redis for "${this.cacheName}": ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * INCRBYFLOAT only works on values stored as decimal text, which binary serializers and encryption do not produce.
+   */
+  _assertTextNumbers(operation) {
+    if (this.serializer.binary) {
+      throw new Error(`${operation}() is not supported with the binary "${this.serializer.name}" serializer.`);
+    }
+    if (this.encryption) {
+      throw new Error(`${operation}() is not supported on encrypted values.`);
+    }
+  }
+
+  async add(key, count, options = {}) {
     if (!this.client.isOpen) await this.connect();
-    const redisKey = this._getKey(key);
     try {
-      const numericCount = parseInt(count, 10);
+      const numericCount = Number(count);
       if (isNaN(numericCount)) {
-        throw new Error('Count for add operation must be an integer.');
+        throw new Error('Count for add operation must be a number.');
       }
-      await this.client.incrBy(redisKey, numericCount);
+      this._assertTextNumbers('add');
+      await this._incrementBy('add', key, numericCount, options);
+      await this._publishChanges({ upserts: [key] });
       if (this.debug) this.log(`Value for key "${key}" incremented by ${numericCount} in cache "${this.cacheName}".`);
     } catch (err) {
       this.log(`Error incrementing key "${key}" in Redis for "${this.cacheName}": ${err.message}`);
@@ -220,15 +536,16 @@ class RedisBackend extends CacheBackend {
     }
   }
 
-  async subtract(key, count) {
+  async subtract(key, count, options = {}) {
     if (!this.client.isOpen) await this.connect();
-    const redisKey = this._getKey(key);
     try {
-      const numericCount = parseInt(count, 10);
+      const numericCount = Number(count);
       if (isNaN(numericCount)) {
-        throw new Error('Count for subtract operation must be an integer.');
+        throw new Error('Count for subtract operation must be a number.');
       }
-      await this.client.decrBy(redisKey, numericCount);
+      this._assertTextNumbers('subtract');
+      await this._incrementBy('subtract', key, -numericCount, options);
+      await this._publishChanges({ upserts: [key] });
       if (this.debug) this.log(`Value for key "${key}" decremented by ${numericCount} in cache "${this.cacheName}".`);
     } catch (err) {
       this.log(`Error decrementing key "${key}" in Redis for "${this.cacheName}": ${err.message}`);
@@ -236,36 +553,349 @@ class RedisBackend extends CacheBackend {
     }
   }
 
-  async push(key, element) {
-    if (!this.client.isOpen) await this.connect();
+  /**
+   * INCRBYFLOAT, which keeps the key's TTL and, unlike INCRBY, accepts fractional amounts and stored values.
+   * A key created by it gets `expiresAt`: a `SET NX` of 0 with the expiry runs first in the same MULTI.
+   * Counters are therefore strings, also with RedisJSON; a number stored as a document is incremented with `JSON.NUMINCRBY`.
+   * A value that is not a number is rejected by both, see `CacheBackend.counterValue()`.
+   */
+  async _incrementBy(operation, key, amount, { expiresAt } = {}) {
     const redisKey = this._getKey(key);
+    const multi = this.client.multi();
+    if (expiresAt) multi.set(redisKey, this._stringifyValue(0), { NX: true, PXAT: expiresAt });
+    await this._ownWrite([key], async () => {
+      try {
+        await multi.incrByFloat(redisKey, amount).exec();
+      } catch (err) {
+        if (isNotFloat(err)) throw CacheBackend.nonNumericError(key, operation, err);
+        if (!isWrongType(err) || !(await this._usesRedisJson())) throw err;
+        // With a `$` path, a document that is not a number is left as is and reported as null
+        const reply = await this.client.sendCommand(['JSON.NUMINCRBY', redisKey, '$', String(amount)]);
+        if (JSON.parse(reply)[0] === null) throw CacheBackend.nonNumericError(key, operation);
+      }
+    });
+  }
+
+  async push(key, element, { expiresAt } = {}) {
+    if (!this.client.isOpen) await this.connect();
     try {
-      await this.client.rPush(redisKey, this._stringifyValue(element));
-      if (this.debug) this.log(`Element pushed to list at key "${key}" in cache "${this.cacheName}".`);
+      // Values are stored as serialized strings or JSON documents, not Redis lists
+      await this._watchedUpdate(
+        key,
+        (currentValue) => {
+          const arr = Array.isArray(currentValue) ? currentValue : [];
+          arr.push(element);
+          return arr;
+        },
+        expiresAt
+      );
+      await this._publishChanges({ upserts: [key] });
+      if (this.debug) this.log(`Element pushed to array at key "${key}" in cache "${this.cacheName}".`);
     } catch (err) {
-      this.log(`Error pushing to list at key "${key}" in Redis for "${this.cacheName}": ${err.message}`);
+      this.log(`Error pushing to array at key "${key}" in Redis for "${this.cacheName}": ${err.message}`);
       throw err;
     }
   }
 
+  /**
+   * Optimistic read-modify-write of one key: EXEC fails if another client changed the key after WATCH,
+   * and the update is retried. The key keeps its TTL; a key created by the update gets `expiresAt`.
+   * @param {string} key - The top-level key.
+   * @param {function(*): *} update - Receives the current value (undefined if missing) and returns the new one.
+   * @param {number} [expiresAt]
+   * @returns {Promise<void>}
+   */
+  async _watchedUpdate(key, update, expiresAt) {
+    const redisKey = this._getKey(key);
+    const json = await this._usesRedisJson();
+    await this._retryWatched(key, async (isolatedClient) => {
+      await isolatedClient.watch(redisKey);
+      const type = json ? await isolatedClient.type(redisKey) : 'string';
+      const current = type === JSON_TYPE ? await isolatedClient.sendCommand(['JSON.GET', redisKey]) : await isolatedClient.get(redisKey);
+      const newValue = update(current === null ? undefined : this._parseValue(current));
+      const multi = isolatedClient.multi();
+      if (type === 'string') {
+        // Strings stay strings, so a counter can still be incremented
+        const setOptions = current !== null ? { KEEPTTL: true } : expiresAt ? { PXAT: expiresAt } : {};
+        multi.set(redisKey, this._stringifyValue(newValue), setOptions);
+      } else {
+        const ttl = type === JSON_TYPE ? await isolatedClient.pTTL(redisKey) : 0;
+        multi.addCommand(['JSON.SET', redisKey, '$', this._stringifyValue(newValue)]);
+        if (ttl > 0) {
+          multi.pExpire(redisKey, ttl); // Replacing the root of a document does not reliably keep its TTL
+        } else if (current === null && expiresAt) {
+          multi.pExpireAt(redisKey, expiresAt);
+        }
+      }
+      await multi.exec();
+    });
+  }
+
+  /**
+   * Applies patch operations to a RedisJSON document with path-level `JSON.SET` and `JSON.DEL`, so the value is
+   * neither read nor rewritten. Parents that are missing or not objects are set to `{}` first, as applyPatchOps() does;
+   * their types are read under WATCH. The key keeps its TTL.
+   * Returns false without writing if the key is not a document holding an object, or if one operation's path lies
+   * below another's: such patches are applied with _watchedUpdate().
+   * @param {string} key - The top-level key.
+   * @param {Array<{path: string[], value: *, delete: boolean}>} ops
+   * @returns {Promise<boolean>} Whether the patch was applied.
+   */
+  async _patchDocument(key, ops) {
+    const redisKey = this._getKey(key);
+    const paths = ops.map(({ path }) => toJsonPath(path));
+    if (paths.some((path) => paths.some((other) => other !== path && other.startsWith(path)))) return false;
+    const parentPaths = [...new Set(ops.flatMap(({ path }) => path.slice(0, -1).map((prop, index) => toJsonPath(path.slice(0, index + 1)))))];
+
+    return this._retryWatched(key, async (isolatedClient) => {
+      await isolatedClient.watch(redisKey);
+      const types = (await isolatedClient.type(redisKey)) === JSON_TYPE ? await Promise.all(['$', ...parentPaths].map((path) => isolatedClient.sendCommand(['JSON.TYPE', redisKey, path]))) : [[]];
+      if (types[0][0] !== 'object') {
+        await isolatedClient.unwatch();
+        return false;
+      }
+      const objects = new Set(parentPaths.filter((path, index) => types[index + 1][0] === 'object'));
+
+      const multi = isolatedClient.multi();
+      ops.forEach(({ path, value, delete: remove }, index) => {
+        const parents = path.slice(0, -1).map((prop, depth) => toJsonPath(path.slice(0, depth + 1)));
+        if (remove) {
+          if (parents.every((parent) => objects.has(parent))) multi.addCommand(['JSON.DEL', redisKey, paths[index]]);
+          return;
+        }
+        for (const parent of parents.filter((parent) => !objects.has(parent))) {
+          multi.addCommand(['JSON.SET', redisKey, parent, '{}']);
+          objects.add(parent);
+        }
+        multi.addCommand(['JSON.SET', redisKey, paths[index], this._stringifyValue(value)]);
+      });
+      await multi.exec();
+      return true;
+    });
+  }
+
+  /**
+   * Runs `transaction` on an isolated connection, again if its EXEC fails because a WATCHed key was changed.
+   * @param {string} key - The top-level key, for logging.
+   * @param {function(Object): Promise<*>} transaction - Receives the isolated client.
+   * @returns {Promise<*>} The result of `transaction`.
+   */
+  async _retryWatched(key, transaction) {
+    return this._ownWrite([key], async () => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.client.executeIsolated(transaction);
+        } catch (err) {
+          if (!(err instanceof WatchError) || attempt >= MAX_WATCH_RETRIES) throw err;
+          if (this.debug) this.log(`Key "${key}" changed concurrently in cache "${this.cacheName}"; retrying update (${attempt}).`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Runs `write` with `keys` marked as written by this instance, so that keyspace notifications for them are not
+   * reported by subscribeChanges(). Redis queues a write's notifications on the subscriber connection before it
+   * replies to the write, so they have arrived once a PING sent there afterwards returns; the marks are removed then.
+   * Another client's write to the same keys in that short time is not reported either.
+   * @param {string[]} keys - The top-level keys.
+   * @param {function(): Promise<*>} write
+   * @returns {Promise<*>} The result of `write`.
+   */
+  async _ownWrite(keys, write) {
+    if (!this.ownWrites) return write();
+    const ownWrites = this.ownWrites;
+    keys.forEach((key) => ownWrites.set(key, (ownWrites.get(key) || 0) + 1));
+    try {
+      return await write();
+    } finally {
+      const { subscriber } = this._rootBackend();
+      (subscriber && subscriber.isOpen ? subscriber.ping() : Promise.resolve())
+        .catch((err) => this.log(`Error waiting for keyspace notifications of cache "${this.cacheName}": ${err.message}`))
+        .finally(() => {
+          for (const key of keys) {
+            const count = ownWrites.get(key) - 1;
+            if (count > 0) {
+              ownWrites.set(key, count);
+            } else {
+              ownWrites.delete(key);
+            }
+          }
+        });
+    }
+  }
+
+  /**
+   * With RedisJSON (see _usesRedisJson()), patches are applied by _patchDocument(); otherwise, and for values it
+   * cannot patch, with _watchedUpdate(). Either way concurrent changes to other fields of the same value are kept.
+   * @returns {boolean}
+   */
+  supportsPatches() {
+    return true;
+  }
+
+  supportsAtomic(operation) {
+    if (operation === 'push') return true;
+    return !this.serializer.binary && !this.encryption; // See _assertTextNumbers()
+  }
+
   async retrieveObject(key) {
     if (!this.client.isOpen) await this.connect();
     const redisKey = this._getKey(key);
     try {
-      const value = await this.client.get(redisKey);
-      if (value === null) {
+      const [{ text }] = await this._readValues([redisKey]);
+      if (text === null) {
         if (this.debug) this.log(`retrieveObject: Key "${key}" not found in cache "${this.cacheName}".`);
         return undefined;
       }
       if (this.debug) this.log(`retrieveObject: Value retrieved for key "${key}" in cache "${this.cacheName}".`);
-      return this._parseValue(value);
+      return this._parseValue(text);
     } catch (err) {
       this.log(`Error retrieving object for key "${key}" in Redis for "${this.cacheName}": ${err.message}`);
       throw err;
     }
   }
 
+  async retrieveWithExpiry(key) {
+    if (!this.client.isOpen) await this.connect();
+    const redisKey = this._getKey(key);
+    try {
+      const [{ text, ttl }] = await this._readValues([redisKey]);
+      if (text === null) {
+        if (this.debug) this.log(`retrieveWithExpiry: Key "${key}" not found in cache "${this.cacheName}".`);
+        return { value: undefined, expiresAt: null };
+      }
+      return { value: this._parseValue(text), expiresAt: ttl > 0 ? Date.now() + ttl : null };
+    } catch (err) {
+      this.log(`Error retrieving key "${key}" with expiry in Redis for "${this.cacheName}": ${err.message}`);
+      throw err;
+    }
+  }
+
+  async retrieveManyWithExpiry(keys) {
+    if (!this.client.isOpen) await this.connect();
+    const results = {};
+    if (keys.length === 0) return results;
+    try {
+      const values = await this._readValues(keys.map((key) => this._getKey(key)));
+      const now = Date.now();
+      keys.forEach((key, index) => {
+        const { text, ttl } = values[index];
+        if (text !== null) results[key] = { value: this._parseValue(text), expiresAt: ttl > 0 ? now + ttl : null };
+      });
+      return results;
+    } catch (err) {
+      this.log(`Error retrieving ${keys.length} keys with expiry in Redis for "${this.cacheName}": ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * In `'pubsub'` invalidation mode, tells other instances which keys this one changed.
+   * A failure is only logged: the write itself has succeeded, and the others still see it on their next read.
+   * @param {{upserts: string[], deletes: string[], clear: boolean}} change
+   * @returns {Promise<void>}
+   */
+  async _publishChanges({ upserts = [], deletes = [], clear = false }) {
+    if (this.invalidation !== 'pubsub') return;
+    try {
+      await this.client.publish(this.channel, JSON.stringify({ source: this.instanceId, upserts, deletes, clear }));
+    } catch (err) {
+      this.log(`Error publishing changes of cache "${this.cacheName}" on channel "${this.channel}": ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns the connection used for subscriptions. A connection in subscriber mode cannot run other commands,
+   * so the root backend opens one next to its client and shares it with its namespaces.
+   * @returns {Promise<Object>} A connected `redis` client.
+   */
+  async _getSubscriber() {
+    const root = this._rootBackend();
+    if (!root.subscriber) {
+      const subscriber = root.client.duplicate();
+      subscriber.on('error', (err) => {
+        root.log(`Redis subscriber error for cache "${root.cacheName}":`, err.message);
+      });
+      root.subscriber = subscriber;
+      root.subscriberReady = subscriber.connect().catch((err) => {
+        root.subscriber = null;
+        throw err;
+      });
+    }
+    await root.subscriberReady;
+    return root.subscriber;
+  }
+
+  /**
+   * Calls `listener` with keys changed by others, according to `config.invalidation`:
+   * - `'pubsub'`: changes published by other RedisBackend instances with the same channel after each write.
+   *   An instance does not receive its own messages.
+   * - `'keyspace'`: Redis keyspace notifications for keys under this backend's prefix, which also cover writes
+   *   made without UniCache. The server must have them enabled (`notify-keyspace-events`, see
+   *   `config.keyspaceEvents`). This instance's own writes are skipped, see _ownWrite().
+   * @param {function({upserts: string[], deletes: string[], clear: boolean}): void} listener
+   * @returns {Promise<(function(): Promise<void>)|null>} Unsubscribes; null if invalidation is not configured.
+   */
+  async subscribeChanges(listener) {
+    if (!this.invalidation) return null;
+    if (!this.client.isOpen) await this.connect();
+    const subscriber = await this._getSubscriber();
+    const notify = (change) => {
+      try {
+        listener(change);
+      } catch (err) {
+        this.log(`Error handling changes of cache "${this.cacheName}" made elsewhere: ${err.message}`);
+      }
+    };
+
+    if (this.invalidation === 'pubsub') {
+      const onMessage = (message) => {
+        let change;
+        try {
+          change = JSON.parse(message);
+        } catch (err) {
+          this.log(`Ignoring malformed message on channel "${this.channel}": ${err.message}`);
+          return;
+        }
+        if (change.source === this.instanceId) return;
+        notify({ upserts: change.upserts || [], deletes: change.deletes || [], clear: !!change.clear });
+      };
+      await subscriber.subscribe(this.channel, onMessage);
+      this.log(`Subscribed to changes of cache "${this.cacheName}" on channel "${this.channel}".`);
+      return async () => {
+        if (subscriber.isOpen) await subscriber.unsubscribe(this.channel, onMessage);
+      };
+    }
+
+    if (this.config.keyspaceEvents) await this.client.configSet('notify-keyspace-events', this.config.keyspaceEvents);
+    const channelPrefix = `__keyspace@${this.database}__:`;
+    const pattern = `${channelPrefix}${escapeGlob(this.keyPrefix)}*`;
+    const onEvent = (event, channel) => {
+      const key = this._getLogicalKey(channel.slice(channelPrefix.length));
+      if (this.ownWrites.has(key)) return;
+      const removed = REMOVAL_EVENTS.includes(event);
+      notify({ upserts: removed ? [] : [key], deletes: removed ? [key] : [], clear: false });
+    };
+    this.ownWrites = new Map(); // Top-level key => number of writes in progress, see _ownWrite()
+    await subscriber.pSubscribe(pattern, onEvent);
+    this.log(`Subscribed to keyspace notifications of cache "${this.cacheName}" (${pattern}).`);
+    return async () => {
+      this.ownWrites = null;
+      if (subscriber.isOpen) await subscriber.pUnsubscribe(pattern, onEvent);
+    };
+  }
+
   async close() {
+    if (this.subscriber) {
+      const subscriber = this.subscriber;
+      this.subscriber = null;
+      await subscriber.quit().catch((err) => this.log(`Error closing Redis subscriber for cache "${this.cacheName}": ${err.message}`));
+    }
+    if (!this.ownsClient) {
+      this.log(`Redis client for cache "${this.cacheName}" was provided by the application; leaving it open.`);
+      return;
+    }
     if (this.client.isOpen) {
       try {
         await this.client.quit();
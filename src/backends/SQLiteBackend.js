@@ -5,34 +5,88 @@ const path = require('path');
 const fs = require('fs').promises;
 const { Mutex } = require('async-mutex'); // Import the Mutex
 const CacheBackend = require('./CacheBackend');
+const { resolveSerializer, serializeToString, deserializeFromString } = require('../serializers');
+const { resolveCompression, compressText, decompressText } = require('../compression');
+const { resolveEncryption, encryptText, decryptText } = require('../encryption');
+
+// SQL condition for rows that have not expired; binds the current time in ms.
+const NOT_EXPIRED = '(expiresAt IS NULL OR expiresAt > ?)';
+
+/**
+ * Converts a key pattern (see src/keyPattern.js) to an SQLite GLOB pattern. GLOB is case-sensitive like Redis
+ * MATCH, but has no escape character: a literal `*`, `?` or `[` becomes a one-character set (`[*]`).
+ * @param {string} pattern
+ * @returns {string}
+ */
+const toSqliteGlob = (pattern) => {
+  let glob = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      const literal = pattern[++i];
+      glob += '*?['.includes(literal) ? `[${literal}]` : literal;
+    } else if (char === '[' && pattern[i + 1] === '!') {
+      glob += '[^';
+      i++;
+    } else {
+      glob += char;
+    }
+  }
+  return glob;
+};
+
+/**
+ * SQLite JSON path of a nested path below the top-level value, e.g. `$."profile"."name"`.
+ * @param {string[]} path
+ * @returns {string|null} Null if a property cannot be quoted.
+ */
+const toJsonPath = (path) => (path.some((prop) => /["\\]/.test(prop)) ? null : `$${path.map((prop) => `."${prop}"`).join('')}`);
+
+// Keys per `IN (...)` query; SQLite limits the number of bound parameters (999 in older builds).
+const MAX_KEYS_PER_QUERY = 500;
 
 class SQLiteBackend extends CacheBackend {
+  /**
+   * @param {Object} config
+   * @param {string} config.cacheName - Cache name, used as the database file name.
+   * @param {string} [config.savePath='./data'] - Directory of the database file.
+   * @param {string} [config.namespace=''] - Value of the `namespace` column this backend reads and writes.
+   */
   constructor(config) {
     super();
+    this.config = config;
     this.cacheName = config.cacheName;
+    this.namespaceId = config.namespace || '';
+    this.parent = null; // Set on namespace views, which share the parent's connection
     this.savePath = config.savePath || './data';
     this.dbFilePath = path.join(this.savePath, `${this.cacheName}.sqlite`);
     this.tableName = 'cache_data';
 
     this.debug = config.debug || false;
     this.log = config.logFunction || (() => {});
+    this.serializer = resolveSerializer(config.serializer);
+    this.compression = resolveCompression(config.compression);
+    this.encryption = resolveEncryption(config.encryption);
     this.db = null;
+    // How long a write waits for another process's transaction before failing with SQLITE_BUSY (ms)
+    this.busyTimeout = config.busyTimeout || 5000;
+    this.dataVersion = null; // See checkExternalChanges()
 
     this.mutex = new Mutex(); // Create a Mutex instance for serializing transactions
   }
 
   // _stringifyValue, _parseValue, _ensureDirectoryExists remain the same
   _stringifyValue(value) {
-    if (value === undefined) return JSON.stringify(null);
-    return JSON.stringify(value);
+    return encryptText(this.encryption, compressText(this.compression, serializeToString(this.serializer, value)));
   }
 
   _parseValue(value) {
     if (value === null || value === undefined) return undefined;
+    const text = decryptText(this.encryption, value); // Throws on tampered data instead of returning it raw
     try {
-      return JSON.parse(value);
+      return deserializeFromString(this.serializer, decompressText(text));
     } catch (e) {
-      this.log(`[SQLiteBackend][${this.cacheName}] _parseValue: Failed to parse JSON for: "${value ? value.substring(0, 50) : value}"`);
+      this.log(`[SQLiteBackend][${this.cacheName}] _parseValue: Failed to deserialize (${this.serializer.name}) value: "${value ? value.substring(0, 50) : value}"`);
       return value;
     }
   }
@@ -52,7 +106,25 @@ class SQLiteBackend extends CacheBackend {
     }
   }
 
+  /**
+   * Returns a backend for the rows of a child namespace. It shares this backend's connection and transaction mutex.
+   * @param {string} name - The child namespace name.
+   * @returns {SQLiteBackend}
+   */
+  namespace(name) {
+    const child = new SQLiteBackend({ ...this.config, namespace: this.namespaceId ? `${this.namespaceId}/${name}` : name });
+    child.parent = this;
+    child.mutex = this.mutex;
+    return child;
+  }
+
   async connect() {
+    if (this.parent) {
+      await this.parent.connect();
+      this.db = this.parent.db;
+      if (this.dataVersion === null) this.dataVersion = (await this.db.get('PRAGMA data_version')).data_version;
+      return;
+    }
     // Connection logic needs to be careful if called concurrently by operations waiting on the mutex
     // The mutex should ideally be acquired *before* calling connect if connect itself isn't idempotent
     // or if opening the DB is part of the transactional work.
@@ -78,13 +150,27 @@ class SQLiteBackend extends CacheBackend {
         driver: sqlite3.Database,
       });
       await this.db.run('PRAGMA journal_mode = WAL;');
+      await this.db.run(`PRAGMA busy_timeout = ${Number(this.busyTimeout)};`);
       await this.db.run(`
             CREATE TABLE IF NOT EXISTS ${this.tableName} (
-            key TEXT PRIMARY KEY,
+            namespace TEXT NOT NULL DEFAULT '',
+            key TEXT NOT NULL,
             value TEXT,
-            updatedAt DATETIME
+            updatedAt DATETIME,
+            expiresAt INTEGER,
+            PRIMARY KEY (namespace, key)
             )
         `);
+      // Tables created before TTL support lack the expiresAt column (ms since epoch, NULL = never).
+      const columns = await this.db.all(`PRAGMA table_info(${this.tableName})`);
+      if (!columns.some((column) => column.name === 'expiresAt')) {
+        await this.db.run(`ALTER TABLE ${this.tableName} ADD COLUMN expiresAt INTEGER`);
+        this.log(`[SQLiteBackend][${this.cacheName}] Added expiresAt column to table "${this.tableName}".`);
+      }
+      if (!columns.some((column) => column.name === 'namespace')) {
+        await this._migrateToNamespaces();
+      }
+      this.dataVersion = (await this.db.get('PRAGMA data_version')).data_version;
       this.log(`[SQLiteBackend][${this.cacheName}] Connected to SQLite: ${this.dbFilePath}. Table "${this.tableName}" ensured.`);
     } catch (err) {
       this.log(`[SQLiteBackend][${this.cacheName}] Failed to connect/setup SQLite DB at ${this.dbFilePath}: ${err.message}`);
@@ -96,6 +182,38 @@ class SQLiteBackend extends CacheBackend {
     }
   }
 
+  /**
+   * Rebuilds a table created before namespaces: the primary key becomes (namespace, key)
+   * and existing rows move to the root namespace ''.
+   */
+  async _migrateToNamespaces() {
+    await this.db.exec('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      // Another process may have migrated while we waited for the write lock
+      const columns = await this.db.all(`PRAGMA table_info(${this.tableName})`);
+      if (!columns.some((column) => column.name === 'namespace')) {
+        await this.db.run(`
+            CREATE TABLE ${this.tableName}_migrated (
+            namespace TEXT NOT NULL DEFAULT '',
+            key TEXT NOT NULL,
+            value TEXT,
+            updatedAt DATETIME,
+            expiresAt INTEGER,
+            PRIMARY KEY (namespace, key)
+            )
+        `);
+        await this.db.run(`INSERT INTO ${this.tableName}_migrated (namespace, key, value, updatedAt, expiresAt) SELECT '', key, value, updatedAt, expiresAt FROM ${this.tableName}`);
+        await this.db.run(`DROP TABLE ${this.tableName}`);
+        await this.db.run(`ALTER TABLE ${this.tableName}_migrated RENAME TO ${this.tableName}`);
+        this.log(`[SQLiteBackend][${this.cacheName}] Added namespace column to table "${this.tableName}".`);
+      }
+      await this.db.exec('COMMIT');
+    } catch (err) {
+      await this.db.exec('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }
+
   // Helper to run operations within a transaction, serialized by the mutex
   async _withTransaction(operation) {
     const release = await this.mutex.acquire();
@@ -129,36 +247,129 @@ class SQLiteBackend extends CacheBackend {
     }
   }
 
-  async save(data) {
+  async save(data, expiries = {}) {
     return this._withTransaction(async (db) => {
       const dataToSave = data || {};
       const entries = Object.entries(dataToSave);
       this.log(`[SQLiteBackend][${this.cacheName}] save() transaction active. Saving ${entries.length} entries. Keys: ${Object.keys(dataToSave).join(', ')}`);
 
-      const deleteResult = await db.run(`DELETE FROM ${this.tableName}`);
-      this.log(`[SQLiteBackend][${this.cacheName}] Cleared existing data. Rows deleted: ${deleteResult.changes}`);
-
+      // Row-level merge: rows written by other processes are kept. Use clear() or applyChanges() to remove rows.
       if (entries.length > 0) {
-        const stmt = await db.prepare(`INSERT INTO ${this.tableName} (key, value, updatedAt) VALUES (?, ?, datetime('now'))`);
+        const stmt = await db.prepare(`INSERT OR REPLACE INTO ${this.tableName} (namespace, key, value, updatedAt, expiresAt) VALUES (?, ?, ?, datetime('now'), ?)`);
         for (const [key, value] of entries) {
-          await stmt.run(key, this._stringifyValue(value));
+          await stmt.run(this.namespaceId, key, this._stringifyValue(value), expiries[key] || null);
         }
         await stmt.finalize();
-        this.log(`[SQLiteBackend][${this.cacheName}] Inserted ${entries.length} new rows.`);
+        this.log(`[SQLiteBackend][${this.cacheName}] Upserted ${entries.length} rows.`);
       } else {
-        this.log(`[SQLiteBackend][${this.cacheName}] Provided data object was empty, table is now empty.`);
+        this.log(`[SQLiteBackend][${this.cacheName}] Provided data object was empty, nothing to save.`);
       }
-      this.log(`[SQLiteBackend][${this.cacheName}] Save transaction complete. Final table state reflects ${entries.length} items.`);
+      this.log(`[SQLiteBackend][${this.cacheName}] Save transaction complete.`);
     });
   }
 
-  async _atomicUpdate(key, updateCallback) {
+  /**
+   * Reports whether another connection (typically another process) has committed changes
+   * since the last check. Uses `PRAGMA data_version`, which ignores this connection's own commits.
+   * @returns {Promise<boolean>}
+   */
+  async checkExternalChanges() {
+    await this.connect();
+    if (!this.db) throw new Error('SQLite database is not connected for checkExternalChanges.');
+    const { data_version: dataVersion } = await this.db.get('PRAGMA data_version');
+    if (dataVersion === this.dataVersion) return false;
+    this.dataVersion = dataVersion;
+    return true;
+  }
+
+  async applyChanges({ clear, upserts, patches = {}, deletes, expiries }) {
+    return this._withTransaction(async (db) => {
+      const entries = Object.entries(upserts);
+      this.log(`[SQLiteBackend][${this.cacheName}] applyChanges() transaction active. Upserts: ${entries.length}, deletes: ${deletes.length}, clear: ${!!clear}`);
+
+      if (clear) {
+        const deleteResult = await db.run(`DELETE FROM ${this.tableName} WHERE namespace = ?`, this.namespaceId);
+        this.log(`[SQLiteBackend][${this.cacheName}] Cleared existing data. Rows deleted: ${deleteResult.changes}`);
+      } else if (deletes.length > 0) {
+        const deleteStmt = await db.prepare(`DELETE FROM ${this.tableName} WHERE namespace = ? AND key = ?`);
+        for (const key of deletes) {
+          await deleteStmt.run(this.namespaceId, key);
+        }
+        await deleteStmt.finalize();
+      }
+
+      // A patch that cannot be applied in place (row missing, expired or not a JSON object) upserts the whole value
+      for (const [key, patch] of Object.entries(patches)) {
+        if (!(await this._applyPatch(db, key, patch.ops))) entries.push([key, patch.value]);
+      }
+
+      if (entries.length > 0) {
+        const stmt = await db.prepare(`INSERT OR REPLACE INTO ${this.tableName} (namespace, key, value, updatedAt, expiresAt) VALUES (?, ?, ?, datetime('now'), ?)`);
+        for (const [key, value] of entries) {
+          await stmt.run(this.namespaceId, key, this._stringifyValue(value), expiries[key] || null);
+        }
+        await stmt.finalize();
+      }
+      this.log(`[SQLiteBackend][${this.cacheName}] applyChanges transaction complete.`);
+    });
+  }
+
+  /**
+   * Patches the stored JSON object of `key` in place with `json_set`/`json_remove`. The row keeps its TTL.
+   * @param {Object} db - The connection of the running transaction.
+   * @param {string} key - The top-level key.
+   * @param {Array<{path: string[], value: *, delete: boolean}>} ops - See the Patch type in CacheBackend.
+   * @returns {Promise<boolean>} False if the row could not be patched.
+   */
+  async _applyPatch(db, key, ops) {
+    const paths = ops.map((op) => toJsonPath(op.path));
+    if (paths.includes(null)) return false;
+    let expression = 'value';
+    const params = [];
+    const sets = [];
+    const removes = [];
+    ops.forEach((op, i) => (op.delete ? removes : sets).push([op, paths[i]]));
+    if (sets.length > 0) {
+      expression = `json_set(${expression}, ${sets.map(() => '?, json(?)').join(', ')})`;
+      sets.forEach(([op, jsonPath]) => params.push(jsonPath, this.serializer.serialize(op.value)));
+    }
+    if (removes.length > 0) {
+      expression = `json_remove(${expression}, ${removes.map(() => '?').join(', ')})`;
+      removes.forEach(([, jsonPath]) => params.push(jsonPath));
+    }
+    const result = await db.run(
+      `UPDATE ${this.tableName} SET value = ${expression}, updatedAt = datetime('now') WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED} AND (CASE WHEN json_valid(value) THEN json_type(value) END) = 'object'`,
+      ...params,
+      this.namespaceId,
+      key,
+      Date.now()
+    );
+    this.log(`[SQLiteBackend][${this.cacheName}] Patch of key "${key}" (${ops.length} paths) ${result.changes > 0 ? 'applied' : 'not applicable'}.`);
+    return result.changes > 0;
+  }
+
+  /**
+   * Nested paths are patched with SQLite's JSON functions, which needs values stored as plain JSON text.
+   * @returns {boolean}
+   */
+  supportsPatches() {
+    return ['json', 'typed'].includes(this.serializer.name) && !this.compression && !this.encryption;
+  }
+
+  async _atomicUpdate(key, updateCallback, expiresAt = null) {
     return this._withTransaction(async (db) => {
       this.log(`[SQLiteBackend][${this.cacheName}] _atomicUpdate() transaction active for key "${key}".`);
-      const row = await db.get(`SELECT value FROM ${this.tableName} WHERE key = ?`, key);
+      const row = await db.get(`SELECT value, expiresAt FROM ${this.tableName} WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`, this.namespaceId, key, Date.now());
       const currentValue = row ? this._parseValue(row.value) : undefined;
       const newValue = updateCallback(currentValue);
-      await db.run(`INSERT OR REPLACE INTO ${this.tableName} (key, value, updatedAt) VALUES (?, ?, datetime('now'))`, key, this._stringifyValue(newValue));
+      // Keep the TTL of a live row; an expired or missing row gets `expiresAt`.
+      await db.run(
+        `INSERT OR REPLACE INTO ${this.tableName} (namespace, key, value, updatedAt, expiresAt) VALUES (?, ?, ?, datetime('now'), ?)`,
+        this.namespaceId,
+        key,
+        this._stringifyValue(newValue),
+        row ? row.expiresAt : expiresAt || null
+      );
       this.log(`[SQLiteBackend][${this.cacheName}] Atomic update for key "${key}" successful.`);
       return newValue;
     });
@@ -171,17 +382,23 @@ class SQLiteBackend extends CacheBackend {
   // We will call connect at the beginning of these methods.
 
   async fetch() {
+    const { data } = await this.fetchWithExpiry();
+    return data;
+  }
+
+  async fetchWithExpiry() {
     await this.connect();
     if (!this.db) throw new Error('SQLite database is not connected for fetch.');
-    // ... (rest of fetch logic, using this.db directly)
     try {
-      const rows = await this.db.all(`SELECT key, value FROM ${this.tableName}`);
+      const rows = await this.db.all(`SELECT key, value, expiresAt FROM ${this.tableName} WHERE namespace = ? AND ${NOT_EXPIRED}`, this.namespaceId, Date.now());
+      const expiries = {};
       const cacheData = rows.reduce((acc, row) => {
         acc[row.key] = this._parseValue(row.value);
+        if (row.expiresAt !== null) expiries[row.key] = row.expiresAt;
         return acc;
       }, {});
       this.log(`[SQLiteBackend][${this.cacheName}] Fetched ${rows.length} rows from SQLite.`);
-      return cacheData;
+      return { data: cacheData, expiries };
     } catch (err) {
       this.log(`[SQLiteBackend][${this.cacheName}] Error fetching data from SQLite: ${err.message}`);
       throw err;
@@ -193,7 +410,7 @@ class SQLiteBackend extends CacheBackend {
     if (!this.db) throw new Error('SQLite database is not connected for delete.');
     // ... (rest of delete logic)
     try {
-      const result = await this.db.run(`DELETE FROM ${this.tableName} WHERE key = ?`, key);
+      const result = await this.db.run(`DELETE FROM ${this.tableName} WHERE namespace = ? AND key = ?`, this.namespaceId, key);
       this.log(`[SQLiteBackend][${this.cacheName}] Delete operation for key "${key}". Changes: ${result.changes}`);
       return result.changes > 0;
     } catch (err) {
@@ -207,7 +424,7 @@ class SQLiteBackend extends CacheBackend {
     if (!this.db) throw new Error('SQLite database is not connected for has.');
     // ... (rest of has logic)
     try {
-      const row = await this.db.get(`SELECT 1 FROM ${this.tableName} WHERE key = ? LIMIT 1`, key);
+      const row = await this.db.get(`SELECT 1 FROM ${this.tableName} WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED} LIMIT 1`, this.namespaceId, key, Date.now());
       const exists = !!row;
       this.log(`[SQLiteBackend][${this.cacheName}] Has check for key "${key}". Found: ${exists}`);
       return exists;
@@ -221,8 +438,8 @@ class SQLiteBackend extends CacheBackend {
     // clear is a write operation that benefits from the transaction wrapper for consistency
     return this._withTransaction(async (db) => {
       this.log(`[SQLiteBackend][${this.cacheName}] clear() transaction active.`);
-      const result = await db.run(`DELETE FROM ${this.tableName}`);
-      this.log(`[SQLiteBackend][${this.cacheName}] All rows cleared from table. Changes: ${result.changes}`);
+      const result = await db.run(`DELETE FROM ${this.tableName} WHERE namespace = ?`, this.namespaceId);
+      this.log(`[SQLiteBackend][${this.cacheName}] All rows of namespace "${this.namespaceId}" cleared. Changes: ${result.changes}`);
     });
   }
 
@@ -231,7 +448,7 @@ class SQLiteBackend extends CacheBackend {
     if (!this.db) throw new Error('SQLite database is not connected for keys.');
     // ... (rest of keys logic)
     try {
-      const rows = await this.db.all(`SELECT key FROM ${this.tableName}`);
+      const rows = await this.db.all(`SELECT key FROM ${this.tableName} WHERE namespace = ? AND ${NOT_EXPIRED}`, this.namespaceId, Date.now());
       const keyList = rows.map((row) => row.key);
       this.log(`[SQLiteBackend][${this.cacheName}] Retrieved ${keyList.length} keys.`);
       return keyList;
@@ -241,12 +458,48 @@ class SQLiteBackend extends CacheBackend {
     }
   }
 
+  /**
+   * Pages with a GLOB filter and `key > cursor ... ORDER BY key LIMIT`, which the primary key index serves
+   * without scanning the skipped rows (unlike OFFSET). The cursor is the last key of the previous page.
+   */
+  async scanKeys({ match, prefix, limit, cursor } = {}) {
+    await this.connect();
+    if (!this.db) throw new Error('SQLite database is not connected for scanKeys.');
+    const conditions = ['namespace = ?', NOT_EXPIRED];
+    const params = [this.namespaceId, Date.now()];
+    if (prefix) {
+      conditions.push('key GLOB ?');
+      params.push(`${prefix.replace(/[*?[]/g, '[$&]')}*`);
+    }
+    if (match) {
+      conditions.push('key GLOB ?');
+      params.push(toSqliteGlob(match));
+    }
+    if (cursor) {
+      conditions.push('key > ?');
+      params.push(cursor);
+    }
+    let sql = `SELECT key FROM ${this.tableName} WHERE ${conditions.join(' AND ')} ORDER BY key`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit + 1); // One more row tells whether there is a next page
+    }
+    try {
+      const rows = await this.db.all(sql, ...params);
+      const keys = rows.slice(0, limit || rows.length).map((row) => row.key);
+      return { keys, cursor: limit && rows.length > limit ? keys[keys.length - 1] : null };
+    } catch (err) {
+      this.log(`[SQLiteBackend][${this.cacheName}] Error scanning keys in SQLite: ${err.message}`);
+      throw err;
+    }
+  }
+
   async count() {
     await this.connect();
     if (!this.db) throw new Error('SQLite database is not connected for count.');
     // ... (rest of count logic)
     try {
-      const row = await this.db.get(`SELECT COUNT(*) as count FROM ${this.tableName}`);
+      const row = await this.db.get(`SELECT COUNT(*) as count FROM ${this.tableName} WHERE namespace = ? AND ${NOT_EXPIRED}`, this.namespaceId, Date.now());
       const numRows = row ? row.count : 0;
       this.log(`[SQLiteBackend][${this.cacheName}] Table contains ${numRows} rows.`);
       return numRows;
@@ -261,7 +514,7 @@ class SQLiteBackend extends CacheBackend {
     if (!this.db) throw new Error('SQLite database is not connected for retrieveObject.');
     // ... (rest of retrieveObject logic)
     try {
-      const row = await this.db.get(`SELECT value FROM ${this.tableName} WHERE key = ?`, key);
+      const row = await this.db.get(`SELECT value FROM ${this.tableName} WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`, this.namespaceId, key, Date.now());
       this.log(`[SQLiteBackend][${this.cacheName}] retrieveObject for key "${key}". Row ${row ? 'found' : 'not found'}.`);
       return row ? this._parseValue(row.value) : undefined;
     } catch (err) {
@@ -270,45 +523,89 @@ class SQLiteBackend extends CacheBackend {
     }
   }
 
+  async retrieveWithExpiry(key) {
+    await this.connect();
+    if (!this.db) throw new Error('SQLite database is not connected for retrieveWithExpiry.');
+    try {
+      const row = await this.db.get(`SELECT value, expiresAt FROM ${this.tableName} WHERE namespace = ? AND key = ? AND ${NOT_EXPIRED}`, this.namespaceId, key, Date.now());
+      this.log(`[SQLiteBackend][${this.cacheName}] retrieveWithExpiry for key "${key}". Row ${row ? 'found' : 'not found'}.`);
+      return row ? { value: this._parseValue(row.value), expiresAt: row.expiresAt } : { value: undefined, expiresAt: null };
+    } catch (err) {
+      this.log(`[SQLiteBackend][${this.cacheName}] Error retrieving key "${key}" from SQLite: ${err.message}`);
+      throw err;
+    }
+  }
+
+  async retrieveManyWithExpiry(keys) {
+    await this.connect();
+    if (!this.db) throw new Error('SQLite database is not connected for retrieveManyWithExpiry.');
+    const results = {};
+    const now = Date.now();
+    try {
+      // Chunked to stay below SQLite's limit on bound parameters
+      for (let i = 0; i < keys.length; i += MAX_KEYS_PER_QUERY) {
+        const chunk = keys.slice(i, i + MAX_KEYS_PER_QUERY);
+        const rows = await this.db.all(
+          `SELECT key, value, expiresAt FROM ${this.tableName} WHERE namespace = ? AND key IN (${chunk.map(() => '?').join(', ')}) AND ${NOT_EXPIRED}`,
+          this.namespaceId,
+          ...chunk,
+          now
+        );
+        for (const row of rows) results[row.key] = { value: this._parseValue(row.value), expiresAt: row.expiresAt };
+      }
+      this.log(`[SQLiteBackend][${this.cacheName}] retrieveManyWithExpiry found ${Object.keys(results).length} of ${keys.length} keys.`);
+      return results;
+    } catch (err) {
+      this.log(`[SQLiteBackend][${this.cacheName}] Error retrieving ${keys.length} keys from SQLite: ${err.message}`);
+      throw err;
+    }
+  }
+
   // add, subtract, push will call _atomicUpdate, which is now wrapped by _withTransaction
-  async add(key, count) {
-    const numericCount = parseInt(count, 10);
+  async add(key, count, { expiresAt } = {}) {
+    const numericCount = Number(count);
     if (isNaN(numericCount)) {
-      const errMsg = `[SQLiteBackend][${this.cacheName}] Add: Count for key "${key}" is not an integer: ${count}`;
+      const errMsg = `[SQLiteBackend][${this.cacheName}] Add: Count for key "${key}" is not a number: ${count}`;
       this.log(errMsg);
       throw new Error(errMsg);
     }
-    await this._atomicUpdate(key, (currentValue) => {
-      const numCurrent = typeof currentValue === 'number' && isFinite(currentValue) ? currentValue : 0;
-      return numCurrent + numericCount;
-    });
+    await this._atomicUpdate(key, (currentValue) => CacheBackend.counterValue(currentValue, key, 'add') + numericCount, expiresAt);
     this.log(`[SQLiteBackend][${this.cacheName}] Add operation for key "${key}" (incremented by ${numericCount}) has completed.`);
   }
 
-  async subtract(key, count) {
-    const numericCount = parseInt(count, 10);
+  async subtract(key, count, { expiresAt } = {}) {
+    const numericCount = Number(count);
     if (isNaN(numericCount)) {
-      const errMsg = `[SQLiteBackend][${this.cacheName}] Subtract: Count for key "${key}" is not an integer: ${count}`;
+      const errMsg = `[SQLiteBackend][${this.cacheName}] Subtract: Count for key "${key}" is not a number: ${count}`;
       this.log(errMsg);
       throw new Error(errMsg);
     }
-    await this._atomicUpdate(key, (currentValue) => {
-      const numCurrent = typeof currentValue === 'number' && isFinite(currentValue) ? currentValue : 0;
-      return numCurrent - numericCount;
-    });
+    await this._atomicUpdate(key, (currentValue) => CacheBackend.counterValue(currentValue, key, 'subtract') - numericCount, expiresAt);
     this.log(`[SQLiteBackend][${this.cacheName}] Subtract operation for key "${key}" (decremented by ${numericCount}) has completed.`);
   }
 
-  async push(key, element) {
-    await this._atomicUpdate(key, (currentValue) => {
-      const arr = Array.isArray(currentValue) ? currentValue : [];
-      arr.push(element);
-      return arr;
-    });
+  async push(key, element, { expiresAt } = {}) {
+    await this._atomicUpdate(
+      key,
+      (currentValue) => {
+        const arr = Array.isArray(currentValue) ? currentValue : [];
+        arr.push(element);
+        return arr;
+      },
+      expiresAt
+    );
     this.log(`[SQLiteBackend][${this.cacheName}] Push operation for array at key "${key}" has completed.`);
   }
 
+  supportsAtomic() {
+    return true; // IMMEDIATE transactions also lock out other processes
+  }
+
   async close() {
+    if (this.parent) {
+      this.db = null; // The connection belongs to the parent backend
+      return;
+    }
     // Ensure any pending transaction operations complete before closing
     const release = await this.mutex.acquire(); // Acquire mutex to ensure no transaction is ongoing
     try {
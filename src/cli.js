@@ -0,0 +1,236 @@
+// src/cli.js
+const fs = require('fs');
+const { once } = require('events');
+const UniCache = require('./UniCache');
+
+const USAGE = `Usage: uni-cache [options] <cacheName> <command> [arguments]
+
+Commands:
+  keys [pattern]        List top-level keys, optionally matching a pattern (*, ?, [a-z])
+  get <key>             Print the value at a key (dot notation)
+  set <key> <value>     Set a value; <value> is parsed as JSON, or taken as a string
+  del <key>             Delete a key
+  count                 Print the number of top-level keys
+  clear --yes           Remove every entry
+  export [file]         Write a snapshot to a file or stdout
+  import [file]         Read a snapshot from a file or stdin
+  stats                 Print the cache's stats() (type, status, size, counters)
+
+Options:
+  -t, --type <type>     Backend: file, sqlite, redis, valkey, mongodb or a registered type
+  -p, --save-path <dir> Directory of the file and sqlite backends
+  --host <host>         Redis or MongoDB host
+  --port <port>         Redis or MongoDB port
+  --uri <uri>           Redis URL or MongoDB connection string
+  --db-name <name>      MongoDB database
+  --collection <name>   MongoDB collection (default: the cache name)
+  --serializer <name>   Value serializer (json, typed, msgpack, v8)
+  --config <file>       JSON file with constructor options (e.g. encryption); other options override it
+  --ttl <seconds>       set: expiry of the value
+  --format <format>     export: ndjson (default) or json
+  --mode <mode>         import: merge (default) or replace
+  --yes                 clear: confirm
+  --pretty              Indent JSON output
+  -h, --help            Show this help
+
+Output is JSON. Exit codes: 0 success, 1 error or key not found, 2 invalid usage.`;
+
+const COMMANDS = ['keys', 'get', 'set', 'del', 'count', 'clear', 'export', 'import', 'stats'];
+const FLAGS = ['yes', 'pretty', 'help'];
+const VALUE_OPTIONS = ['type', 'save-path', 'host', 'port', 'uri', 'db-name', 'collection', 'serializer', 'config', 'ttl', 'format', 'mode'];
+const ALIASES = { t: 'type', p: 'save-path', h: 'help' };
+
+class UsageError extends Error {}
+
+/**
+ * Splits command-line arguments into options and positional arguments.
+ * Accepts `--name value`, `--name=value` and the short aliases; `--` ends the options.
+ * @param {string[]} argv
+ * @returns {{options: Object<string, (string|boolean)>, args: string[]}}
+ * @throws {UsageError} On an unknown option or a missing value.
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      name = separator > 0 ? arg.slice(2, separator) : arg.slice(2);
+      if (separator > 0) value = arg.slice(separator + 1);
+    } else if (/^-[a-z]$/i.test(arg)) {
+      name = ALIASES[arg[1]];
+      if (!name) throw new UsageError(`Unknown option "${arg}".`);
+    } else {
+      args.push(arg); // Includes negative numbers such as "-5"
+      continue;
+    }
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) value = argv[++i];
+      if (value === undefined) throw new UsageError(`Option "--${name}" needs a value.`);
+      options[name] = value;
+    } else {
+      throw new UsageError(`Unknown option "--${name}".`);
+    }
+  }
+  return { options, args };
+};
+
+/**
+ * Builds UniCache constructor options from the command-line options.
+ * The CLI reads lazily and writes through, so it neither loads the whole cache nor leaves writes unsynced.
+ * @param {Object} options - Parsed options.
+ * @returns {Object}
+ */
+const buildCacheOptions = (options) => {
+  const config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+  const cacheOptions = { ...config, loadStrategy: 'lazy', mode: 'write-through', onBackendError: 'throw', syncOnBreak: false };
+  if (options.type) cacheOptions.cacheType = options.type;
+  if (!cacheOptions.cacheType || cacheOptions.cacheType === 'memory') {
+    throw new UsageError('Give the backend with --type (file, sqlite, redis, valkey, mongodb).');
+  }
+  if (options['save-path']) cacheOptions.savePath = options['save-path'];
+  if (options.host) cacheOptions.dbHost = options.host;
+  if (options.port) cacheOptions.dbPort = Number(options.port);
+  if (options.uri) {
+    if (cacheOptions.cacheType === 'mongodb') {
+      cacheOptions.mongoUri = options.uri;
+    } else {
+      cacheOptions.redisConfig = { ...(cacheOptions.redisConfig || {}), url: options.uri };
+    }
+  }
+  if (options['db-name']) cacheOptions.dbName = options['db-name'];
+  if (options.collection) cacheOptions.collectionName = options.collection;
+  if (options.serializer) cacheOptions.serializer = options.serializer;
+  if (['redis', 'valkey'].includes(cacheOptions.cacheType)) {
+    // Fail instead of reconnecting forever when the server cannot be reached
+    const redisConfig = cacheOptions.redisConfig || {};
+    const clientOptions = redisConfig.clientOptions || {};
+    cacheOptions.redisConfig = { ...redisConfig, clientOptions: { ...clientOptions, socket: { reconnectStrategy: false, ...(clientOptions.socket || {}) } } };
+  }
+  return cacheOptions;
+};
+
+/**
+ * Parses a value given on the command line: JSON if it is valid JSON, otherwise the string itself.
+ * @param {string} text
+ * @returns {*}
+ */
+const parseValue = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+const requireArg = (value, usage) => {
+  if (value === undefined) throw new UsageError(`Usage: uni-cache [options] <cacheName> ${usage}`);
+  return value;
+};
+
+/**
+ * Runs one command against the cache.
+ * @param {UniCache} cache
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} options - Parsed options.
+ * @param {{stdin: Readable, stdout: Writable}} io
+ * @returns {Promise<{output: *, error: string, exitCode: number}>} `output` is printed as JSON unless undefined,
+ *   `error` goes to stderr.
+ */
+const runCommand = async (cache, command, args, options, io) => {
+  switch (command) {
+    case 'keys':
+      return { output: await cache.keys(args[0] ? { match: args[0] } : undefined), exitCode: 0 };
+    case 'get': {
+      const key = requireArg(args[0], 'get <key>');
+      const value = await cache.get(key);
+      if (value === undefined) return { error: `Key "${key}" not found.`, exitCode: 1 };
+      return { output: value, exitCode: 0 };
+    }
+    case 'set': {
+      const key = requireArg(args[0], 'set <key> <value>');
+      const value = parseValue(requireArg(args[1], 'set <key> <value>'));
+      await cache.set(key, value, options.ttl !== undefined ? { ttl: Number(options.ttl), sync: true } : true);
+      return { output: value, exitCode: 0 };
+    }
+    case 'del': {
+      const key = requireArg(args[0], 'del <key>');
+      const existed = await cache.has(key);
+      if (existed) await cache.delete(key, true);
+      return { output: { deleted: existed }, exitCode: existed ? 0 : 1 };
+    }
+    case 'count':
+      return { output: await cache.count(), exitCode: 0 };
+    case 'clear': {
+      if (!options.yes) throw new UsageError('clear removes every entry; confirm with --yes.');
+      const count = await cache.count();
+      await cache.clear(true);
+      return { output: { cleared: count }, exitCode: 0 };
+    }
+    case 'export': {
+      const stream = args[0] ? fs.createWriteStream(args[0]) : io.stdout;
+      const count = await cache.export(stream, { format: options.format || 'ndjson', end: !!args[0] });
+      if (args[0]) {
+        await once(stream, 'close');
+        return { output: { exported: count, file: args[0] }, exitCode: 0 };
+      }
+      return { exitCode: 0 }; // The snapshot is the output
+    }
+    case 'import': {
+      const stream = args[0] ? fs.createReadStream(args[0]) : io.stdin;
+      const count = await cache.import(stream, { mode: options.mode || 'merge', sync: true });
+      return { output: { imported: count }, exitCode: 0 };
+    }
+    case 'stats':
+      return { output: { ...(await cache.stats()), persistent: cache.isPersistent() }, exitCode: 0 };
+    default:
+      throw new UsageError(`Unknown command "${command}".`);
+  }
+};
+
+/**
+ * Entry point of the `uni-cache` command.
+ * @param {string[]} argv - Arguments without the node and script paths.
+ * @param {Object} [io] - Streams, replaceable for embedding.
+ * @returns {Promise<number>} The exit code.
+ */
+const run = async (argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) => {
+  let cache = null;
+  try {
+    const { options, args } = parseArgs(argv);
+    if (options.help) {
+      io.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    const [cacheName, command, ...commandArgs] = args;
+    if (!cacheName || !command) throw new UsageError('Give a cache name and a command.');
+    if (!COMMANDS.includes(command)) throw new UsageError(`Unknown command "${command}".`);
+    cache = new UniCache(cacheName, buildCacheOptions(options));
+    await cache.init();
+    const { output, error, exitCode } = await runCommand(cache, command, commandArgs, options, io);
+    if (error) io.stderr.write(`uni-cache: ${error}\n`);
+    if (output !== undefined) io.stdout.write(`${JSON.stringify(output, null, options.pretty ? 2 : 0)}\n`);
+    return exitCode;
+  } catch (error) {
+    io.stderr.write(`uni-cache: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      io.stderr.write('Run "uni-cache --help" for usage.\n');
+      return 2;
+    }
+    return 1;
+  } finally {
+    if (cache) await cache.close().catch(() => {});
+  }
+};
+
+module.exports = { run, parseArgs };
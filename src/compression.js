@@ -0,0 +1,96 @@
+// src/compression.js
+const zlib = require('zlib');
+
+const ALGORITHMS = {
+  gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync, levelOption: 'level' },
+  deflate: { compress: zlib.deflateSync, decompress: zlib.inflateSync, levelOption: 'level' },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync, levelOption: zlib.constants.BROTLI_PARAM_QUALITY },
+};
+
+const DEFAULT_THRESHOLD = 1024; // bytes
+
+// Prefix of compressed values in string stores. Serialized values never start with a NUL character
+// (JSON escapes it and base64 does not use it), so uncompressed data written earlier is never mistaken for it.
+const TEXT_MARKER = '\u0000uc-z:';
+
+/**
+ * @typedef {Object} Compression
+ * @property {string} algorithm - `'gzip'`, `'deflate'` or `'brotli'`.
+ * @property {number} threshold - Values whose serialized size in bytes is below this are stored uncompressed.
+ * @property {number} [level] - Compression level (brotli: quality).
+ */
+
+/**
+ * Resolves `options.compression`.
+ * @param {boolean|string|Object} [compression] - Falsy to disable, an algorithm name,
+ *   `true` for gzip, or `{ algorithm, threshold, level }`.
+ * @returns {Compression|null}
+ */
+const resolveCompression = (compression) => {
+  if (!compression) return null;
+  const config = typeof compression === 'object' ? { ...compression } : { algorithm: compression === true ? 'gzip' : compression };
+  config.algorithm = config.algorithm || 'gzip';
+  if (!ALGORITHMS[config.algorithm]) {
+    throw new Error(`Unknown compression algorithm "${config.algorithm}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+  config.threshold = config.threshold !== undefined ? Number(config.threshold) : DEFAULT_THRESHOLD;
+  return config;
+};
+
+/**
+ * Compresses `payload` if it reaches the threshold.
+ * @param {Compression|null} compression
+ * @param {string|Buffer} payload
+ * @returns {Buffer|null} The compressed bytes, or null if the payload stays uncompressed.
+ */
+const compress = (compression, payload) => {
+  if (!compression) return null;
+  const input = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  if (input.length < compression.threshold) return null;
+  const { compress: compressSync, levelOption } = ALGORITHMS[compression.algorithm];
+  if (compression.level === undefined) return compressSync(input);
+  const options = compression.algorithm === 'brotli' ? { params: { [levelOption]: compression.level } } : { [levelOption]: compression.level };
+  return compressSync(input, options);
+};
+
+/**
+ * @param {string} algorithm
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+const decompress = (algorithm, payload) => {
+  const entry = ALGORITHMS[algorithm];
+  if (!entry) throw new Error(`Cannot decompress value: unknown compression algorithm "${algorithm}".`);
+  return entry.decompress(payload);
+};
+
+/**
+ * Compresses a serialized value for string stores. Large values become `<marker><algorithm>:<base64>`.
+ * @param {Compression|null} compression
+ * @param {string} text
+ * @returns {string}
+ */
+const compressText = (compression, text) => {
+  const compressed = compress(compression, text);
+  return compressed ? `${TEXT_MARKER}${compression.algorithm}:${compressed.toString('base64')}` : text;
+};
+
+/**
+ * Reverse of `compressText()`. Works without compression configured; unmarked text is returned as it is.
+ * @param {string} text
+ * @returns {string}
+ */
+const decompressText = (text) => {
+  if (typeof text !== 'string' || !text.startsWith(TEXT_MARKER)) return text;
+  const separator = text.indexOf(':', TEXT_MARKER.length);
+  const algorithm = text.slice(TEXT_MARKER.length, separator);
+  return decompress(algorithm, Buffer.from(text.slice(separator + 1), 'base64')).toString();
+};
+
+module.exports = {
+  resolveCompression,
+  compress,
+  decompress,
+  compressText,
+  decompressText,
+};
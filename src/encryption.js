@@ -0,0 +1,179 @@
+// src/encryption.js
+const crypto = require('crypto');
+const { DecryptionError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Prefix of encrypted values: `<marker><keyId>:<base64 of iv + tag + ciphertext>`. Like the compression
+// marker it starts with a NUL character, which serialized values never do.
+const TEXT_MARKER = '\u0000uc-e:';
+
+/**
+ * Accepts a 32-byte Buffer, or a string holding 32 bytes as hex or base64.
+ * @param {Buffer|string} key
+ * @param {string} keyId - Used in error messages.
+ * @returns {Buffer}
+ */
+const normalizeKey = (key, keyId) => {
+  let buffer = null;
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === 'string') {
+    buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+  if (!buffer || buffer.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes (a Buffer, or a hex or base64 string). Generate one with crypto.randomBytes(32).`);
+  }
+  return buffer;
+};
+
+/**
+ * AES-256-GCM encryption of serialized values, with key rotation.
+ * Every ciphertext records the id of the key it was encrypted with; only the current key encrypts.
+ */
+class Encryption {
+  /**
+   * @param {Object} options
+   * @param {Buffer|string|function(string): (Buffer|string)} options.key - The current key, or a synchronous
+   *   key provider called with a key id for encryption (`keyId`) and for every id found in stored data.
+   * @param {string} [options.keyId='default'] - Id of the current key.
+   * @param {Object<string, (Buffer|string)>} [options.previousKeys={}] - Retired keys by id, used for decryption only.
+   * @param {boolean} [options.allowPlaintext=false] - Accept unencrypted stored values (to migrate an existing cache).
+   */
+  constructor({ key, keyId = 'default', previousKeys = {}, allowPlaintext = false } = {}) {
+    if (!key) throw new Error('options.encryption requires a key or a key provider function.');
+    if (typeof keyId !== 'string' || !keyId || keyId.includes(':')) {
+      throw new Error(`Invalid encryption keyId "${keyId}". It must be a non-empty string without ":".`);
+    }
+    this.keyId = keyId;
+    this.keyProvider = typeof key === 'function' ? key : null;
+    this.allowPlaintext = !!allowPlaintext;
+    this.keys = new Map(); // keyId -> Buffer, filled lazily for key providers
+    if (!this.keyProvider) this.keys.set(keyId, normalizeKey(key, keyId));
+    for (const [id, previousKey] of Object.entries(previousKeys)) {
+      if (id !== keyId) this.keys.set(id, normalizeKey(previousKey, id));
+    }
+    this._getKey(keyId); // Fail early on a provider that cannot supply the current key
+    this.staleRead = false; // See takeStale()
+  }
+
+  _getKey(keyId) {
+    if (!this.keys.has(keyId) && this.keyProvider) {
+      const provided = this.keyProvider(keyId);
+      if (provided) this.keys.set(keyId, normalizeKey(provided, keyId));
+    }
+    return this.keys.get(keyId);
+  }
+
+  isEncrypted(payload) {
+    return typeof payload === 'string' && payload.startsWith(TEXT_MARKER);
+  }
+
+  /**
+   * @param {string} text - Serialized (and possibly compressed) value.
+   * @returns {string} The marked ciphertext.
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this._getKey(this.keyId), iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(Buffer.from(this.keyId)); // The key id cannot be swapped without failing authentication
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return `${TEXT_MARKER}${this.keyId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+  }
+
+  /**
+   * Decrypts a value written by `encrypt()`. Unencrypted input is returned as it is if `allowPlaintext` is set.
+   * Values that were not encrypted with the current key are reported by `takeStale()`.
+   * @param {string} payload
+   * @returns {string}
+   * @throws {DecryptionError} If the value was tampered with, its key is unknown, or it is unencrypted
+   *   and `allowPlaintext` is off.
+   */
+  decrypt(payload) {
+    if (!this.isEncrypted(payload)) {
+      this.assertPlaintextAllowed();
+      return payload;
+    }
+    const separator = payload.indexOf(':', TEXT_MARKER.length);
+    const keyId = payload.slice(TEXT_MARKER.length, separator);
+    const key = separator > 0 ? this._getKey(keyId) : undefined;
+    if (!key) throw new DecryptionError(`Cannot decrypt cache data: unknown encryption key "${keyId}".`, { keyId });
+    const raw = Buffer.from(payload.slice(separator + 1), 'base64');
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, raw.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH });
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      const text = Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+      if (keyId !== this.keyId) this.staleRead = true;
+      return text;
+    } catch (error) {
+      throw new DecryptionError(`Cannot decrypt cache data encrypted with key "${keyId}": the data was modified or the key is wrong.`, { keyId, cause: error });
+    }
+  }
+
+  /**
+   * Called by backends that find data stored without encryption.
+   * @throws {DecryptionError} Unless `allowPlaintext` is set.
+   */
+  assertPlaintextAllowed() {
+    if (!this.allowPlaintext) {
+      throw new DecryptionError('Found unencrypted cache data while encryption is enabled. Set encryption.allowPlaintext to migrate existing data.');
+    }
+    this.staleRead = true; // Written back encrypted on the next sync
+  }
+
+  /**
+   * Whether a value read since the last call was encrypted with a retired key (or not at all).
+   * Resets the flag.
+   * @returns {boolean}
+   */
+  takeStale() {
+    const stale = this.staleRead;
+    this.staleRead = false;
+    return stale;
+  }
+}
+
+/**
+ * Encrypts `text` if encryption is configured.
+ * @param {Encryption|null} encryption
+ * @param {string} text
+ * @returns {string}
+ */
+const encryptText = (encryption, text) => (encryption ? encryption.encrypt(text) : text);
+
+/**
+ * Reverse of `encryptText()`. Without encryption configured, encrypted input is rejected instead of being
+ * passed on as an unreadable value.
+ * @param {Encryption|null} encryption
+ * @param {string} payload
+ * @returns {string}
+ * @throws {DecryptionError}
+ */
+const decryptText = (encryption, payload) => {
+  if (encryption) return encryption.decrypt(payload);
+  if (typeof payload === 'string' && payload.startsWith(TEXT_MARKER)) {
+    throw new DecryptionError('Found encrypted cache data, but no encryption is configured (options.encryption).');
+  }
+  return payload;
+};
+
+/**
+ * Resolves `options.encryption`.
+ * @param {Object|Encryption} [encryption] - Encryption options (see the Encryption constructor), or an instance.
+ * @returns {Encryption|null}
+ */
+const resolveEncryption = (encryption) => {
+  if (!encryption) return null;
+  return encryption instanceof Encryption ? encryption : new Encryption(encryption);
+};
+
+module.exports = {
+  Encryption,
+  resolveEncryption,
+  encryptText,
+  decryptText,
+};
@@ -0,0 +1,53 @@
+// src/errors.js
+
+/**
+ * Base class for errors thrown by UniCache.
+ */
+class UniCacheError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+}
+
+/**
+ * Thrown by `init()` when the backend cannot be set up and `onBackendError` is `'throw'`.
+ * The original error is available as `cause`.
+ */
+class BackendInitError extends UniCacheError {
+  constructor(message, { cacheName, cacheType, cause } = {}) {
+    super(message, { cause });
+    this.cacheName = cacheName;
+    this.cacheType = cacheType;
+  }
+}
+
+/**
+ * Thrown when encrypted data cannot be decrypted: it was tampered with, is truncated, or its key is unknown.
+ */
+class DecryptionError extends UniCacheError {
+  constructor(message, { keyId, cause } = {}) {
+    super(message, { cause });
+    this.keyId = keyId;
+  }
+}
+
+/**
+ * Thrown by `add()` and `subtract()` when the key already holds a value that is not a number.
+ * The rule is the same for every backend; see `CacheBackend.counterValue()`.
+ */
+class NonNumericValueError extends UniCacheError {
+  constructor(message, { key, operation, cause } = {}) {
+    super(message, { cause });
+    this.key = key;
+    this.operation = operation;
+  }
+}
+
+module.exports = {
+  UniCacheError,
+  BackendInitError,
+  DecryptionError,
+  NonNumericValueError,
+};
@@ -0,0 +1,79 @@
+// src/keyPattern.js
+// Key patterns follow Redis MATCH: `*` matches any characters, `?` one character, `[abc]`, `[a-z]` and `[^a]`
+// a set of characters, and a backslash makes the next character literal.
+
+/**
+ * @typedef {Object} KeyQuery
+ * @property {string} [match] - Pattern the whole top-level key must match.
+ * @property {string} [prefix] - Literal start of the top-level key.
+ * @property {number} [limit] - Page size.
+ * @property {string} [cursor] - Cursor returned with the previous page; omitted for the first page.
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a key pattern to a regular expression matching whole keys.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) > 0) {
+      const end = pattern.indexOf(']', i + 2);
+      const set = pattern.slice(i + 1, end);
+      const negated = set[0] === '^' || set[0] === '!';
+      source += `[${negated ? '^' : ''}${(negated ? set.slice(1) : set).replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Escapes text so that a key pattern matches it literally (e.g. a key prefix in a Redis SCAN MATCH).
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Returns a predicate for the keys selected by `match` and `prefix`.
+ * @param {KeyQuery} query
+ * @returns {function(string): boolean}
+ */
+const createKeyFilter = ({ match, prefix } = {}) => {
+  const pattern = match ? globToRegExp(match) : null;
+  return (key) => (!prefix || key.startsWith(prefix)) && (!pattern || pattern.test(key));
+};
+
+/**
+ * Pages through keys held in an array, in key order. The cursor is the last key of the previous page.
+ * @param {string[]} keys - All keys; filtered with `match` and `prefix`.
+ * @param {KeyQuery} query
+ * @returns {{keys: string[], cursor: (string|null)}} `cursor` is null after the last page.
+ */
+const pageKeys = (keys, { match, prefix, limit, cursor } = {}) => {
+  const filter = createKeyFilter({ match, prefix });
+  const selected = keys.filter((key) => filter(key) && (!cursor || key > cursor)).sort();
+  const page = limit ? selected.slice(0, limit) : selected;
+  return { keys: page, cursor: page.length < selected.length ? page[page.length - 1] : null };
+};
+
+module.exports = {
+  globToRegExp,
+  escapeGlob,
+  escapeRegExp,
+  createKeyFilter,
+  pageKeys,
+};
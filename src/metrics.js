@@ -0,0 +1,56 @@
+// src/metrics.js
+// Renders the result of UniCache#stats() in the Prometheus text exposition format (version 0.0.4).
+
+/**
+ * Metric families: the stats() field, the metric name without prefix, the type, the help text and an optional
+ * conversion of the value. Fields that are null are left out.
+ */
+const METRICS = [
+  ['hits', 'hits_total', 'counter', 'Lookups (get, has) that found a value.'],
+  ['misses', 'misses_total', 'counter', 'Lookups (get, has) that found no value.'],
+  ['sets', 'sets_total', 'counter', 'Values written (set, add, subtract, push, ...).'],
+  ['deletes', 'deletes_total', 'counter', 'Keys deleted.'],
+  ['evictions', 'evictions_total', 'counter', 'Top-level keys evicted from memory (maxEntries, maxBytes).'],
+  ['expirations', 'expirations_total', 'counter', 'Top-level keys purged from memory because their TTL elapsed.'],
+  ['syncs', 'syncs_total', 'counter', 'Successful syncs to the backend.'],
+  ['syncFailures', 'sync_failures_total', 'counter', 'Failed syncs to the backend.'],
+  ['lastSyncDurationMs', 'last_sync_duration_seconds', 'gauge', 'Duration of the last successful sync.', (ms) => ms / 1000],
+  ['lastSyncAt', 'last_sync_timestamp_seconds', 'gauge', 'Time of the last successful sync, in seconds since the epoch.', (ms) => ms / 1000],
+  ['entries', 'entries', 'gauge', 'Top-level keys in the cache, including keys only in the backend.'],
+  ['memoryEntries', 'memory_entries', 'gauge', 'Top-level keys held in memory.'],
+  ['memoryBytes', 'memory_bytes', 'gauge', 'Approximate size of the values held in memory (JSON bytes).'],
+];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) =>
+  `{${Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(',')}}`;
+
+/**
+ * Renders stats of one or more caches as Prometheus metrics. Each cache is labelled with `cache` (its name);
+ * `<prefix>_info` carries its type, mode and status (`persistent`, `fallback`, ...) as labels.
+ * @param {Array<Object>} statsList - Results of UniCache#stats().
+ * @param {Object} [options]
+ * @param {string} [options.prefix='unicache'] - Prefix of the metric names.
+ * @returns {string} The exposition text, ending with a newline.
+ */
+const renderMetrics = (statsList, { prefix = 'unicache' } = {}) => {
+  const lines = [`# HELP ${prefix}_info Cache type, write mode and backend status.`, `# TYPE ${prefix}_info gauge`];
+  for (const stats of statsList) {
+    const labels = { cache: stats.cacheName, type: stats.cacheType, mode: stats.mode, load_strategy: stats.loadStrategy, status: stats.status };
+    lines.push(`${prefix}_info${formatLabels(labels)} 1`);
+  }
+  for (const [field, name, type, help, convert = (value) => value] of METRICS) {
+    const samples = statsList.filter((stats) => stats[field] !== null && stats[field] !== undefined);
+    if (samples.length === 0) continue;
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+    for (const stats of samples) lines.push(`${prefix}_${name}${formatLabels({ cache: stats.cacheName })} ${convert(stats[field])}`);
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  renderMetrics,
+};
@@ -0,0 +1,176 @@
+// src/serializers.js
+const v8 = require('v8');
+
+/**
+ * @typedef {Object} Serializer
+ * @property {string} name - Recorded in the file backend's metadata.
+ * @property {boolean} binary - True if `serialize()` returns a Buffer instead of a string.
+ * @property {function(*): (string|Buffer)} serialize
+ * @property {function((string|Buffer)): *} deserialize
+ * @property {function(*): *} [encode] - Optional: converts a value to a plain JSON-compatible value.
+ *   Text-based stores (the cache file, MongoDB documents) keep such values readable instead of storing an opaque string.
+ * @property {function(*): *} [decode] - Reverse of `encode()`.
+ */
+
+const TYPE_TAG = '$type';
+
+/**
+ * Converts a value to a JSON-compatible tree, tagging types JSON cannot represent as
+ * `{ "$type": "<type>", "value": <encoded> }`. Plain objects that have a `$type` key are tagged as `Object`
+ * so they are not mistaken for tagged values.
+ */
+const encodeTagged = (value) => {
+  if (value === undefined) return { [TYPE_TAG]: 'undefined' };
+  if (typeof value === 'bigint') return { [TYPE_TAG]: 'BigInt', value: value.toString() };
+  if (typeof value === 'number' && !Number.isFinite(value)) return { [TYPE_TAG]: 'Number', value: String(value) };
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(encodeTagged);
+  if (value instanceof Date) return { [TYPE_TAG]: 'Date', value: value.toISOString() };
+  if (Buffer.isBuffer(value)) return { [TYPE_TAG]: 'Buffer', value: value.toString('base64') };
+  if (value instanceof Map) return { [TYPE_TAG]: 'Map', value: [...value].map(([k, v]) => [encodeTagged(k), encodeTagged(v)]) };
+  if (value instanceof Set) return { [TYPE_TAG]: 'Set', value: [...value].map(encodeTagged) };
+  const encoded = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry !== undefined) encoded[key] = encodeTagged(entry); // Same as JSON: undefined properties are dropped
+  }
+  return Object.prototype.hasOwnProperty.call(value, TYPE_TAG) ? { [TYPE_TAG]: 'Object', value: encoded } : encoded;
+};
+
+const decodeTagged = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decodeTagged);
+  if (typeof value[TYPE_TAG] === 'string') {
+    const tagged = value.value;
+    switch (value[TYPE_TAG]) {
+      case 'undefined':
+        return undefined;
+      case 'BigInt':
+        return BigInt(tagged);
+      case 'Number':
+        return Number(tagged);
+      case 'Date':
+        return new Date(tagged);
+      case 'Buffer':
+        return Buffer.from(tagged, 'base64');
+      case 'Map':
+        return new Map(tagged.map(([k, v]) => [decodeTagged(k), decodeTagged(v)]));
+      case 'Set':
+        return new Set(tagged.map(decodeTagged));
+      case 'Object':
+        return decodeObject(tagged);
+      default:
+        break; // Unknown tag: leave the object as it is
+    }
+  }
+  return decodeObject(value);
+};
+
+const decodeObject = (value) => {
+  const decoded = {};
+  for (const [key, entry] of Object.entries(value)) decoded[key] = decodeTagged(entry);
+  return decoded;
+};
+
+/** Plain JSON. Dates become strings, Maps and Sets become `{}`, and BigInt cannot be stored. */
+const json = {
+  name: 'json',
+  binary: false,
+  serialize: (value) => JSON.stringify(value === undefined ? null : value),
+  deserialize: (payload) => JSON.parse(payload),
+  encode: (value) => value, // JSON.stringify() of the surrounding document does the conversion
+  decode: (value) => value,
+};
+
+/** JSON with tagged values: Date, Map, Set, BigInt, Buffer, undefined, NaN and Infinity survive a round trip. */
+const typed = {
+  name: 'typed',
+  binary: false,
+  serialize: (value) => JSON.stringify(encodeTagged(value)),
+  deserialize: (payload) => decodeTagged(JSON.parse(payload)),
+  encode: encodeTagged,
+  decode: decodeTagged,
+};
+
+/** Node's structured clone format (`v8.serialize`). Compact and type-preserving, but tied to Node. */
+const v8Serializer = {
+  name: 'v8',
+  binary: true,
+  serialize: (value) => v8.serialize(value),
+  deserialize: (payload) => v8.deserialize(payload),
+};
+
+let msgpackSerializer = null;
+
+/** MessagePack via the optional `msgpackr` package (`npm install msgpackr`). */
+const createMsgpackSerializer = () => {
+  if (msgpackSerializer) return msgpackSerializer;
+  let Packr;
+  try {
+    ({ Packr } = require('msgpackr'));
+  } catch (error) {
+    throw new Error(`The "msgpack" serializer requires the "msgpackr" package. Install it with: npm install msgpackr (${error.message})`);
+  }
+  // structuredClone keeps Map, Set, Date, BigInt and Buffer distinct from plain objects and arrays
+  const packr = new Packr({ structuredClone: true });
+  msgpackSerializer = {
+    name: 'msgpack',
+    binary: true,
+    serialize: (value) => packr.pack(value),
+    deserialize: (payload) => packr.unpack(payload),
+  };
+  return msgpackSerializer;
+};
+
+const builtInSerializers = {
+  json: () => json,
+  typed: () => typed,
+  v8: () => v8Serializer,
+  msgpack: createMsgpackSerializer,
+};
+
+/**
+ * Resolves `options.serializer` to a serializer object.
+ * @param {string|Serializer} [serializer='json'] - A built-in name (`'json'`, `'typed'`, `'msgpack'`, `'v8'`)
+ *   or an object implementing the Serializer interface.
+ * @returns {Serializer}
+ */
+const resolveSerializer = (serializer = 'json') => {
+  if (typeof serializer === 'string') {
+    const factory = builtInSerializers[serializer];
+    if (!factory) {
+      throw new Error(`Unknown serializer "${serializer}". Expected one of: ${Object.keys(builtInSerializers).join(', ')}, or a serializer object.`);
+    }
+    return factory();
+  }
+  if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+    throw new TypeError('options.serializer must be a serializer name or an object with serialize() and deserialize() methods.');
+  }
+  return { name: 'custom', binary: false, ...serializer };
+};
+
+/**
+ * Serializes a value for stores that only hold strings. Binary output is base64-encoded.
+ * @param {Serializer} serializer
+ * @param {*} value
+ * @returns {string}
+ */
+const serializeToString = (serializer, value) => {
+  const payload = serializer.serialize(value);
+  return Buffer.isBuffer(payload) ? payload.toString('base64') : payload;
+};
+
+/**
+ * Reverse of `serializeToString()`.
+ * @param {Serializer} serializer
+ * @param {string} payload
+ * @returns {*}
+ */
+const deserializeFromString = (serializer, payload) => serializer.deserialize(serializer.binary ? Buffer.from(payload, 'base64') : payload);
+
+module.exports = {
+  resolveSerializer,
+  serializeToString,
+  deserializeFromString,
+  json,
+  typed,
+};
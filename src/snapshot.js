@@ -0,0 +1,123 @@
+// src/snapshot.js
+const { once } = require('events');
+const readline = require('readline');
+const { typed } = require('./serializers');
+
+const SNAPSHOT_FORMAT = 'uni-cache-snapshot';
+const SNAPSHOT_VERSION = 1;
+const FORMATS = ['json', 'ndjson'];
+
+/**
+ * @typedef {Object} SnapshotEntry
+ * @property {string} key - The top-level key.
+ * @property {*} value - The value.
+ * @property {number|null} expiresAt - Expiry timestamp (ms since epoch), or null if it never expires.
+ */
+
+/**
+ * Writes a snapshot of cache entries to a text stream.
+ * - `ndjson`: a header line (`{ "format": "uni-cache-snapshot", "version": 1, ... }`), then one entry per line.
+ * - `json`: a single document, the header with an `entries` array.
+ * Values are encoded like the `typed` serializer, so Dates, Maps, Sets, BigInts and Buffers survive whatever
+ * serializer the cache uses.
+ * @param {Writable} stream - Receives the text; backpressure is respected.
+ * @param {AsyncIterable<SnapshotEntry>|Iterable<SnapshotEntry>} entries
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] - `'json'` or `'ndjson'`.
+ * @param {Object} [options.header={}] - Extra header fields, e.g. `cacheName`.
+ * @returns {Promise<number>} The number of entries written.
+ */
+const writeSnapshot = async (stream, entries, { format = 'ndjson', header = {} } = {}) => {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown snapshot format "${format}". Expected one of: ${FORMATS.join(', ')}.`);
+  }
+  const write = async (text) => {
+    if (!stream.write(text)) await once(stream, 'drain');
+  };
+  const head = JSON.stringify({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, ...header, exportedAt: new Date().toISOString() });
+  await write(format === 'json' ? `${head.slice(0, -1)},"entries":[` : `${head}\n`);
+  let count = 0;
+  for await (const { key, value, expiresAt } of entries) {
+    const line = JSON.stringify({ key, value: typed.encode(value), expiresAt: expiresAt || null });
+    await write(format === 'json' ? `${count > 0 ? ',' : ''}\n${line}` : `${line}\n`);
+    count++;
+  }
+  if (format === 'json') await write('\n]}\n');
+  return count;
+};
+
+const assertHeader = (header) => {
+  if (!header || header.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Not a UniCache snapshot (expected "format": "${SNAPSHOT_FORMAT}").`);
+  }
+  if (header.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${header.version} is newer than this version of UniCache supports (${SNAPSHOT_VERSION}).`);
+  }
+};
+
+const decodeEntry = (entry, where) => {
+  if (!entry || typeof entry.key !== 'string') throw new Error(`Invalid snapshot entry ${where}: missing "key".`);
+  return { key: entry.key, value: typed.decode(entry.value), expiresAt: entry.expiresAt || null };
+};
+
+/**
+ * Reads a snapshot written by writeSnapshot(). The format is detected: NDJSON is read line by line,
+ * a JSON document is parsed as a whole.
+ * @param {Readable} stream - Text or UTF-8 bytes.
+ * @returns {AsyncGenerator<SnapshotEntry>}
+ * @throws {Error} If the input is not a snapshot or an entry cannot be parsed.
+ */
+async function* readSnapshot(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let header = null;
+  let document = null; // Lines of a JSON snapshot, parsed at the end
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (document) {
+      document.push(line);
+      continue;
+    }
+    if (!line.trim()) continue;
+    if (!header) {
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (e) {
+        parsed = null; // The start of a multi-line JSON document
+      }
+      if (parsed && !Array.isArray(parsed.entries)) {
+        assertHeader(parsed);
+        header = parsed;
+      } else {
+        document = [line];
+      }
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid snapshot entry on line ${lineNumber}: ${error.message}`);
+    }
+    yield decodeEntry(entry, `on line ${lineNumber}`);
+  }
+  if (document) {
+    let parsed;
+    try {
+      parsed = JSON.parse(document.join('\n'));
+    } catch (error) {
+      throw new Error(`Invalid JSON snapshot: ${error.message}`);
+    }
+    assertHeader(parsed);
+    if (!Array.isArray(parsed.entries)) throw new Error('Invalid JSON snapshot: missing "entries".');
+    for (const [index, entry] of parsed.entries.entries()) yield decodeEntry(entry, `#${index}`);
+  } else if (!header) {
+    throw new Error('Not a UniCache snapshot: the input is empty.');
+  }
+}
+
+module.exports = {
+  writeSnapshot,
+  readSnapshot,
+};
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('add, subtract and push', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    describe(cacheType, () => {
+      for (const sync of [false, true]) {
+        it(`adds and subtracts fractional amounts${sync ? ' in the backend' : ''}`, async () => {
+          const cache = await caches.open('counters', { cacheType });
+          await cache.set('n', 1.5, true);
+          await cache.add('n', 0.5, sync);
+          assert.strictEqual(await cache.get('n'), 2);
+          await cache.add('m', 2.5, sync);
+          assert.strictEqual(await cache.get('m'), 2.5);
+          await cache.subtract('m', 0.25, sync);
+          assert.strictEqual(await cache.get('m'), 2.25);
+          await cache.add('n', 3, sync);
+          assert.strictEqual(await cache.get('n'), 5);
+        });
+      }
+
+      for (const sync of [false, true]) {
+        it(`rejects adding to a value that is not a number${sync ? ' in the backend' : ''}`, async () => {
+          const cache = await caches.open('counters', { cacheType });
+          const values = { text: 'abc', digits: '5', empty: null, stats: { hits: 'many' } };
+          for (const [key, value] of Object.entries(values)) await cache.set(key, value, true);
+          for (const key of ['text', 'digits', 'empty', 'stats.hits']) {
+            await assert.rejects(cache.add(key, 1, sync), { name: 'NonNumericValueError', key, operation: 'add' });
+            await assert.rejects(cache.subtract(key, 1, sync), { name: 'NonNumericValueError', key, operation: 'subtract' });
+          }
+          assert.deepStrictEqual(await cache.fetch(), values);
+          await cache.add('stats.misses', 1, sync); // A missing path still starts from 0
+          assert.strictEqual(await cache.get('stats.misses'), 1);
+        });
+      }
+
+      it('pushes to an array, replacing a value that is not one', async () => {
+        const cache = await caches.open('counters', { cacheType });
+        await cache.set('list', 'text', true);
+        await cache.push('list', 1, true);
+        await cache.push('list', 2, true);
+        assert.deepStrictEqual(await cache.get('list'), [1, 2]);
+      });
+    });
+  }
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    it(`counts concurrent updates from two caches in the ${cacheType} backend`, async () => {
+      const a = await caches.open('shared', { cacheType });
+      const b = await caches.open('shared', { cacheType });
+      await Promise.all([a.add('hits', 1.5, true), b.add('hits', 1, true), a.add('hits', 1, true), b.subtract('hits', 0.5, true)]);
+      assert.strictEqual((await a.backend.retrieveWithExpiry('hits')).value, 3);
+    });
+  }
+});
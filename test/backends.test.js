@@ -0,0 +1,134 @@
+const assert = require('assert');
+const FileBackend = require('../src/backends/FileBackend');
+const SQLiteBackend = require('../src/backends/SQLiteBackend');
+const RedisBackend = require('../src/backends/RedisBackend');
+const MongoDBBackend = require('../src/backends/MongoDBBackend');
+const { makeTempDir } = require('./helpers');
+
+const BACKENDS = { file: FileBackend, sqlite: SQLiteBackend };
+
+describe('Backend contract', () => {
+  let temp;
+  let backend;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+  });
+
+  afterEach(async () => {
+    if (backend) await backend.close();
+    backend = null;
+    temp.cleanup();
+  });
+
+  for (const [cacheType, Backend] of Object.entries(BACKENDS)) {
+    describe(cacheType, () => {
+      beforeEach(async () => {
+        backend = new Backend({ cacheName: 'contract', savePath: temp.dir });
+        await backend.connect();
+      });
+
+      it('adds to and subtracts from a counter, starting from 0', async () => {
+        await backend.add('n', 2);
+        await backend.add('n', 1);
+        await backend.subtract('n', 1);
+        await backend.subtract('m', 3);
+        assert.strictEqual(await backend.retrieveObject('n'), 2);
+        assert.strictEqual(await backend.retrieveObject('m'), -3);
+      });
+
+      it('rejects add and subtract on a value that is not a number, leaving it unchanged', async () => {
+        const values = { text: 'abc', digits: '5', empty: null, object: { n: 1 } };
+        await backend.applyChanges({ clear: false, upserts: values, deletes: [], expiries: {} });
+        for (const [key, value] of Object.entries(values)) {
+          await assert.rejects(backend.add(key, 1), { name: 'NonNumericValueError', key, operation: 'add', message: `Cannot add on key "${key}": its value is not a number.` });
+          await assert.rejects(backend.subtract(key, 1), { name: 'NonNumericValueError', key, operation: 'subtract' });
+          assert.deepStrictEqual(await backend.retrieveObject(key), value);
+        }
+      });
+
+      it('pushes to an array, replacing a value that is not one', async () => {
+        await backend.push('list', 1);
+        await backend.push('list', { a: 2 });
+        assert.deepStrictEqual(await backend.retrieveObject('list'), [1, { a: 2 }]);
+        await backend.applyChanges({ clear: false, upserts: { text: 'abc' }, deletes: [], expiries: {} });
+        await backend.push('text', 'x');
+        assert.deepStrictEqual(await backend.retrieveObject('text'), ['x']);
+      });
+
+      it('sets expiresAt on new keys only', async () => {
+        const expiresAt = Date.now() + 60000;
+        await backend.add('n', 1, { expiresAt });
+        await backend.add('n', 1, { expiresAt: expiresAt + 1000 });
+        await backend.push('list', 1, { expiresAt });
+        assert.deepStrictEqual(await backend.retrieveWithExpiry('n'), { value: 2, expiresAt });
+        assert.deepStrictEqual(await backend.retrieveWithExpiry('list'), { value: [1], expiresAt });
+      });
+
+      it('retrieves single objects and reports missing keys as undefined', async () => {
+        await backend.applyChanges({ clear: false, upserts: { user: { name: 'Ada' } }, deletes: [], expiries: {} });
+        assert.deepStrictEqual(await backend.retrieveObject('user'), { name: 'Ada' });
+        assert.strictEqual(await backend.retrieveObject('missing'), undefined);
+        assert.deepStrictEqual(await backend.retrieveWithExpiry('missing'), { value: undefined, expiresAt: null });
+      });
+
+      it('reports atomic support', () => {
+        for (const operation of ['add', 'subtract', 'push']) assert.strictEqual(backend.supportsAtomic(operation), true);
+      });
+    });
+  }
+
+  describe('stores that refuse to increment a value that is not a number', () => {
+    const nonNumeric = (operation) => ({ name: 'NonNumericValueError', key: 'text', operation, message: `Cannot ${operation} on key "text": its value is not a number.` });
+
+    it('reports the refusal of Redis INCRBYFLOAT with the same error', async () => {
+      const failure = Object.assign(new Error('MULTI failed'), { replies: [new Error('ERR value is not a valid float')] });
+      const client = {
+        isOpen: true,
+        on() {},
+        multi: () => ({
+          incrByFloat() {
+            return this;
+          },
+          exec: async () => {
+            throw failure;
+          },
+        }),
+      };
+      const redis = new RedisBackend({ cacheName: 'contract', client, redisJson: false });
+      await assert.rejects(redis.add('text', 1), { ...nonNumeric('add'), cause: failure });
+      await assert.rejects(redis.subtract('text', 1), nonNumeric('subtract'));
+    });
+
+    it('reports a RedisJSON document that is not a number with the same error', async () => {
+      const client = {
+        isOpen: true,
+        on() {},
+        multi: () => ({
+          incrByFloat() {
+            return this;
+          },
+          exec: async () => {
+            throw Object.assign(new Error('MULTI failed'), { replies: [new Error('WRONGTYPE Operation against a key holding the wrong kind of value')] });
+          },
+        }),
+        sendCommand: async ([command]) => (command === 'JSON.NUMINCRBY' ? '[null]' : 'string'), // A `$` path reports a non-number as null
+      };
+      const redis = new RedisBackend({ cacheName: 'contract', client });
+      await assert.rejects(redis.add('text', 1), nonNumeric('add'));
+    });
+
+    it('reports the refusal of MongoDB $inc with the same error', async () => {
+      const mongo = new MongoDBBackend({ cacheName: 'contract' });
+      const typeMismatch = Object.assign(new Error('Cannot apply $inc to a value of non-numeric type string'), { code: 14 });
+      mongo.collection = {
+        deleteOne: async () => ({}),
+        updateOne: async () => {
+          throw typeMismatch;
+        },
+      };
+      await assert.rejects(mongo.add('text', 1), { ...nonNumeric('add'), cause: typeMismatch });
+      await assert.rejects(mongo.subtract('text', 1), nonNumeric('subtract'));
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Batch API', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    describe(cacheType, () => {
+      it('sets and gets several values, nested keys included', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        await cache.set('user', { name: 'Ada' });
+        await cache.setMany({ a: 1, 'user.age': 36 });
+        await cache.setMany([
+          [['b', 'c'], true],
+          ['d', null],
+        ]);
+        assert.deepStrictEqual(await cache.getMany(['a', 'user.name', 'user.age', ['b', 'c'], 'd', 'missing']), [1, 'Ada', 36, true, null, undefined]);
+        assert.deepStrictEqual(await cache.getMany([]), []);
+      });
+
+      it('applies the ttl option to every entry', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        await cache.setMany({ a: 1, b: 2 }, { ttl: 60 });
+        for (const key of ['a', 'b']) {
+          assert(cache.expiries[key] > Date.now() + 50000 && cache.expiries[key] <= Date.now() + 60000, `${key} expires in 60 s`);
+        }
+      });
+
+      it('deletes several keys and returns how many existed', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        await cache.setMany({ a: 1, b: 2, c: { d: 3, e: 4 } });
+        assert.strictEqual(await cache.deleteMany(['a', 'c.d', 'missing', 'c.missing']), 2);
+        assert.deepStrictEqual(await cache.fetch(), { b: 2, c: { e: 4 } });
+      });
+    });
+  }
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(`${cacheType} syncs`, () => {
+      const countSyncs = (cache) => {
+        const calls = [];
+        const applyChanges = cache.backend.applyChanges.bind(cache.backend);
+        cache.backend.applyChanges = (changes) => {
+          calls.push(changes);
+          return applyChanges(changes);
+        };
+        return calls;
+      };
+
+      it('syncs setMany() and deleteMany() once', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        const calls = countSyncs(cache);
+        await cache.setMany({ a: 1, b: 2, c: 3 }, true);
+        await cache.deleteMany(['a', 'b'], { sync: true });
+        assert.strictEqual(calls.length, 2);
+        assert.deepStrictEqual(Object.keys(calls[0].upserts).sort(), ['a', 'b', 'c']);
+        assert.deepStrictEqual(calls[1].deletes.sort(), ['a', 'b']);
+        assert.deepStrictEqual(await cache.backend.keys(), ['c']);
+      });
+
+      it('does not sync a deleteMany() that removed nothing', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        const calls = countSyncs(cache);
+        assert.strictEqual(await cache.deleteMany(['missing'], true), 0);
+        assert.strictEqual(calls.length, 0);
+      });
+
+      it('syncs the writes inside update() once, after it resolves', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        const calls = countSyncs(cache);
+        const result = await cache.update(async (c) => {
+          await c.set('a', 1, true);
+          await c.set('b', 2, true);
+          await c.update((inner) => inner.delete('a', true));
+          assert.strictEqual(calls.length, 0, 'nothing is synced inside the batch');
+          return 'done';
+        });
+        assert.strictEqual(result, 'done');
+        assert.strictEqual(calls.length, 1);
+        assert.deepStrictEqual(await cache.backend.keys(), ['b']);
+      });
+
+      it('honours update({ sync }) and keeps the changes of a batch that throws', async () => {
+        const cache = await caches.open('batch', { cacheType });
+        const calls = countSyncs(cache);
+        await cache.update((c) => c.set('a', 1), { sync: true });
+        await cache.update((c) => c.set('b', 2, true), { sync: false });
+        assert.strictEqual(calls.length, 1);
+        await assert.rejects(
+          cache.update(async (c) => {
+            await c.set('c', 3, true);
+            throw new Error('aborted');
+          }),
+          /aborted/
+        );
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(await cache.get('c'), 3);
+        await cache.sync();
+        assert.deepStrictEqual((await cache.backend.keys()).sort(), ['a', 'b', 'c']);
+      });
+    });
+
+    it(`reads the keys of getMany() with one backend call, even beyond maxEntries (${cacheType})`, async () => {
+      const writer = await caches.open('batch', { cacheType });
+      await writer.setMany({ a: 1, b: 2, c: 3 }, true);
+      await writer.close();
+      const cache = await caches.open('batch', { cacheType, maxEntries: 1 });
+      assert.deepStrictEqual([...cache.evictedKeys].sort(), ['a', 'b']);
+      const batches = [];
+      const retrieveManyWithExpiry = cache.backend.retrieveManyWithExpiry.bind(cache.backend);
+      cache.backend.retrieveManyWithExpiry = (keys) => {
+        batches.push(keys);
+        return retrieveManyWithExpiry(keys);
+      };
+      assert.deepStrictEqual(await cache.getMany(['a', 'b', 'c']), [1, 2, 3]);
+      assert.deepStrictEqual(batches, [['a', 'b']]);
+    });
+  }
+});
@@ -0,0 +1,174 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { run, parseArgs } = require('../src/cli');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+/**
+ * Runs the CLI with captured output.
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+ */
+const runCli = async (argv, stdinText = '') => {
+  const output = { stdout: '', stderr: '' };
+  const capture = (name) => {
+    const stream = new PassThrough();
+    stream.on('data', (chunk) => (output[name] += chunk));
+    return stream;
+  };
+  const exitCode = await run(argv, { stdin: Readable.from([stdinText]), stdout: capture('stdout'), stderr: capture('stderr') });
+  return { exitCode, ...output };
+};
+
+describe('CLI', () => {
+  describe('parseArgs()', () => {
+    it('splits options and positional arguments', () => {
+      assert.deepStrictEqual(parseArgs(['-t', 'file', '--save-path=/tmp/x', 'app', 'set', 'n', '-5', '--pretty']), {
+        options: { type: 'file', 'save-path': '/tmp/x', pretty: true },
+        args: ['app', 'set', 'n', '-5'],
+      });
+    });
+
+    it('takes everything after "--" as arguments', () => {
+      assert.deepStrictEqual(parseArgs(['app', 'get', '--', '--yes']).args, ['app', 'get', '--yes']);
+    });
+
+    it('rejects unknown options and missing values', () => {
+      assert.throws(() => parseArgs(['--nope']), /Unknown option "--nope"/);
+      assert.throws(() => parseArgs(['-x']), /Unknown option "-x"/);
+      assert.throws(() => parseArgs(['app', 'get', '--type']), /"--type" needs a value/);
+    });
+  });
+
+  describe('usage', () => {
+    it('prints the help with exit code 0', async () => {
+      const { exitCode, stdout } = await runCli(['--help']);
+      assert.strictEqual(exitCode, 0);
+      assert.match(stdout, /^Usage: uni-cache/);
+    });
+
+    for (const [argv, message] of [
+      [['-t', 'file'], /Give a cache name and a command/],
+      [['-t', 'file', 'app', 'frobnicate'], /Unknown command "frobnicate"/],
+      [['app', 'keys'], /Give the backend with --type/],
+      [['-t', 'file', '--bogus', 'app', 'keys'], /Unknown option "--bogus"/],
+    ]) {
+      it(`exits with 2 on ${argv.join(' ')}`, async () => {
+        const { exitCode, stdout, stderr } = await runCli(argv);
+        assert.strictEqual(exitCode, 2);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, message);
+        assert.match(stderr, /Run "uni-cache --help" for usage/);
+      });
+    }
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      let temp;
+      let caches;
+      let cli;
+
+      beforeEach(() => {
+        temp = makeTempDir();
+        caches = new CacheFactory(temp.dir);
+        cli = (args, stdinText) => runCli(['-t', cacheType, '-p', temp.dir, 'app', ...args], stdinText);
+      });
+
+      afterEach(async () => {
+        await caches.closeAll();
+        temp.cleanup();
+      });
+
+      it('sets values as JSON or strings and gets them back', async () => {
+        assert.deepStrictEqual(await cli(['set', 'user', '{"name":"Ada","age":36}']), { exitCode: 0, stdout: '{"name":"Ada","age":36}\n', stderr: '' });
+        assert.strictEqual((await cli(['set', 'greeting', 'hello world'])).stdout, '"hello world"\n');
+        assert.strictEqual((await cli(['get', 'user.name'])).stdout, '"Ada"\n');
+        assert.strictEqual((await cli(['get', 'greeting'])).stdout, '"hello world"\n');
+        assert.strictEqual((await cli(['get', 'user', '--pretty'])).stdout, '{\n  "name": "Ada",\n  "age": 36\n}\n');
+
+        const cache = await caches.open('app', { cacheType });
+        assert.deepStrictEqual(await cache.get('user'), { name: 'Ada', age: 36 });
+      });
+
+      it('sets an expiry with --ttl', async () => {
+        await cli(['set', 'session', 'abc', '--ttl', '60']);
+        const cache = await caches.open('app', { cacheType });
+        assert(cache.expiries.session > Date.now() + 50000 && cache.expiries.session <= Date.now() + 60000);
+      });
+
+      it('exits with 1 for a missing key', async () => {
+        assert.deepStrictEqual(await cli(['get', 'missing']), { exitCode: 1, stdout: '', stderr: 'uni-cache: Key "missing" not found.\n' });
+      });
+
+      it('exits with 2 when a command argument is missing', async () => {
+        const { exitCode, stderr } = await cli(['set', 'key']);
+        assert.strictEqual(exitCode, 2);
+        assert.match(stderr, /Usage: uni-cache \[options\] <cacheName> set <key> <value>/);
+      });
+
+      it('deletes keys and reports whether they existed', async () => {
+        await cli(['set', 'a', '1']);
+        assert.deepStrictEqual(await cli(['del', 'a']), { exitCode: 0, stdout: '{"deleted":true}\n', stderr: '' });
+        assert.deepStrictEqual(await cli(['del', 'a']), { exitCode: 1, stdout: '{"deleted":false}\n', stderr: '' });
+      });
+
+      it('lists and counts keys, optionally matching a pattern', async () => {
+        for (const key of ['user:1', 'user:2', 'order:1']) await cli(['set', key, 'true']);
+        assert.deepStrictEqual(JSON.parse((await cli(['keys'])).stdout).sort(), ['order:1', 'user:1', 'user:2']);
+        assert.deepStrictEqual(JSON.parse((await cli(['keys', 'user:*'])).stdout).sort(), ['user:1', 'user:2']);
+        assert.strictEqual((await cli(['count'])).stdout, '3\n');
+      });
+
+      it('clears only with --yes', async () => {
+        await cli(['set', 'a', '1']);
+        await cli(['set', 'b', '2']);
+        const refused = await cli(['clear']);
+        assert.strictEqual(refused.exitCode, 2);
+        assert.match(refused.stderr, /confirm with --yes/);
+        assert.strictEqual((await cli(['count'])).stdout, '2\n');
+        assert.deepStrictEqual(await cli(['clear', '--yes']), { exitCode: 0, stdout: '{"cleared":2}\n', stderr: '' });
+        assert.strictEqual((await cli(['count'])).stdout, '0\n');
+      });
+
+      it('prints stats()', async () => {
+        await cli(['set', 'a', '1']);
+        const { exitCode, stdout } = await cli(['stats']);
+        assert.strictEqual(exitCode, 0);
+        const stats = JSON.parse(stdout);
+        assert.strictEqual(stats.cacheName, 'app');
+        assert.strictEqual(stats.cacheType, cacheType);
+        assert.strictEqual(stats.persistent, true);
+        assert.strictEqual(stats.mode, 'write-through');
+        assert.strictEqual(stats.loadStrategy, 'lazy');
+        assert.strictEqual(stats.entries, 1);
+      });
+
+      it('exports to stdout or a file and imports from stdin or a file', async () => {
+        await cli(['set', 'a', '{"x":1}']);
+        await cli(['set', 'b', '2']);
+        const exported = await cli(['export']);
+        assert.strictEqual(exported.exitCode, 0);
+        assert.match(exported.stdout, /"key":"a"/);
+
+        const file = path.join(temp.dir, 'snapshot.json');
+        assert.deepStrictEqual(await cli(['export', file, '--format', 'json']), { exitCode: 0, stdout: `${JSON.stringify({ exported: 2, file })}\n`, stderr: '' });
+        assert(fs.statSync(file).size > 0);
+
+        const copy = (args, stdinText) => runCli(['-t', cacheType, '-p', temp.dir, 'copy', ...args], stdinText);
+        assert.deepStrictEqual(await copy(['import'], exported.stdout), { exitCode: 0, stdout: '{"imported":2}\n', stderr: '' });
+        assert.strictEqual((await copy(['get', 'a.x'])).stdout, '1\n');
+        await copy(['set', 'c', '3']);
+        assert.strictEqual((await copy(['import', file, '--mode', 'replace'])).stdout, '{"imported":2}\n');
+        assert.deepStrictEqual(JSON.parse((await copy(['keys'])).stdout).sort(), ['a', 'b']);
+      });
+
+      it('reports invalid input with exit code 1', async () => {
+        const { exitCode, stdout, stderr } = await cli(['import'], 'not a snapshot\n');
+        assert.strictEqual(exitCode, 1);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, /^uni-cache: /);
+      });
+    });
+  }
+});
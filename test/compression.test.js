@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { resolveCompression, compress, decompress, compressText, decompressText } = require('../src/compression');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+const MARKER = '\u0000uc-z:';
+
+describe('Compression', () => {
+  it('resolves names, true and option objects', () => {
+    assert.strictEqual(resolveCompression(false), null);
+    assert.deepStrictEqual(resolveCompression(true), { algorithm: 'gzip', threshold: 1024 });
+    assert.deepStrictEqual(resolveCompression('brotli'), { algorithm: 'brotli', threshold: 1024 });
+    assert.deepStrictEqual(resolveCompression({ threshold: '10', level: 9 }), { algorithm: 'gzip', threshold: 10, level: 9 });
+    assert.throws(() => resolveCompression('lz4'), /Unknown compression algorithm "lz4"/);
+  });
+
+  it('leaves payloads below the threshold uncompressed', () => {
+    const compression = resolveCompression({ algorithm: 'gzip', threshold: 100 });
+    assert.strictEqual(compress(compression, 'x'.repeat(99)), null);
+    assert.strictEqual(compressText(compression, 'x'.repeat(99)), 'x'.repeat(99));
+    assert(Buffer.isBuffer(compress(compression, 'x'.repeat(100))));
+  });
+
+  for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+    it(`round-trips marked text (${algorithm})`, () => {
+      const compression = resolveCompression({ algorithm, threshold: 0, level: 5 });
+      const text = JSON.stringify({ items: Array.from({ length: 200 }, (_, i) => `item ${i}`) });
+      const compressed = compressText(compression, text);
+      assert(compressed.startsWith(`${MARKER}${algorithm}:`));
+      assert(compressed.length < text.length);
+      assert.strictEqual(decompressText(compressed), text);
+      assert.strictEqual(decompress(algorithm, compress(compression, Buffer.from(text))).toString(), text);
+    });
+  }
+
+  it('passes unmarked text through and rejects an unknown algorithm in the marker', () => {
+    assert.strictEqual(decompressText('{"plain":true}'), '{"plain":true}');
+    assert.strictEqual(decompressText(null), null);
+    assert.throws(() => decompressText(`${MARKER}lz4:AAAA`), /unknown compression algorithm "lz4"/);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      let temp;
+      let caches;
+
+      beforeEach(() => {
+        temp = makeTempDir();
+        caches = new CacheFactory(temp.dir);
+      });
+
+      afterEach(async () => {
+        await caches.closeAll();
+        temp.cleanup();
+      });
+
+      it('compresses large values and still reads them without compression configured', async () => {
+        const large = { text: 'lorem ipsum '.repeat(200) };
+        const writer = await caches.open('packed', { cacheType, compression: { algorithm: 'gzip', threshold: 256 } });
+        await writer.set('large', large);
+        await writer.set('small', { text: 'short' }, true);
+        await writer.close();
+
+        const reader = await caches.open('packed', { cacheType });
+        assert.deepStrictEqual(await reader.get('large'), large);
+        assert.deepStrictEqual(await reader.get('small'), { text: 'short' });
+      });
+    });
+  }
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { Encryption, decryptText } = require('../src/encryption');
+const { DecryptionError } = require('../src/errors');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+const MARKER = '\u0000uc-e:';
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+
+describe('Encryption', () => {
+  it('round-trips text and records the key id', () => {
+    const encryption = new Encryption({ key: oldKey.toString('hex'), keyId: 'k1' });
+    const payload = encryption.encrypt('{"secret":true}');
+    assert(payload.startsWith(`${MARKER}k1:`));
+    assert(!payload.includes('secret'));
+    assert.strictEqual(encryption.decrypt(payload), '{"secret":true}');
+    assert.strictEqual(encryption.takeStale(), false);
+  });
+
+  it('decrypts with retired keys and reports them with takeStale()', () => {
+    const payload = new Encryption({ key: oldKey, keyId: 'k1' }).encrypt('old');
+    const rotated = new Encryption({ key: newKey, keyId: 'k2', previousKeys: { k1: oldKey.toString('base64') } });
+    assert.strictEqual(rotated.decrypt(payload), 'old');
+    assert.strictEqual(rotated.takeStale(), true);
+    assert.strictEqual(rotated.takeStale(), false, 'takeStale() resets the flag');
+    assert.strictEqual(rotated.decrypt(rotated.encrypt('new')), 'new');
+    assert.strictEqual(rotated.takeStale(), false);
+  });
+
+  it('asks a key provider for the key ids it finds', () => {
+    const payload = new Encryption({ key: oldKey, keyId: 'k1' }).encrypt('value');
+    const asked = [];
+    const encryption = new Encryption({
+      key: (keyId) => {
+        asked.push(keyId);
+        return { k1: oldKey, k2: newKey }[keyId];
+      },
+      keyId: 'k2',
+    });
+    assert.strictEqual(encryption.decrypt(payload), 'value');
+    assert.deepStrictEqual(asked, ['k2', 'k1']);
+  });
+
+  it('rejects tampered ciphertext with a DecryptionError', () => {
+    const encryption = new Encryption({ key: oldKey, keyId: 'k1' });
+    const payload = encryption.encrypt('value');
+    const raw = Buffer.from(payload.slice(`${MARKER}k1:`.length), 'base64');
+    raw[raw.length - 1] ^= 1;
+    assert.throws(
+      () => encryption.decrypt(`${MARKER}k1:${raw.toString('base64')}`),
+      (error) => error instanceof DecryptionError && error.keyId === 'k1' && /modified or the key is wrong/.test(error.message)
+    );
+  });
+
+  it('rejects a wrong or unknown key id with a DecryptionError', () => {
+    const encryption = new Encryption({ key: oldKey, keyId: 'k1', previousKeys: { k2: newKey } });
+    const payload = encryption.encrypt('value');
+    // The key id is authenticated: relabelling the ciphertext fails even if the other key is known
+    assert.throws(
+      () => encryption.decrypt(payload.replace(`${MARKER}k1:`, `${MARKER}k2:`)),
+      (error) => error instanceof DecryptionError && error.keyId === 'k2'
+    );
+    assert.throws(
+      () => encryption.decrypt(payload.replace(`${MARKER}k1:`, `${MARKER}k3:`)),
+      (error) => error instanceof DecryptionError && /unknown encryption key "k3"/.test(error.message)
+    );
+  });
+
+  it('rejects plaintext unless allowPlaintext is set', () => {
+    assert.throws(() => new Encryption({ key: oldKey }).decrypt('{"a":1}'), DecryptionError);
+    const migrating = new Encryption({ key: oldKey, allowPlaintext: true });
+    assert.strictEqual(migrating.decrypt('{"a":1}'), '{"a":1}');
+    assert.strictEqual(migrating.takeStale(), true);
+    assert.throws(() => decryptText(null, migrating.encrypt('x')), /no encryption is configured/);
+  });
+
+  it('validates keys and key ids', () => {
+    assert.throws(() => new Encryption({}), /requires a key/);
+    assert.throws(() => new Encryption({ key: crypto.randomBytes(16) }), /must be 32 bytes/);
+    assert.throws(() => new Encryption({ key: oldKey, keyId: 'a:b' }), /Invalid encryption keyId/);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      let temp;
+      let caches;
+
+      beforeEach(() => {
+        temp = makeTempDir();
+        caches = new CacheFactory(temp.dir);
+      });
+
+      afterEach(async () => {
+        await caches.closeAll();
+        temp.cleanup();
+      });
+
+      it('re-encrypts entries read with a retired key on the next sync', async () => {
+        const writer = await caches.open('secret', { cacheType, encryption: { key: oldKey, keyId: 'k1' } });
+        await writer.set('a', { pin: 1234 }, true);
+        await writer.close();
+
+        const rotated = await caches.open('secret', { cacheType, encryption: { key: newKey, keyId: 'k2', previousKeys: { k1: oldKey } } });
+        assert.deepStrictEqual(await rotated.get('a'), { pin: 1234 });
+        assert.strictEqual(rotated.isDirty, true, 'the entry is queued for re-encryption');
+        await rotated.sync();
+        await rotated.close();
+
+        const current = await caches.open('secret', { cacheType, encryption: { key: newKey, keyId: 'k2' } });
+        assert.deepStrictEqual(await current.get('a'), { pin: 1234 });
+      });
+
+      it('fails init() with a DecryptionError for an unknown key', async () => {
+        const writer = await caches.open('secret', { cacheType, encryption: { key: oldKey, keyId: 'k1' } });
+        await writer.set('a', 1, true);
+        await writer.close();
+
+        await assert.rejects(caches.open('secret', { cacheType, encryption: { key: newKey, keyId: 'k2' }, onBackendError: 'throw' }), (error) => error.cause instanceof DecryptionError);
+      });
+    });
+  }
+});
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const { PERSISTENT_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Eviction', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  const recordEvictions = (cache) => {
+    const evicted = [];
+    cache.on('evict', (key) => evicted.push(key));
+    return evicted;
+  };
+
+  it('evicts the least recently used key (lru)', async () => {
+    const cache = await caches.open('lru', { maxEntries: 2 });
+    const evicted = recordEvictions(cache);
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+    assert.deepStrictEqual(evicted, ['b']);
+    assert.deepStrictEqual(Object.keys(await cache.fetch()).sort(), ['a', 'c']);
+    assert.strictEqual(await cache.get('b'), undefined, 'memory mode drops evicted keys');
+  });
+
+  it('evicts the least frequently used key, oldest first on ties (lfu)', async () => {
+    const cache = await caches.open('lfu', { maxEntries: 2, evictionPolicy: 'lfu' });
+    const evicted = recordEvictions(cache);
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3); // b and c have fewer hits than a; b is older
+    await cache.set('d', 4); // c and d are tied; c is older
+    assert.deepStrictEqual(evicted, ['b', 'c']);
+    assert.deepStrictEqual(Object.keys(await cache.fetch()).sort(), ['a', 'd']);
+  });
+
+  it('evicts by approximate size with maxBytes', async () => {
+    const cache = await caches.open('bytes', { maxBytes: 300 });
+    const evicted = recordEvictions(cache);
+    await cache.set('a', 'x'.repeat(100));
+    await cache.set('b', 'x'.repeat(100));
+    assert.deepStrictEqual(evicted, []);
+    await cache.set('c', 'x'.repeat(150));
+    assert.deepStrictEqual(Object.keys(await cache.fetch()).sort(), ['b', 'c']);
+    assert(cache.evictionTracker.totalBytes <= 300);
+  });
+
+  it('rejects an unknown policy', async () => {
+    await assert.rejects(caches.open('bad', { maxEntries: 1, evictionPolicy: 'fifo' }), /Unknown eviction policy "fifo"/);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      it('keeps evicted keys in the backend and reloads them on access', async () => {
+        const cache = await caches.open('bounded', { cacheType, maxEntries: 2 });
+        await cache.set('a', { n: 1 });
+        await cache.set('b', { n: 2 });
+        await cache.set('c', { n: 3 }, true);
+        assert.deepStrictEqual([...cache.evictedKeys], ['a']);
+        assert.deepStrictEqual(Object.keys(await cache.fetch()).sort(), ['b', 'c']);
+        assert.deepStrictEqual((await cache.keys()).sort(), ['a', 'b', 'c']);
+        assert.strictEqual(await cache.count(), 3);
+
+        assert.deepStrictEqual(await cache.get('a'), { n: 1 });
+        assert(!cache.evictedKeys.has('a'));
+        assert.deepStrictEqual([...cache.evictedKeys], ['b'], 'the reload evicts the next key');
+        assert.strictEqual(await cache.has('b'), true);
+        await cache.set('c.m', 30, true); // Nested writes reload the rest of the value first
+        assert.deepStrictEqual(await cache.get('c'), { n: 3, m: 30 });
+      });
+
+      it('keeps the expiry of an evicted key', async () => {
+        const cache = await caches.open('bounded', { cacheType, maxEntries: 1 });
+        await cache.set('a', 1, { ttl: 60, sync: true });
+        const expiresAt = cache.expiries.a;
+        await cache.set('b', 2, true);
+        assert(cache.evictedKeys.has('a'));
+        assert.strictEqual(await cache.get('a'), 1);
+        assert.strictEqual(cache.expiries.a, expiresAt);
+      });
+
+      it('deletes evicted keys without reading them back', async () => {
+        const cache = await caches.open('bounded', { cacheType, maxEntries: 1 });
+        await cache.set('a', 1);
+        await cache.set('b', 2, true);
+        assert(cache.evictedKeys.has('a'));
+        let reads = 0;
+        const retrieveWithExpiry = cache.backend.retrieveWithExpiry.bind(cache.backend);
+        cache.backend.retrieveWithExpiry = (key) => {
+          reads++;
+          return retrieveWithExpiry(key);
+        };
+        await cache.delete('a', true);
+        assert.strictEqual(reads, 0);
+        assert.deepStrictEqual(await cache.keys(), ['b']);
+        assert.strictEqual(await cache.backend.has('a'), false);
+      });
+
+      it('evicts keys with unsynced changes only after they are synced', async () => {
+        const cache = await caches.open('bounded', { cacheType, maxEntries: 1 });
+        const evicted = recordEvictions(cache);
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        assert.deepStrictEqual(evicted, []);
+        await cache.sync();
+        assert.deepStrictEqual(Object.keys(await cache.fetch()), ['b']);
+        assert.strictEqual(await cache.get('a'), 1);
+      });
+
+      it('does not evict a key while it is being synced, so a failed sync keeps it', async () => {
+        const cache = await caches.open('bounded', { cacheType, maxEntries: 1 });
+        await cache.set('a', 1);
+        const applyChanges = cache.backend.applyChanges;
+        cache.backend.applyChanges = async () => {
+          await sleep(20);
+          throw new Error('offline');
+        };
+        const failing = cache.sync();
+        await cache.set('b', 2);
+        assert.deepStrictEqual(Object.keys(await cache.fetch()).sort(), ['a', 'b']);
+        await assert.rejects(failing, /offline/);
+
+        cache.backend.applyChanges = applyChanges;
+        await cache.sync();
+        assert.deepStrictEqual([...cache.evictedKeys], ['a']);
+        const reader = await caches.open('bounded', { cacheType });
+        assert.deepStrictEqual(await reader.fetch(), { a: 1, b: 2 });
+      });
+    });
+  }
+});
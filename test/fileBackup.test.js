@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const FileBackend = require('../src/backends/FileBackend');
+const { makeTempDir, CacheFactory } = require('./helpers');
+
+describe('FileBackend backups', () => {
+  let temp;
+  let caches;
+  let filePath;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+    filePath = path.join(temp.dir, 'store.json');
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  const readData = (file) => JSON.parse(fs.readFileSync(file, 'utf8')).data;
+
+  it('keeps the configured number of .bak.N generations, newest first', async () => {
+    const cache = await caches.open('store', { cacheType: 'file', fileBackups: 2 });
+    for (let version = 1; version <= 4; version++) await cache.set('version', version, true);
+    assert.deepStrictEqual(readData(filePath), { version: 4 });
+    assert.deepStrictEqual(readData(`${filePath}.bak.1`), { version: 3 });
+    assert.deepStrictEqual(readData(`${filePath}.bak.2`), { version: 2 });
+    assert(!fs.existsSync(`${filePath}.bak.3`));
+  });
+
+  it('writes no backups by default and leaves no temp files behind', async () => {
+    const cache = await caches.open('store', { cacheType: 'file' });
+    await cache.set('a', 1, true);
+    await cache.set('a', 2, true);
+    assert.deepStrictEqual(fs.readdirSync(temp.dir), ['store.json']);
+  });
+
+  it('recovers a corrupt file from the newest backup that parses', async () => {
+    const writer = await caches.open('store', { cacheType: 'file', fileBackups: 3 });
+    for (let version = 1; version <= 3; version++) await writer.set('version', version, true);
+    await writer.close();
+    fs.writeFileSync(filePath, '{"meta": {"format": "uni-cache"'); // Truncated
+    fs.writeFileSync(`${filePath}.bak.1`, 'not json');
+
+    const reader = await caches.open('store', { cacheType: 'file', fileBackups: 3 });
+    assert.strictEqual(await reader.get('version'), 1);
+    assert.deepStrictEqual(readData(filePath), { version: 1 }, 'the primary file is restored');
+    const corrupt = fs.readdirSync(temp.dir).filter((name) => name.startsWith('store.json.corrupt-'));
+    assert.strictEqual(corrupt.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(temp.dir, corrupt[0]), 'utf8'), '{"meta": {"format": "uni-cache"');
+  });
+
+  it('starts empty when no backup is usable', async () => {
+    const backend = new FileBackend({ cacheName: 'store', savePath: temp.dir, backups: 1 });
+    await backend.connect();
+    fs.writeFileSync(filePath, '{');
+    assert.deepStrictEqual(await backend.fetchWithExpiry(), { data: {}, expiries: {} });
+    assert(!fs.existsSync(filePath));
+  });
+});
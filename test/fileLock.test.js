@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const FileBackend = require('../src/backends/FileBackend');
+const { makeTempDir, CacheFactory } = require('./helpers');
+
+describe('FileBackend sharing', () => {
+  let temp;
+  let caches;
+  let lockPath;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+    lockPath = path.join(temp.dir, 'shared.json.lock');
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  it('merges the writes of several instances into the file', async () => {
+    const first = await caches.open('shared', { cacheType: 'file' });
+    const second = await caches.open('shared', { cacheType: 'file' });
+    await Promise.all([first.set('a', 1, true), second.set('b', 2, true), first.set('c', 3, true)]);
+    await second.checkExternalChanges(); // second was loaded before a was written
+    await second.delete('a', true);
+
+    const reader = await caches.open('shared', { cacheType: 'file' });
+    assert.deepStrictEqual(await reader.fetch(), { b: 2, c: 3 });
+    assert(!fs.existsSync(lockPath), 'the lock is released');
+  });
+
+  it('waits for the lock and times out after lockTimeout', async () => {
+    const backend = new FileBackend({ cacheName: 'shared', savePath: temp.dir, lockTimeout: 100 });
+    await backend.connect();
+    fs.writeFileSync(lockPath, '12345');
+    await assert.rejects(backend.applyChanges({ clear: false, upserts: { a: 1 }, deletes: [], expiries: {} }), /Timed out after 100 ms waiting for lock/);
+
+    setTimeout(() => fs.unlinkSync(lockPath), 50);
+    await backend.applyChanges({ clear: false, upserts: { a: 1 }, deletes: [], expiries: {} });
+    assert.deepStrictEqual(await backend.fetch(), { a: 1 });
+  });
+
+  it('breaks a lock older than lockStale', async () => {
+    const backend = new FileBackend({ cacheName: 'shared', savePath: temp.dir, lockTimeout: 1000, lockStale: 5000 });
+    await backend.connect();
+    fs.writeFileSync(lockPath, '12345');
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+    await backend.applyChanges({ clear: false, upserts: { a: 1 }, deletes: [], expiries: {} });
+    assert.deepStrictEqual(await backend.fetch(), { a: 1 });
+  });
+
+  describe('checkExternalChanges()', () => {
+    it('reloads changes made by another instance and ignores its own writes', async () => {
+      const cache = await caches.open('shared', { cacheType: 'file' });
+      const other = await caches.open('shared', { cacheType: 'file' });
+      await cache.set('a', 1);
+      await cache.set('b', 2, true);
+      assert.strictEqual(await cache.checkExternalChanges(), false);
+
+      await other.checkExternalChanges();
+      await other.set('a', 10, true);
+      await other.delete('b', true);
+      await other.set('c', 3, true);
+      await cache.set('local', true); // Not synced: must survive the reload
+      const reloaded = once(cache, 'reload');
+      assert.strictEqual(await cache.checkExternalChanges(), true);
+      assert.deepStrictEqual(await reloaded, [{ lazy: false }]);
+      assert.deepStrictEqual(await cache.fetch(), { a: 10, c: 3, local: true });
+      assert.strictEqual(await cache.checkExternalChanges(), false);
+    });
+
+    it('drops clean keys in lazy mode so they are re-read', async () => {
+      const cache = await caches.open('shared', { cacheType: 'file', loadStrategy: 'lazy' });
+      const other = await caches.open('shared', { cacheType: 'file' });
+      await other.set('a', 1);
+      await other.set('b', 2, true);
+      assert.strictEqual(await cache.get('a'), 1);
+      await cache.set('b', 20);
+      await other.set('a', 10, true);
+      assert.strictEqual(await cache.checkExternalChanges(), true);
+      assert.deepStrictEqual(await cache.fetch(), { b: 20 });
+      assert.strictEqual(await cache.get('a'), 10);
+    });
+
+    it('polls every watchInterval seconds', async () => {
+      const cache = await caches.open('shared', { cacheType: 'file', watchInterval: 0.05 });
+      const other = await caches.open('shared', { cacheType: 'file' });
+      await other.set('a', 1, true);
+      await once(cache, 'reload');
+      assert.strictEqual(await cache.get('a'), 1);
+    });
+  });
+});
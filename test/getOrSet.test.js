@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { makeTempDir, CacheFactory } = require('./helpers');
+
+describe('getOrSet and wrap', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  it('calls the producer once for concurrent misses', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    let calls = 0;
+    const producer = async () => {
+      calls++;
+      return 'value';
+    };
+    const results = await Promise.all([cache.getOrSet('k', producer), cache.getOrSet('k', producer), cache.getOrSet('k', producer)]);
+    assert.deepStrictEqual(results, ['value', 'value', 'value']);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(await cache.getOrSet('k', producer), 'value');
+    assert.strictEqual(calls, 1);
+  });
+
+  it('does not cache a producer error', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    await assert.rejects(
+      cache.getOrSet('k', async () => {
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+    assert.strictEqual(await cache.has('k'), false);
+  });
+
+  it('memoizes a named function by its name and arguments', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    let calls = 0;
+    const square = async (x) => {
+      calls++;
+      return x * x;
+    };
+    const memoized = cache.wrap(square);
+    assert.strictEqual(await memoized(3), 9);
+    assert.strictEqual(await memoized(3), 9);
+    assert.strictEqual(await memoized(4), 16);
+    assert.strictEqual(calls, 2);
+    assert.doesNotThrow(() => cache.wrap(square), 'the same function can be wrapped again');
+  });
+
+  it('requires a key for anonymous functions', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    assert.throws(() => cache.wrap(async (x) => x * 2), TypeError);
+    const double = cache.wrap(async (x) => x * 2, { key: 'double' });
+    const increment = cache.wrap(async (x) => x + 1, { key: 'increment' });
+    assert.strictEqual(await double(3), 6);
+    assert.strictEqual(await increment(3), 4);
+  });
+
+  it('does not let two functions share a key prefix', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    const load = async () => 'first';
+    cache.wrap(load);
+    const other = { load: async () => 'second' }.load; // Same name, different function
+    assert.throws(() => cache.wrap(other), /already used by another function/);
+    assert.throws(() => cache.wrap(async () => 'third', { key: 'load' }), /already used by another function/);
+  });
+
+  it('uses keyFn for the key', async () => {
+    const cache = await caches.open('memo', { cacheType: 'memory' });
+    const getRate = cache.wrap(
+      async (currency) => `${currency}-rate`,
+      (currency) => `rates.${currency}`,
+      { ttl: 60 }
+    );
+    assert.strictEqual(await getRate('EUR'), 'EUR-rate');
+    assert.strictEqual(await cache.get('rates.EUR'), 'EUR-rate');
+  });
+});
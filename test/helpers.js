@@ -0,0 +1,51 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UniCache = require('../src/UniCache');
+
+/** Backends that run without a server. */
+const LOCAL_BACKENDS = ['memory', 'file', 'sqlite'];
+const PERSISTENT_BACKENDS = ['file', 'sqlite'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a temporary directory, removed by the returned cleanup function.
+ * @returns {{dir: string, cleanup: function(): void}}
+ */
+const makeTempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uni-cache-test-'));
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+/**
+ * Opens caches that are closed by closeAll(), so a failing test leaves no timers behind.
+ */
+class CacheFactory {
+  constructor(dir) {
+    this.dir = dir;
+    this.caches = [];
+  }
+
+  async open(cacheName, options = {}) {
+    const cache = new UniCache(cacheName, { savePath: this.dir, syncInterval: 3600, ...options });
+    this.caches.push(cache);
+    await cache.init();
+    return cache;
+  }
+
+  async closeAll() {
+    for (const cache of this.caches.splice(0)) {
+      if (cache.status !== 'closed') await cache.close();
+    }
+  }
+}
+
+module.exports = {
+  LOCAL_BACKENDS,
+  PERSISTENT_BACKENDS,
+  sleep,
+  makeTempDir,
+  CacheFactory,
+};
@@ -0,0 +1,178 @@
+const assert = require('assert');
+const RedisBackend = require('../src/backends/RedisBackend');
+const { PERSISTENT_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+/**
+ * The part of a `redis` client used for subscriptions. Clients created by the same bus share its channels,
+ * like connections to one server.
+ */
+const createBus = () => {
+  const subscriptions = [];
+  const createClient = () => ({
+    isOpen: true,
+    on() {},
+    async publish(channel, message) {
+      subscriptions.filter((s) => s.channel === channel).forEach((s) => setImmediate(() => s.listener(message, channel)));
+    },
+    duplicate() {
+      const subscriber = {
+        isOpen: false,
+        on() {},
+        async connect() {
+          subscriber.isOpen = true;
+        },
+        async quit() {
+          subscriber.isOpen = false;
+        },
+        async ping() {
+          await sleep(5);
+          return 'PONG';
+        },
+        async subscribe(channel, listener) {
+          subscriptions.push({ channel, listener });
+        },
+        async unsubscribe(channel, listener) {
+          subscriptions.splice(
+            subscriptions.findIndex((s) => s.channel === channel && s.listener === listener),
+            1
+          );
+        },
+        async pSubscribe(pattern, listener) {
+          subscriptions.push({ pattern, listener });
+        },
+        async pUnsubscribe(pattern, listener) {
+          subscriptions.splice(
+            subscriptions.findIndex((s) => s.pattern === pattern && s.listener === listener),
+            1
+          );
+        },
+      };
+      return subscriber;
+    },
+  });
+  return { subscriptions, createClient };
+};
+
+describe('Invalidation', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(`changes reported for a ${cacheType} cache`, () => {
+      const recordInvalidations = (cache) => {
+        const events = [];
+        cache.on('invalidate', (event) => events.push(event));
+        return events;
+      };
+
+      it('re-reads changed keys and drops deleted ones (eager)', async () => {
+        const cache = await caches.open('shared', { cacheType });
+        const other = await caches.open('shared', { cacheType });
+        await cache.setMany({ a: 1, b: 2, c: 3 }, true);
+        await other.set('a', 10, true);
+        await other.backend.delete('b');
+        const events = recordInvalidations(cache);
+
+        cache._applyExternalChange({ upserts: ['a', 'new'], deletes: ['b'] });
+        assert.deepStrictEqual(events, [{ keys: ['b', 'a', 'new'], clear: false }]);
+        assert.deepStrictEqual(await cache.fetch(), { c: 3 });
+        assert.strictEqual(await cache.get('a'), 10);
+        assert.strictEqual(await cache.get('b'), undefined);
+        assert.deepStrictEqual((await cache.keys()).sort(), ['a', 'c', 'new'], 'changed keys stay listed');
+      });
+
+      it('drops only keys it holds in lazy mode', async () => {
+        const cache = await caches.open('shared', { cacheType, loadStrategy: 'lazy' });
+        await cache.set('a', 1, true);
+        const events = recordInvalidations(cache);
+        cache._applyExternalChange({ upserts: ['a', 'unknown'] });
+        assert.deepStrictEqual(events, [{ keys: ['a'], clear: false }]);
+        assert.deepStrictEqual(await cache.fetch(), {});
+        cache._applyExternalChange({ upserts: ['unknown'] });
+        assert.strictEqual(events.length, 1, 'nothing to invalidate');
+      });
+
+      it('keeps unsynced local changes', async () => {
+        const cache = await caches.open('shared', { cacheType });
+        await cache.setMany({ a: 1, b: 2 }, true);
+        await cache.set('a', 'local');
+        const events = recordInvalidations(cache);
+        cache._applyExternalChange({ clear: true });
+        assert.deepStrictEqual(events, [{ keys: ['b'], clear: true }]);
+        assert.deepStrictEqual(await cache.fetch(), { a: 'local' });
+      });
+    });
+  }
+
+  describe('RedisBackend', () => {
+    const openBackend = async (bus, config = {}) => {
+      const backend = new RedisBackend({ cacheName: 'app', client: bus.createClient(), ...config });
+      const changes = [];
+      const unsubscribe = await backend.subscribeChanges((change) => changes.push(change));
+      return { backend, changes, unsubscribe };
+    };
+
+    it('rejects an unknown invalidation mode', () => {
+      assert.throws(() => new RedisBackend({ cacheName: 'app', client: createBus().createClient(), invalidation: 'poll' }), /Invalid invalidation "poll"/);
+    });
+
+    it('delivers published changes to the other instances only (pubsub)', async () => {
+      const bus = createBus();
+      const first = await openBackend(bus, { invalidation: 'pubsub' });
+      const second = await openBackend(bus, { invalidation: 'pubsub' });
+      await first.backend._publishChanges({ upserts: ['a'], deletes: ['b'] });
+      await sleep(10);
+      assert.deepStrictEqual(first.changes, []);
+      assert.deepStrictEqual(second.changes, [{ upserts: ['a'], deletes: ['b'], clear: false }]);
+
+      await second.unsubscribe();
+      await first.backend._publishChanges({ clear: true });
+      await sleep(10);
+      assert.strictEqual(second.changes.length, 1);
+    });
+
+    it('reports keyspace notifications under its prefix', async () => {
+      const bus = createBus();
+      const { changes } = await openBackend(bus, { invalidation: 'keyspace', database: 2 });
+      const [{ pattern, listener }] = bus.subscriptions;
+      assert.strictEqual(pattern, '__keyspace@2__:app:*');
+      listener('set', '__keyspace@2__:app:user');
+      listener('expired', '__keyspace@2__:app:session');
+      assert.deepStrictEqual(changes, [
+        { upserts: ['user'], deletes: [], clear: false },
+        { upserts: [], deletes: ['session'], clear: false },
+      ]);
+    });
+
+    it('skips notifications of its own writes until they have arrived', async () => {
+      const bus = createBus();
+      const { backend, changes } = await openBackend(bus, { invalidation: 'keyspace' });
+      const [{ listener }] = bus.subscriptions;
+      await backend._ownWrite(['a'], async () => listener('set', '__keyspace@0__:app:a'));
+      listener('set', '__keyspace@0__:app:a'); // Still before the PING on the subscriber returned
+      assert.deepStrictEqual(changes, []);
+      await sleep(20);
+      listener('set', '__keyspace@0__:app:a');
+      assert.deepStrictEqual(changes, [{ upserts: ['a'], deletes: [], clear: false }]);
+    });
+
+    it('escapes the key prefix in the keyspace pattern', async () => {
+      const bus = createBus();
+      const { changes } = await openBackend(bus, { cacheName: 'logs[1]*', invalidation: 'keyspace' });
+      const [{ pattern, listener }] = bus.subscriptions;
+      assert.strictEqual(pattern, '__keyspace@0__:logs\\[1\\]\\*:*');
+      listener('set', '__keyspace@0__:logs[1]*:entry');
+      assert.deepStrictEqual(changes, [{ upserts: ['entry'], deletes: [], clear: false }]);
+    });
+  });
+});
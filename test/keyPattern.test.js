@@ -0,0 +1,170 @@
+const assert = require('assert');
+const RedisBackend = require('../src/backends/RedisBackend');
+const { globToRegExp, escapeGlob, pageKeys } = require('../src/keyPattern');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Key patterns', () => {
+  describe('globToRegExp()', () => {
+    const matches = (pattern, key) => globToRegExp(pattern).test(key);
+
+    it('supports *, ?, character sets and escapes', () => {
+      assert(matches('user:*', 'user:1') && matches('user:*', 'user:') && !matches('user:*', 'admin:user:1'));
+      assert(matches('user:?', 'user:7') && !matches('user:?', 'user:42'));
+      assert(matches('log[ab]', 'loga') && !matches('log[ab]', 'logc'));
+      assert(matches('v[0-9]', 'v5') && !matches('v[0-9]', 'vx'));
+      assert(matches('v[^0-9]', 'vx') && !matches('v[^0-9]', 'v5'));
+      assert(matches('a\\*b', 'a*b') && !matches('a\\*b', 'axb'));
+      assert(matches('a.b', 'a.b') && !matches('a.b', 'axb'), 'regular expression characters are literal');
+      assert(matches('[x', '[x'), 'an unclosed [ is literal');
+      assert(matches('*', 'line\nbreak'));
+    });
+
+    it('matches escaped text literally', () => {
+      const text = 'logs[1]*?\\';
+      assert(matches(escapeGlob(text), text));
+      assert(!matches(escapeGlob(text), 'logs1x?\\'));
+    });
+  });
+
+  describe('pageKeys()', () => {
+    it('pages through the selected keys in order', () => {
+      const keys = ['c', 'user:2', 'a', 'user:1', 'user:3'];
+      assert.deepStrictEqual(pageKeys(keys), { keys: ['a', 'c', 'user:1', 'user:2', 'user:3'], cursor: null });
+      const first = pageKeys(keys, { prefix: 'user:', limit: 2 });
+      assert.deepStrictEqual(first, { keys: ['user:1', 'user:2'], cursor: 'user:2' });
+      assert.deepStrictEqual(pageKeys(keys, { prefix: 'user:', limit: 2, cursor: first.cursor }), { keys: ['user:3'], cursor: null });
+      assert.deepStrictEqual(pageKeys(keys, { match: '?', limit: 2 }), { keys: ['a', 'c'], cursor: null });
+    });
+  });
+
+  describe('caches', () => {
+    let temp;
+    let caches;
+
+    beforeEach(() => {
+      temp = makeTempDir();
+      caches = new CacheFactory(temp.dir);
+    });
+
+    afterEach(async () => {
+      await caches.closeAll();
+      temp.cleanup();
+    });
+
+    const entries = { 'user:1': 1, 'user:2': 2, 'user:3': 3, 'admin:1': 'a', 'user:10': 10 };
+
+    const collectPages = async (cache, query) => {
+      const pages = [];
+      let cursor;
+      do {
+        const page = await cache.keys({ ...query, cursor });
+        pages.push(page.keys);
+        cursor = page.cursor;
+      } while (cursor);
+      return pages;
+    };
+
+    for (const cacheType of LOCAL_BACKENDS) {
+      it(`selects and pages keys (${cacheType})`, async () => {
+        const cache = await caches.open('keys', { cacheType });
+        await cache.setMany(entries, true);
+        assert.deepStrictEqual((await cache.keys({ match: 'user:?' })).sort(), ['user:1', 'user:2', 'user:3']);
+        assert.deepStrictEqual((await cache.keys({ prefix: 'user:1' })).sort(), ['user:1', 'user:10']);
+        assert.deepStrictEqual(await collectPages(cache, { prefix: 'user:', limit: 2 }), [
+          ['user:1', 'user:10'],
+          ['user:2', 'user:3'],
+        ]);
+      });
+    }
+
+    for (const cacheType of PERSISTENT_BACKENDS) {
+      describe(`${cacheType} in lazy mode`, () => {
+        const openLazy = async () => {
+          const writer = await caches.open('keys', { cacheType });
+          await writer.setMany(entries, true);
+          await writer.close();
+          return caches.open('keys', { cacheType, loadStrategy: 'lazy' });
+        };
+
+        it('lets the backend select and page the keys', async () => {
+          const cache = await openLazy();
+          assert.deepStrictEqual((await cache.keys({ match: 'user:?' })).sort(), ['user:1', 'user:2', 'user:3']);
+          const pages = await collectPages(cache, { prefix: 'user:', limit: 3 });
+          assert.deepStrictEqual(pages.flat().sort(), ['user:1', 'user:10', 'user:2', 'user:3']);
+          assert(pages.every((page) => page.length <= 3));
+          assert.deepStrictEqual(await cache.fetch(), {}, 'listing keys loads no values');
+        });
+
+        it('applies unsynced changes to the first page only', async () => {
+          const cache = await openLazy();
+          await cache.set('user:4', 4);
+          await cache.delete('user:2');
+          const pages = await collectPages(cache, { prefix: 'user:', limit: 2 });
+          assert.deepStrictEqual(pages[0][0], 'user:4');
+          assert.deepStrictEqual(pages.flat().sort(), ['user:1', 'user:10', 'user:3', 'user:4']);
+        });
+
+        it('iterates over entries without loading them', async () => {
+          const cache = await openLazy();
+          await cache.set('user:2', 'local');
+          const seen = [];
+          for await (const [key, value] of cache.entries({ prefix: 'user:', batchSize: 2 })) seen.push([key, value]);
+          assert.deepStrictEqual(
+            seen.sort(([a], [b]) => a.localeCompare(b)),
+            [
+              ['user:1', 1],
+              ['user:10', 10],
+              ['user:2', 'local'],
+              ['user:3', 3],
+            ]
+          );
+          assert.deepStrictEqual(await cache.fetch(), { 'user:2': 'local' });
+        });
+      });
+    }
+
+    it('treats pattern characters in a SQLite prefix literally', async () => {
+      const cache = await caches.open('keys', { cacheType: 'sqlite' });
+      await cache.setMany({ 'a*1': 1, 'a[b]': 2, ab: 3, 'a?': 4 }, true);
+      assert.deepStrictEqual((await cache.backend.scanKeys({ prefix: 'a*' })).keys, ['a*1']);
+      assert.deepStrictEqual((await cache.backend.scanKeys({ prefix: 'a[' })).keys, ['a[b]']);
+      assert.deepStrictEqual((await cache.backend.scanKeys({ prefix: 'a?' })).keys, ['a?']);
+    });
+  });
+
+  describe('RedisBackend SCAN', () => {
+    /** A client whose SCAN walks `redisKeys` COUNT keys at a time, recording the MATCH patterns. */
+    const createClient = (redisKeys) => {
+      const patterns = [];
+      return {
+        patterns,
+        isOpen: true,
+        on() {},
+        async scan(cursor, { MATCH, COUNT }) {
+          patterns.push(MATCH);
+          const next = cursor + COUNT;
+          const keys = redisKeys.slice(cursor, next).filter((key) => globToRegExp(MATCH).test(key));
+          return { cursor: next < redisKeys.length ? next : 0, keys };
+        },
+      };
+    };
+
+    it('escapes the key prefix and pages with the SCAN cursor', async () => {
+      const client = createClient(['logs[1]*:a1', 'logs[1]x:a2', 'logs[1]*:b', 'logs[1]*:a3']);
+      const backend = new RedisBackend({ cacheName: 'logs[1]*', client });
+      const first = await backend.scanKeys({ prefix: 'a', limit: 1 });
+      assert.deepStrictEqual(first, { keys: ['a1'], cursor: '1' });
+      assert.deepStrictEqual(await backend.scanKeys({ prefix: 'a', limit: 1, cursor: first.cursor }), { keys: ['a3'], cursor: null });
+      assert(client.patterns.every((pattern) => pattern === 'logs\\[1\\]\\*:a*'));
+      assert.deepStrictEqual((await backend.scanKeys({ match: '?' })).keys, ['b']);
+      assert.strictEqual(client.patterns[client.patterns.length - 1], 'logs\\[1\\]\\*:?');
+    });
+
+    it('escapes the key prefix when listing all keys', async () => {
+      const client = createClient(['logs[1]*:a', 'logs[1]x:b', 'logs[1]*:c']);
+      const backend = new RedisBackend({ cacheName: 'logs[1]*', client });
+      assert.deepStrictEqual(await backend.keys(), ['a', 'c']);
+      assert(client.patterns.every((pattern) => pattern === 'logs\\[1\\]\\*:*'));
+    });
+  });
+});
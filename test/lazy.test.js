@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Lazy loading', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  it('rejects an unknown load strategy', async () => {
+    await assert.rejects(caches.open('bad', { loadStrategy: 'sometimes' }), /Invalid loadStrategy "sometimes"/);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      const openLazy = async (entries) => {
+        const writer = await caches.open('lazy', { cacheType });
+        for (const [key, value] of Object.entries(entries)) await writer.set(key, value);
+        await writer.sync();
+        await writer.close();
+        return caches.open('lazy', { cacheType, loadStrategy: 'lazy' });
+      };
+
+      /** Counts the backend reads of single keys and of key batches. */
+      const countReads = (cache) => {
+        const reads = { single: [], many: [] };
+        const { retrieveWithExpiry, retrieveManyWithExpiry } = cache.backend;
+        cache.backend.retrieveWithExpiry = function (key) {
+          reads.single.push(key);
+          return retrieveWithExpiry.call(this, key);
+        };
+        cache.backend.retrieveManyWithExpiry = function (keys) {
+          reads.many.push(keys);
+          return retrieveManyWithExpiry.call(this, keys);
+        };
+        return reads;
+      };
+
+      it('loads nothing at init and reads a key once on first access', async () => {
+        const cache = await openLazy({ a: { n: 1 }, b: 2 });
+        assert.deepStrictEqual(await cache.fetch(), {});
+        const reads = countReads(cache);
+        assert.deepStrictEqual(await cache.get('a.n'), 1);
+        assert.deepStrictEqual(await cache.get('a'), { n: 1 });
+        assert.deepStrictEqual(reads.single, ['a']);
+        assert.deepStrictEqual(await cache.fetch(), { a: { n: 1 } });
+      });
+
+      it('shares one backend read between concurrent accesses', async () => {
+        const cache = await openLazy({ a: 1 });
+        const reads = countReads(cache);
+        assert.deepStrictEqual(await Promise.all([cache.get('a'), cache.get('a'), cache.has('a.x')]), [1, 1, false]);
+        assert.deepStrictEqual(reads.single, ['a']);
+      });
+
+      it('reads the keys missing from memory with one batch in getMany()', async () => {
+        const cache = await openLazy({ a: 1, b: 2, c: 3 });
+        await cache.get('a');
+        const reads = countReads(cache);
+        assert.deepStrictEqual(await cache.getMany(['a', 'b', 'c', 'missing']), [1, 2, 3, undefined]);
+        assert.deepStrictEqual(reads.many, [['b', 'c', 'missing']]);
+        assert.deepStrictEqual(reads.single, []);
+      });
+
+      it('answers has() for top-level keys without loading the value', async () => {
+        const cache = await openLazy({ a: 1 });
+        const reads = countReads(cache);
+        assert.strictEqual(await cache.has('a'), true);
+        assert.strictEqual(await cache.has('missing'), false);
+        assert.deepStrictEqual(reads.single, []);
+        assert.deepStrictEqual(await cache.fetch(), {});
+      });
+
+      it('lists and counts keys from the backend with local changes applied', async () => {
+        const cache = await openLazy({ a: 1, b: 2 });
+        assert.strictEqual(await cache.count(), 2);
+        await cache.set('c', 3);
+        await cache.delete('a');
+        assert.deepStrictEqual((await cache.keys()).sort(), ['b', 'c']);
+        assert.strictEqual(await cache.count(), 2);
+        assert.strictEqual(await cache.existsObject(), true);
+      });
+
+      it('keeps a local write made while the key was being read', async () => {
+        const cache = await openLazy({ a: 'stored' });
+        const read = cache.get('a');
+        await cache.set('a', 'local');
+        await read;
+        assert.strictEqual(await cache.get('a'), 'local');
+      });
+
+      it('does not read a key back after a local delete or clear', async () => {
+        const cache = await openLazy({ a: 1, b: 2 });
+        await cache.delete('a');
+        const reads = countReads(cache);
+        assert.strictEqual(await cache.get('a'), undefined);
+        await cache.clear();
+        assert.strictEqual(await cache.get('b'), undefined);
+        assert.deepStrictEqual(reads.single, []);
+        await cache.sync();
+        assert.strictEqual(await cache.backend.count(), 0);
+      });
+
+      it('syncs only the keys written, never a full replace', async () => {
+        const cache = await openLazy({ a: 1, b: 2 });
+        await cache.set('c', 3);
+        await cache.sync(true); // Memory does not hold every key, so even a forced sync must not clear the rest
+        assert.deepStrictEqual((await cache.backend.keys()).sort(), ['a', 'b', 'c']);
+      });
+    });
+  }
+});
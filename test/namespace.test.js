@@ -0,0 +1,70 @@
+const assert = require('assert');
+const UniCache = require('../src/UniCache');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Namespaces', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    describe(cacheType, () => {
+      it('keeps the keys of the parent and its namespaces apart', async () => {
+        const app = await caches.open('app', { cacheType });
+        const sessions = app.namespace('sessions');
+        await sessions.init();
+        assert.strictEqual(app.namespace('sessions'), sessions, 'the same child is returned');
+
+        await app.set('id', 'parent', true);
+        await sessions.set('id', 'child', true);
+        assert.strictEqual(await app.get('id'), 'parent');
+        assert.strictEqual(await sessions.get('id'), 'child');
+
+        await sessions.clear(true);
+        assert.deepStrictEqual(await sessions.keys(), []);
+        assert.deepStrictEqual(await app.keys(), ['id']);
+      });
+
+      it('rejects invalid names', () => {
+        const app = new UniCache('app', { cacheType });
+        assert.throws(() => app.namespace('a/b'), /Invalid namespace name/);
+        assert.throws(() => app.namespace(''), /Invalid namespace name/);
+        return app.close();
+      });
+    });
+  }
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    it(`persists namespaces in the ${cacheType} backend and syncs them with the parent`, async () => {
+      const app = await caches.open('app', { cacheType });
+      const users = app.namespace('users');
+      await users.init();
+      const admins = users.namespace('admins');
+      await admins.init();
+      await app.set('id', 1);
+      await users.set('id', 2);
+      await admins.set('id', 3);
+      await app._syncTree(); // What the parent's sync interval runs
+      await app.close();
+      assert.strictEqual(users.status, 'closed', 'closing the parent closes its namespaces');
+
+      const reopened = await caches.open('app', { cacheType });
+      const reopenedUsers = reopened.namespace('users');
+      await reopenedUsers.init();
+      const reopenedAdmins = reopenedUsers.namespace('admins');
+      await reopenedAdmins.init();
+      assert.deepStrictEqual(await reopened.fetch(), { id: 1 });
+      assert.deepStrictEqual(await reopenedUsers.fetch(), { id: 2 });
+      assert.deepStrictEqual(await reopenedAdmins.fetch(), { id: 3 });
+    });
+  }
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Nested-path patches', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  const recordChanges = (cache) => {
+    const calls = [];
+    const applyChanges = cache.backend.applyChanges.bind(cache.backend);
+    cache.backend.applyChanges = (changes) => {
+      calls.push(JSON.parse(JSON.stringify(changes)));
+      return applyChanges(changes);
+    };
+    return calls;
+  };
+
+  const user = () => ({ name: 'Ada', profile: { city: 'London', langs: ['en'] }, age: 36 });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      it('persists nested sets and deletes with the expiry kept', async () => {
+        const writer = await caches.open('patched', { cacheType });
+        await writer.set('user', user(), { ttl: 60, sync: true });
+        const expiresAt = writer.expiries.user;
+        await writer.set('user.profile.city', 'Paris');
+        await writer.set(['user', 'profile', 'zip.code'], '75001');
+        await writer.delete('user.age');
+        await writer.add('user.visits', 1);
+        await writer.sync();
+        await writer.close();
+
+        const reader = await caches.open('patched', { cacheType });
+        assert.deepStrictEqual(await reader.get('user'), { name: 'Ada', profile: { city: 'Paris', langs: ['en'], 'zip.code': '75001' }, visits: 1 });
+        assert.strictEqual(reader.expiries.user, expiresAt);
+      });
+
+      it(`sends nested changes as ${cacheType === 'sqlite' ? 'patches' : 'whole values'}`, async () => {
+        const cache = await caches.open('patched', { cacheType });
+        await cache.set('user', user(), true);
+        const calls = recordChanges(cache);
+        await cache.set('user.profile.city', 'Paris');
+        await cache.set('user.profile', { city: 'Rome' }); // Covers the change below it
+        await cache.delete('user.age');
+        await cache.sync();
+        const expected = { name: 'Ada', profile: { city: 'Rome' } };
+        if (cacheType === 'sqlite') {
+          assert.deepStrictEqual(calls[0].upserts, {});
+          assert.deepStrictEqual(calls[0].patches, {
+            user: {
+              value: expected,
+              ops: [
+                { path: ['profile'], value: { city: 'Rome' } },
+                { path: ['age'], delete: true },
+              ],
+            },
+          });
+        } else {
+          assert.deepStrictEqual(calls[0].upserts, { user: expected });
+          assert.deepStrictEqual(calls[0].patches, {});
+        }
+      });
+    });
+  }
+
+  describe('sqlite in place', () => {
+    it('keeps the fields another instance changed in the same value', async () => {
+      const first = await caches.open('patched', { cacheType: 'sqlite' });
+      const second = await caches.open('patched', { cacheType: 'sqlite' });
+      await first.set('user', user(), true);
+      await second.checkExternalChanges();
+      await second.set('user.age', 37, true);
+      await first.set('user.profile.city', 'Paris', true);
+
+      const reader = await caches.open('patched', { cacheType: 'sqlite' });
+      assert.deepStrictEqual(await reader.get('user'), { name: 'Ada', profile: { city: 'Paris', langs: ['en'] }, age: 37 });
+    });
+
+    it('writes the whole value when a path goes through something other than a plain object', async () => {
+      const cache = await caches.open('patched', { cacheType: 'sqlite' });
+      await cache.set('user', user(), true);
+      const calls = recordChanges(cache);
+      await cache.set('user.profile.langs.1', 'fr');
+      await cache.sync();
+      assert.deepStrictEqual(calls[0].patches, {});
+      assert.deepStrictEqual(calls[0].upserts.user.profile.langs, ['en', 'fr']);
+    });
+
+    it('writes the whole value when the stored one cannot be patched', async () => {
+      const cache = await caches.open('patched', { cacheType: 'sqlite' });
+      await cache.set('user', user(), true);
+      const other = await caches.open('patched', { cacheType: 'sqlite' });
+      await other.backend.delete('user');
+      await cache.set('user.name', 'Bo', true);
+      assert.deepStrictEqual((await other.backend.retrieveWithExpiry('user')).value, { ...user(), name: 'Bo' });
+    });
+
+    it('does not patch with a serializer that stores no plain JSON', async () => {
+      const cache = await caches.open('patched', { cacheType: 'sqlite', serializer: 'v8' });
+      assert.strictEqual(cache.backend.supportsPatches(), false);
+      await cache.set('user', user(), true);
+      await cache.set('user.name', 'Bo', true);
+      const reader = await caches.open('patched', { cacheType: 'sqlite', serializer: 'v8' });
+      assert.strictEqual(await reader.get('user.name'), 'Bo');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { resolveSerializer, serializeToString, deserializeFromString, typed } = require('../src/serializers');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+const typedValue = () => ({
+  date: new Date('2024-05-01T12:00:00.000Z'),
+  map: new Map([
+    ['a', 1],
+    [2, { nested: new Set(['x']) }],
+  ]),
+  set: new Set([1, 'two']),
+  big: 12345678901234567890n,
+  buffer: Buffer.from('bytes'),
+  list: [1, 'text', null],
+});
+
+describe('Serializers', () => {
+  for (const name of ['typed', 'msgpack', 'v8']) {
+    it(`round-trips Date, Map, Set, BigInt and Buffer (${name})`, () => {
+      const serializer = resolveSerializer(name);
+      const value = typedValue();
+      assert.deepStrictEqual(serializer.deserialize(serializer.serialize(value)), value);
+      assert.deepStrictEqual(deserializeFromString(serializer, serializeToString(serializer, value)), value);
+    });
+  }
+
+  it('marks msgpack and v8 as binary and base64-encodes them for string stores', () => {
+    for (const name of ['msgpack', 'v8']) {
+      const serializer = resolveSerializer(name);
+      assert.strictEqual(serializer.binary, true);
+      assert(Buffer.isBuffer(serializer.serialize({ a: 1 })));
+      assert.match(serializeToString(serializer, { a: 1 }), /^[A-Za-z0-9+/]+=*$/);
+    }
+  });
+
+  it('keeps the typed encoding readable and escapes objects with a "$type" key', () => {
+    assert.deepStrictEqual(typed.encode({ when: new Date(0) }), { when: { $type: 'Date', value: '1970-01-01T00:00:00.000Z' } });
+    const lookalike = { $type: 'Date', value: 'not a date' };
+    assert.deepStrictEqual(typed.deserialize(typed.serialize(lookalike)), lookalike);
+    assert.deepStrictEqual(typed.deserialize(typed.serialize([undefined, NaN, -Infinity])), [undefined, NaN, -Infinity]);
+  });
+
+  it('accepts serializer objects and rejects unknown names', () => {
+    const custom = resolveSerializer({ serialize: (value) => `<${JSON.stringify(value)}>`, deserialize: (text) => JSON.parse(text.slice(1, -1)) });
+    assert.strictEqual(custom.name, 'custom');
+    assert.strictEqual(custom.binary, false);
+    assert.throws(() => resolveSerializer('yaml'), /Unknown serializer "yaml"/);
+    assert.throws(() => resolveSerializer({ serialize: () => '' }), TypeError);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      let temp;
+      let caches;
+
+      beforeEach(() => {
+        temp = makeTempDir();
+        caches = new CacheFactory(temp.dir);
+      });
+
+      afterEach(async () => {
+        await caches.closeAll();
+        temp.cleanup();
+      });
+
+      for (const serializer of ['typed', 'msgpack', 'v8']) {
+        it(`stores typed values through the backend (${serializer})`, async () => {
+          const writer = await caches.open('typed', { cacheType, serializer });
+          await writer.set('value', typedValue(), true);
+          await writer.close();
+
+          const reader = await caches.open('typed', { cacheType, serializer });
+          assert.deepStrictEqual(await reader.get('value'), typedValue());
+        });
+      }
+    });
+  }
+});
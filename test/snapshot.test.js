@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const UniCache = require('../src/UniCache');
+const SQLiteBackend = require('../src/backends/SQLiteBackend');
+const { LOCAL_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Snapshots', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  const exportTo = async (cache, file, options) => {
+    const stream = fs.createWriteStream(file);
+    const finished = once(stream, 'finish');
+    const count = await cache.export(stream, options);
+    await finished;
+    return count;
+  };
+
+  const entries = {
+    user: { name: 'Ada', roles: ['admin'], profile: { age: 36 } },
+    count: 1.5,
+    label: 'text',
+    empty: null,
+  };
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    for (const format of ['ndjson', 'json']) {
+      it(`round-trips entries and expiries through ${format} (${cacheType})`, async () => {
+        const source = await caches.open('source', { cacheType });
+        await source.setMany(entries, true);
+        await source.set('session', 'abc', { ttl: 60, sync: true });
+        const file = path.join(temp.dir, `snapshot.${format}`);
+        assert.strictEqual(await exportTo(source, file, { format }), 5);
+
+        const target = await caches.open('target', { cacheType });
+        assert.strictEqual(await target.import(fs.createReadStream(file), { sync: true }), 5);
+        for (const [key, value] of Object.entries(entries)) assert.deepStrictEqual(await target.get(key), value);
+        assert.strictEqual(await target.get('session'), 'abc');
+        assert(target.expiries.session > Date.now() + 50000 && target.expiries.session <= Date.now() + 60000, 'the remaining lifetime is kept');
+      });
+    }
+  }
+
+  it('merges by default and clears first with mode "replace"', async () => {
+    const source = await caches.open('source', { cacheType: 'sqlite' });
+    await source.set('a', 1, true);
+    const file = path.join(temp.dir, 'snapshot.ndjson');
+    await exportTo(source, file);
+
+    const target = await caches.open('target', { cacheType: 'sqlite' });
+    await target.setMany({ a: 0, b: 2 }, true);
+    await target.import(fs.createReadStream(file), { sync: true });
+    assert.deepStrictEqual((await target.keys()).sort(), ['a', 'b']);
+    assert.strictEqual(await target.get('a'), 1);
+    await target.import(fs.createReadStream(file), { mode: 'replace', sync: true });
+    assert.deepStrictEqual(await target.keys(), ['a']);
+  });
+
+  it('skips entries that expired after the export', async () => {
+    const source = await caches.open('source', { cacheType: 'file' });
+    await source.set('short', 1, { ttl: 0.05, sync: true });
+    await source.set('kept', 2, true);
+    const file = path.join(temp.dir, 'snapshot.ndjson');
+    await exportTo(source, file);
+    await sleep(80);
+
+    const target = await caches.open('target', { cacheType: 'memory' });
+    assert.strictEqual(await target.import(fs.createReadStream(file)), 1);
+    assert.deepStrictEqual(await target.keys(), ['kept']);
+  });
+
+  describe('UniCache.migrate()', () => {
+    it('copies entries with their expiries in pages listed by scanKeys()', async () => {
+      const source = await caches.open('moved', { cacheType: 'sqlite' });
+      for (let i = 0; i < 5; i++) await source.set(`key${i}`, { i }, true);
+      await source.set('session', 'abc', { ttl: 60, sync: true });
+      await source.close();
+
+      const scanned = [];
+      const { keys, scanKeys } = SQLiteBackend.prototype;
+      SQLiteBackend.prototype.keys = () => Promise.reject(new Error('keys() lists every key at once'));
+      SQLiteBackend.prototype.scanKeys = function (query) {
+        scanned.push(query);
+        return scanKeys.call(this, query);
+      };
+      let copied;
+      try {
+        copied = await UniCache.migrate({ cacheName: 'moved', cacheType: 'sqlite', savePath: temp.dir }, { cacheType: 'file', savePath: temp.dir }, { batchSize: 2 });
+      } finally {
+        Object.assign(SQLiteBackend.prototype, { keys, scanKeys });
+      }
+      assert.strictEqual(copied, 6);
+      assert.strictEqual(scanned.length, 3);
+      assert(scanned.every((query) => query.limit === 2));
+
+      const target = await caches.open('moved', { cacheType: 'file' });
+      assert.strictEqual(await target.count(), 6);
+      assert.deepStrictEqual(await target.get('key3'), { i: 3 });
+      assert(target.expiries.session > Date.now() + 50000, 'the expiry is copied');
+    });
+
+    it('removes the target entries first with replace', async () => {
+      const source = await caches.open('moved', { cacheType: 'file' });
+      await source.set('a', 1, true);
+      await source.close();
+      const target = await caches.open('moved', { cacheType: 'sqlite' });
+      await target.set('old', true, true);
+      await target.close();
+
+      await UniCache.migrate({ cacheName: 'moved', cacheType: 'file', savePath: temp.dir }, { cacheType: 'sqlite', savePath: temp.dir }, { replace: true });
+      const reopened = await caches.open('moved', { cacheType: 'sqlite' });
+      assert.deepStrictEqual(await reopened.keys(), ['a']);
+    });
+  });
+});
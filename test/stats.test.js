@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Stats and metrics', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    it(`counts lookups, writes and deletes (${cacheType})`, async () => {
+      const cache = await caches.open('stats', { cacheType });
+      const fresh = await cache.stats();
+      assert.strictEqual(fresh.hits + fresh.misses + fresh.sets + fresh.deletes, 0);
+      assert.strictEqual(fresh.hitRate, null);
+
+      await cache.set('a', 1);
+      await cache.set('user', { name: 'Ada' });
+      await cache.add('visits', 2);
+      await cache.get('a');
+      await cache.get('user.name');
+      await cache.has('a');
+      await cache.get('missing');
+      await cache.delete('a');
+      await cache.delete('missing');
+
+      const stats = await cache.stats();
+      assert.strictEqual(stats.cacheName, 'stats');
+      assert.strictEqual(stats.cacheType, cacheType);
+      assert.strictEqual(stats.status, cacheType === 'memory' ? 'memory' : 'persistent');
+      assert.deepStrictEqual({ hits: stats.hits, misses: stats.misses, sets: stats.sets, deletes: stats.deletes }, { hits: 3, misses: 1, sets: 3, deletes: 1 });
+      assert.strictEqual(stats.hitRate, 0.75);
+      assert.strictEqual(stats.entries, 2);
+      assert.strictEqual(stats.memoryEntries, 2);
+      assert(stats.memoryBytes > 0);
+    });
+  }
+
+  it('counts evictions and expirations', async () => {
+    const cache = await caches.open('stats', { cacheType: 'file', maxEntries: 1 });
+    await cache.set('a', 1, true);
+    await cache.set('b', 2, true);
+    await cache.set('c', 3, { ttl: 0.02, sync: true });
+    await sleep(40);
+    await cache.get('c');
+    const stats = await cache.stats();
+    assert.strictEqual(stats.evictions, 2);
+    assert.strictEqual(stats.expirations, 1);
+    assert.strictEqual(stats.entries, 2, 'evicted keys are counted');
+    assert.strictEqual(stats.memoryEntries, 0);
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    it(`records syncs and sync failures (${cacheType})`, async () => {
+      const cache = await caches.open('stats', { cacheType });
+      assert.strictEqual((await cache.stats()).lastSyncAt, null);
+      const before = Date.now();
+      await cache.set('a', 1, true);
+      let stats = await cache.stats();
+      assert.strictEqual(stats.syncs, 1);
+      assert(stats.lastSyncAt >= before && stats.lastSyncAt <= Date.now());
+      assert(stats.lastSyncDurationMs >= 0);
+
+      cache.backend.applyChanges = async () => {
+        throw new Error('backend down');
+      };
+      await cache.set('b', 2);
+      await cache.sync().catch(() => {});
+      stats = await cache.stats();
+      assert.strictEqual(stats.syncs, 1);
+      assert.strictEqual(stats.syncFailures, 1);
+    });
+  }
+
+  it('keeps separate counters for each namespace', async () => {
+    const app = await caches.open('app', { cacheType: 'sqlite' });
+    const sessions = app.namespace('sessions');
+    await sessions.init();
+    await sessions.set('s1', 'x');
+    await sessions.get('s1');
+    await app.get('missing');
+    assert.deepStrictEqual([(await app.stats()).hits, (await app.stats()).misses], [0, 1]);
+    const stats = await sessions.stats();
+    assert.strictEqual(stats.cacheName, 'app/sessions');
+    assert.deepStrictEqual([stats.hits, stats.sets, stats.entries], [1, 1, 1]);
+  });
+
+  describe('metrics()', () => {
+    it('renders the stats of the cache and its namespaces in the Prometheus format', async () => {
+      const app = await caches.open('app', { cacheType: 'file' });
+      const sessions = app.namespace('sessions');
+      await sessions.init();
+      await app.set('a', 1, true);
+      await sessions.get('missing');
+
+      const text = await app.metrics();
+      assert(text.endsWith('\n'));
+      const lines = text.split('\n');
+      assert(lines.includes('# TYPE unicache_hits_total counter'));
+      assert(lines.includes('unicache_info{cache="app",type="file",mode="write-back",load_strategy="eager",status="persistent"} 1'));
+      assert(lines.includes('unicache_sets_total{cache="app"} 1'));
+      assert(lines.includes('unicache_misses_total{cache="app/sessions"} 1'));
+      assert(lines.includes('unicache_entries{cache="app"} 1'));
+      assert(lines.includes('# TYPE unicache_last_sync_timestamp_seconds gauge'));
+      assert(!lines.some((line) => line.startsWith('unicache_last_sync_timestamp_seconds{cache="app/sessions"}')), 'null values are left out');
+      const syncedAt = lines.find((line) => line.startsWith('unicache_last_sync_timestamp_seconds{cache="app"}'));
+      assert(Math.abs(Number(syncedAt.split(' ')[1]) - Date.now() / 1000) < 60, 'timestamps are in seconds');
+    });
+
+    it('uses the given prefix and escapes label values', async () => {
+      const cache = await caches.open('say "hi"\\', { cacheType: 'memory' });
+      const text = await cache.metrics({ prefix: 'app_cache' });
+      assert(text.startsWith('# HELP app_cache_info '));
+      assert(text.includes('app_cache_hits_total{cache="say \\"hi\\"\\\\"} 0\n'));
+    });
+  });
+});
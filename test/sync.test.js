@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { PERSISTENT_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Delta sync', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      const recordChanges = (cache) => {
+        const calls = [];
+        const applyChanges = cache.backend.applyChanges.bind(cache.backend);
+        cache.backend.applyChanges = (changes) => {
+          calls.push(changes);
+          return applyChanges(changes);
+        };
+        return calls;
+      };
+
+      it('sends only the keys changed since the last sync', async () => {
+        const cache = await caches.open('delta', { cacheType });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.set('c', 3, true);
+        const calls = recordChanges(cache);
+        await cache.set('b', 20);
+        await cache.delete('c');
+        await cache.sync();
+        assert.strictEqual(calls.length, 1);
+        assert.deepStrictEqual(Object.keys(calls[0].upserts), ['b']);
+        assert.deepStrictEqual(calls[0].deletes, ['c']);
+        assert.strictEqual(calls[0].clear, false);
+        await cache.sync();
+        assert.strictEqual(calls.length, 1, 'a clean cache does not sync');
+      });
+
+      it('persists upserts, deletes and clears', async () => {
+        const writer = await caches.open('delta', { cacheType });
+        await writer.set('a', 1);
+        await writer.set('b', 2);
+        await writer.set('c', 3, true);
+        await writer.set('b', 20);
+        await writer.delete('c', true);
+        await writer.close();
+
+        const reader = await caches.open('delta', { cacheType });
+        assert.deepStrictEqual(await reader.fetch(), { a: 1, b: 20 });
+        await reader.clear();
+        await reader.set('d', 4, true);
+        await reader.close();
+
+        const cleared = await caches.open('delta', { cacheType });
+        assert.deepStrictEqual(await cleared.fetch(), { d: 4 });
+      });
+
+      it('keeps the changes pending when a sync fails', async () => {
+        const cache = await caches.open('delta', { cacheType });
+        const applyChanges = cache.backend.applyChanges;
+        cache.backend.applyChanges = async () => {
+          throw new Error('offline');
+        };
+        await cache.set('a', 1);
+        await assert.rejects(cache.sync(), /offline/);
+        assert.strictEqual(cache.isDirty, true);
+        cache.backend.applyChanges = applyChanges;
+        await cache.sync();
+        assert.strictEqual(cache.isDirty, false);
+        assert.deepStrictEqual(await cache.backend.fetch(), { a: 1 });
+      });
+
+      for (const loadStrategy of ['eager', 'lazy']) {
+        it(`does not delete a key that expired in memory from the backend (${loadStrategy})`, async () => {
+          const cache = await caches.open('delta', { cacheType, loadStrategy });
+          const other = await caches.open('delta', { cacheType });
+          await cache.set('a', 1, { ttl: 0.05, sync: true });
+          await sleep(80);
+          assert.strictEqual(await cache.get('a'), undefined);
+          assert.strictEqual(cache.isDirty, false);
+
+          await other.set('a', 2, true); // Written after the expiry
+          if (loadStrategy === 'lazy') assert.strictEqual(await cache.get('a'), 2, 'the new value is read');
+          await cache.set('b', 3, true);
+          const reader = await caches.open('delta', { cacheType });
+          assert.strictEqual(await reader.get('a'), 2);
+        });
+      }
+
+      it('deletes a key whose unsynced write expired', async () => {
+        const cache = await caches.open('delta', { cacheType });
+        await cache.set('a', 1, true);
+        await cache.set('a', 2, { ttl: 0.05 });
+        await sleep(80);
+        assert.strictEqual(await cache.get('a'), undefined);
+        await cache.sync();
+        assert.strictEqual(await cache.backend.has('a'), false, 'the older value is not left behind');
+      });
+    });
+  }
+});
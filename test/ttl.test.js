@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { LOCAL_BACKENDS, PERSISTENT_BACKENDS, sleep, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('TTL', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of LOCAL_BACKENDS) {
+    describe(cacheType, () => {
+      it('hides and purges a key once its ttl has elapsed', async () => {
+        const cache = await caches.open('ttl', { cacheType });
+        const expired = [];
+        cache.on('expire', (key) => expired.push(key));
+        await cache.set('short', 1, { ttl: 0.05, sync: true });
+        await cache.set('long', 2, { ttl: 60, sync: true });
+        assert.strictEqual(await cache.get('short'), 1);
+        await sleep(80);
+        assert.strictEqual(await cache.get('short'), undefined);
+        assert.strictEqual(await cache.has('short'), false);
+        assert.deepStrictEqual(await cache.keys(), ['long']);
+        assert.strictEqual(await cache.count(), 1);
+        assert.deepStrictEqual(expired, ['short']);
+      });
+
+      it('applies defaultTtl to new values and removes the expiry with ttl 0', async () => {
+        const cache = await caches.open('ttl', { cacheType, defaultTtl: 0.05 });
+        await cache.set('a', 1);
+        await cache.set('b', 2, { ttl: 0 });
+        await sleep(80);
+        assert.strictEqual(await cache.get('a'), undefined);
+        assert.strictEqual(await cache.get('b'), 2);
+      });
+
+      it('keeps the expiry of a value changed at a nested path', async () => {
+        const cache = await caches.open('ttl', { cacheType });
+        await cache.set('user', { name: 'Ann' }, { ttl: 0.05 });
+        await cache.set('user.age', 42);
+        await sleep(80);
+        assert.strictEqual(await cache.get('user'), undefined);
+      });
+    });
+  }
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    it(`persists expiries in the ${cacheType} backend`, async () => {
+      const writer = await caches.open('ttl', { cacheType });
+      await writer.set('short', 1, { ttl: 0.1, sync: true });
+      await writer.set('long', 2, { ttl: 60, sync: true });
+      await writer.close();
+
+      const reader = await caches.open('ttl', { cacheType });
+      assert.deepStrictEqual((await reader.keys()).sort(), ['long', 'short']);
+      assert(reader.expiries.long > Date.now() + 50000, 'the remaining lifetime is kept');
+      await sleep(150);
+      await reader.close();
+
+      const later = await caches.open('ttl', { cacheType });
+      assert.deepStrictEqual(await later.keys(), ['long'], 'expired entries are not loaded');
+    });
+  }
+});
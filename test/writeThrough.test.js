@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { PERSISTENT_BACKENDS, makeTempDir, CacheFactory } = require('./helpers');
+
+describe('Write-through mode', () => {
+  let temp;
+  let caches;
+
+  beforeEach(() => {
+    temp = makeTempDir();
+    caches = new CacheFactory(temp.dir);
+  });
+
+  afterEach(async () => {
+    await caches.closeAll();
+    temp.cleanup();
+  });
+
+  for (const cacheType of PERSISTENT_BACKENDS) {
+    describe(cacheType, () => {
+      const recordChanges = (cache) => {
+        const calls = [];
+        const applyChanges = cache.backend.applyChanges.bind(cache.backend);
+        cache.backend.applyChanges = (changes) => {
+          calls.push(changes);
+          return applyChanges(changes);
+        };
+        return calls;
+      };
+
+      it('writes each set to the backend at once', async () => {
+        const cache = await caches.open('through', { cacheType, mode: 'write-through' });
+        const other = await caches.open('through', { cacheType, loadStrategy: 'lazy' });
+        await cache.set('a', 1);
+        await cache.set('user', { name: 'Ann' });
+        await cache.set('user.age', 42);
+        assert.strictEqual(await other.get('a'), 1);
+        assert.deepStrictEqual(await other.get('user'), { name: 'Ann', age: 42 });
+        assert.strictEqual(cache.isDirty, false);
+      });
+
+      it('sends only the key written, leaving other pending changes for the next sync', async () => {
+        const cache = await caches.open('through', { cacheType, mode: 'write-through' });
+        const calls = recordChanges(cache);
+        const applyChanges = cache.backend.applyChanges;
+        cache.backend.applyChanges = async () => {
+          throw new Error('offline');
+        };
+        await assert.rejects(cache.set('a', 1), /offline/);
+        cache.backend.applyChanges = applyChanges;
+
+        await cache.set('b', 2);
+        assert.strictEqual(calls.length, 1);
+        assert.deepStrictEqual(calls[0].upserts, { b: 2 });
+        assert.deepStrictEqual(calls[0].deletes, []);
+        assert.strictEqual(cache.isDirty, true, '"a" is still pending');
+
+        await cache.sync();
+        assert.deepStrictEqual(calls[1].upserts, { a: 1 });
+        assert.strictEqual(cache.isDirty, false);
+      });
+
+      it('emits delete only for keys the backend removed', async () => {
+        const cache = await caches.open('through', { cacheType, mode: 'write-through' });
+        const deleted = [];
+        cache.on('delete', (key) => deleted.push(key));
+        await cache.set('a', 1);
+        await cache.delete('a');
+        await cache.delete('missing');
+        assert.deepStrictEqual(deleted, ['a']);
+        assert.strictEqual((await cache.stats()).deletes, 1);
+        assert.strictEqual(await cache.backend.has('a'), false);
+      });
+    });
+  }
+});